@@ -1,10 +1,14 @@
 const { v4: uuidv4 } = require('uuid');
+const { detectBoundary, firstBoundary } = require('../services/DocumentBoundaries');
+const { getCollections } = require('../services/DocumentTaxonomy');
 
 class Claim {
   constructor(data = {}) {
     this.id = data.id || uuidv4();
     this.patientName = data.patientName || '';
     this.insurer = data.insurer || '';
+    this.policyNumber = data.policyNumber || null; // links the claim to the policy registry
+    this.memberId = data.memberId || null;
     this.submittedAt = data.submittedAt || new Date().toISOString();
     this.status = data.status || 'pending'; // pending, approved, rejected, request_info
     this.reviewerNote = data.reviewerNote || '';
@@ -14,19 +18,31 @@ class Claim {
     // Document pages
     this.pages = data.pages || [];
     
-    // Extracted documents
-    this.prescriptions = data.prescriptions || [];
-    this.bills = data.bills || [];
-    this.reports = data.reports || [];
+    // Extracted documents, one collection per document type in the taxonomy
+    Object.keys(getCollections()).forEach(collection => {
+      this[collection] = data[collection] || [];
+    });
+    
+    // Reviewer corrections to extracted values, re-applied after reprocessing
+    this.corrections = data.corrections || [];
+    
+    // Reviewer overrides to page classification, order and grouping; sticky
+    // across reclassification and replayed every time pages are regrouped
+    this.documentOverrides = data.documentOverrides || [];
     
     // Business checks
     this.businessChecks = data.businessChecks || {
       claimSubtype: null, // 'specialist' or 'medical'
+      checkedAt: null, // when the checks first ran
+      checkResults: [], // { code, check, status: passed/failed/skipped, reason } per rule
+      findings: [], // { code, check, severity, message, evidence, amount } per failed rule
       flags: [],
       warnings: [],
       errors: [],
       eligibleAmount: 0,
-      totalAmount: 0
+      totalAmount: 0,
+      payableAmount: 0,
+      benefits: null
     };
     
     // Metadata
@@ -43,10 +59,19 @@ class Claim {
       mimetype: pageData.mimetype,
       size: pageData.size,
       path: pageData.path,
+      thumbnailPath: pageData.thumbnailPath || null,
       pageNumber: pageData.pageNumber || this.pages.length + 1,
+      // Original upload and position within it, set when a multi-page PDF was split
+      source: pageData.source || null,
+      // Text layer of the source PDF page, used instead of OCR when present
+      embeddedText: pageData.embeddedText || null,
       documentType: null, // Will be set by AI classification
       confidence: null,
+      predictedType: null, // Classifier's best guess, kept when below the confidence threshold
+      needsReview: false, // Classified 'unknown' - needs a human to set the type
       extractedText: null,
+      preprocessing: null, // Image preprocessing steps applied before OCR
+      ocr: null, // Word/line boxes and confidences from OCR
       createdAt: new Date().toISOString()
     };
     
@@ -59,66 +84,272 @@ class Claim {
   updatePageClassification(pageId, classification) {
     const page = this.pages.find(p => p.id === pageId);
     if (page) {
-      page.documentType = classification.type;
-      page.confidence = classification.confidence;
+      if (page.classificationOverride) {
+        // Keep the reviewer's type; remember what the classifier said
+        page.classificationOverride.machineType = classification.type;
+        page.classificationOverride.machineConfidence = classification.confidence;
+      } else {
+        page.documentType = classification.type;
+        page.confidence = classification.confidence;
+        page.needsReview = !!classification.needsReview;
+      }
+      page.predictedType = classification.predictedType || null;
       page.extractedText = classification.extractedText;
+      page.preprocessing = classification.preprocessing || null;
+      page.ocr = classification.ocr || null;
       this.updatedAt = new Date().toISOString();
     }
   }
 
-  // Group pages into documents
-  groupPagesIntoDocuments() {
-    // Group by document type
-    const prescriptions = this.pages.filter(p => p.documentType === 'prescription');
-    const bills = this.pages.filter(p => p.documentType === 'bill');
-    const reports = this.pages.filter(p => p.documentType === 'report');
+  // Group pages into documents. With options.preserveUnchanged, a group whose
+  // pages are exactly those of an existing group keeps that group's id and
+  // extraction, so only changed groups need to be re-extracted.
+  groupPagesIntoDocuments(options = {}) {
+    Object.entries(getCollections()).forEach(([collection, documentType]) => {
+      const pages = this.pages.filter(p => p.documentType === documentType);
+      const previous = this[collection] || [];
 
-    // Simple grouping heuristic: consecutive pages of same type
-    this.prescriptions = this.groupConsecutivePages(prescriptions);
-    this.bills = this.groupConsecutivePages(bills);
-    this.reports = this.groupConsecutivePages(reports);
+      // Boundary detection over consecutive pages of same type, then the
+      // reviewer's splits and merges
+      const groups = this.applyGroupingOverrides(this.groupConsecutivePages(pages));
+
+      this[collection] = groups.map(group => {
+        const existing = options.preserveUnchanged && previous.find(old => this.samePages(old, group));
+        return existing
+          ? { ...existing, pages: group.pages, manual: group.manual, boundary: group.boundary, continuations: group.continuations }
+          : group;
+      });
+    });
   }
 
-  // Simple heuristic for grouping consecutive pages
+  // Split pages of one type into documents. Each page after the first either
+  // continues the previous page's document or starts a new one, as decided by
+  // detectBoundary; groups record why they start where they do (`boundary`)
+  // and why each later page was joined (`continuations`).
   groupConsecutivePages(pages) {
     if (pages.length === 0) return [];
     
     const sortedPages = pages.sort((a, b) => a.pageNumber - b.pageNumber);
     const groups = [];
     let currentGroup = [sortedPages[0]];
+    let boundary = firstBoundary(sortedPages[0]);
+    let continuations = [];
 
     for (let i = 1; i < sortedPages.length; i++) {
       const currentPage = sortedPages[i];
       const previousPage = sortedPages[i - 1];
+      const decision = detectBoundary(previousPage, currentPage);
+      const link = { pageId: currentPage.id, reason: decision.reason, description: decision.description };
       
-      // If pages are consecutive, add to current group
-      if (currentPage.pageNumber === previousPage.pageNumber + 1) {
+      if (!decision.split) {
         currentGroup.push(currentPage);
+        continuations.push(link);
       } else {
         // Start new group
-        groups.push({
-          id: uuidv4(),
-          pages: currentGroup,
-          documentId: uuidv4(),
-          createdAt: new Date().toISOString()
-        });
+        groups.push(this.createGroup(currentGroup, { boundary, continuations }));
         currentGroup = [currentPage];
+        boundary = link;
+        continuations = [];
       }
     }
     
     // Add the last group
-    if (currentGroup.length > 0) {
-      groups.push({
-        id: uuidv4(),
-        pages: currentGroup,
-        documentId: uuidv4(),
-        createdAt: new Date().toISOString()
-      });
-    }
+    groups.push(this.createGroup(currentGroup, { boundary, continuations }));
 
     return groups;
   }
 
+  createGroup(pages, options = {}) {
+    return {
+      id: uuidv4(),
+      pages,
+      documentId: uuidv4(),
+      manual: options.manual || false, // Shaped by a reviewer split or merge
+      boundary: options.boundary || null, // Why the document starts at its first page
+      continuations: options.continuations || [], // Why each later page belongs to it
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  samePages(a, b) {
+    return a.pages.length === b.pages.length &&
+      a.pages.every((page, index) => page.id === b.pages[index].id);
+  }
+
+  // Replay split and merge overrides, in the order they were made
+  applyGroupingOverrides(groups) {
+    return this.documentOverrides.reduce((current, override) => {
+      if (override.type === 'split') {
+        return this.splitGroup(current, override.pageIds[0]);
+      }
+      if (override.type === 'merge') {
+        return this.mergeGroups(current, override.pageIds);
+      }
+      return current;
+    }, groups);
+  }
+
+  // Start a new document at pageId within its group
+  splitGroup(groups, pageId) {
+    const index = groups.findIndex(group => group.pages.some(p => p.id === pageId));
+    if (index === -1) return groups;
+
+    const group = groups[index];
+    const position = group.pages.findIndex(p => p.id === pageId);
+    if (position === 0) return groups;
+
+    const before = group.pages.slice(0, position);
+    const after = group.pages.slice(position);
+    const linksFor = (pages) => (group.continuations || []).filter(link =>
+      link.pageId !== pageId && pages.some(p => p.id === link.pageId)
+    );
+
+    return [
+      ...groups.slice(0, index),
+      this.createGroup(before, { manual: true, boundary: group.boundary, continuations: linksFor(before) }),
+      this.createGroup(after, {
+        manual: true,
+        boundary: { pageId, reason: 'manual_split', description: 'Split by a reviewer' },
+        continuations: linksFor(after)
+      }),
+      ...groups.slice(index + 1)
+    ];
+  }
+
+  // Combine every group holding one of pageIds into a single document
+  mergeGroups(groups, pageIds) {
+    const targets = groups.filter(group => group.pages.some(p => pageIds.includes(p.id)));
+    if (targets.length < 2) return groups;
+
+    const pages = targets.flatMap(group => group.pages).sort((a, b) => a.pageNumber - b.pageNumber);
+    const [first, ...others] = [...targets].sort((a, b) => a.pages[0].pageNumber - b.pages[0].pageNumber);
+    const pageOrder = (link) => pages.findIndex(p => p.id === link.pageId);
+    const continuations = [
+      ...(first.continuations || []),
+      ...others.flatMap(group => [
+        { pageId: group.pages[0].id, reason: 'manual_merge', description: 'Merged by a reviewer' },
+        ...(group.continuations || [])
+      ])
+    ].sort((a, b) => pageOrder(a) - pageOrder(b));
+    const merged = this.createGroup(pages, { manual: true, boundary: first.boundary, continuations });
+    const position = groups.indexOf(targets[0]);
+
+    const remaining = groups.filter(group => !targets.includes(group));
+    remaining.splice(position, 0, merged);
+    return remaining;
+  }
+
+  // Find the document group holding a page or with the given id
+  findDocument(predicate) {
+    for (const [collection, documentType] of Object.entries(getCollections())) {
+      const document = this[collection].find(predicate);
+      if (document) {
+        return { collection, documentType, document };
+      }
+    }
+    return null;
+  }
+
+  findDocumentByPage(pageId) {
+    return this.findDocument(group => group.pages.some(p => p.id === pageId));
+  }
+
+  recordOverride(type, details, meta = {}) {
+    const override = {
+      id: uuidv4(),
+      type, // classification, reorder, split, merge
+      ...details,
+      overriddenBy: meta.overriddenBy || 'reviewer-001',
+      note: meta.note || '',
+      overriddenAt: new Date().toISOString()
+    };
+    this.documentOverrides.push(override);
+    this.updatedAt = override.overriddenAt;
+    return override;
+  }
+
+  // Set a page's document type by hand; kept when the page is reclassified
+  overridePageType(pageId, documentType, meta = {}) {
+    const page = this.pages.find(p => p.id === pageId);
+    if (!page) return null;
+
+    const previous = page.classificationOverride;
+    const override = this.recordOverride('classification', {
+      pageIds: [pageId],
+      documentType,
+      previousType: page.documentType
+    }, meta);
+
+    page.classificationOverride = {
+      overrideId: override.id,
+      documentType,
+      machineType: previous ? previous.machineType : page.documentType,
+      machineConfidence: previous ? previous.machineConfidence : page.confidence,
+      overriddenBy: override.overriddenBy,
+      overriddenAt: override.overriddenAt
+    };
+    page.documentType = documentType;
+    page.confidence = 1;
+    page.needsReview = false;
+    return override;
+  }
+
+  // Remove a page, renumber the rest and take it out of its document group.
+  // A group that loses the page drops its extraction, which described the old
+  // pages, and a group left empty is removed. Returns the page or null.
+  removePage(pageId) {
+    const index = this.pages.findIndex(p => p.id === pageId);
+    if (index === -1) return null;
+
+    const [page] = this.pages.splice(index, 1);
+    this.pages.forEach((p, position) => {
+      p.pageNumber = position + 1;
+    });
+    const current = new Map(this.pages.map(p => [p.id, p]));
+
+    Object.keys(getCollections()).forEach(collection => {
+      this[collection] = this[collection]
+        .map(group => {
+          const pages = group.pages.filter(p => p.id !== pageId).map(p => current.get(p.id) || p);
+          if (pages.length === group.pages.length || pages.length === 0) {
+            return { ...group, pages };
+          }
+
+          const { extractedData, extraction, ...rest } = group;
+          const first = pages[0];
+          return {
+            ...rest,
+            pages,
+            boundary: group.pages[0].id === pageId ? firstBoundary(first) : group.boundary,
+            continuations: (group.continuations || []).filter(link => link.pageId !== pageId && link.pageId !== first.id)
+          };
+        })
+        .filter(group => group.pages.length > 0);
+    });
+
+    this.updatedAt = new Date().toISOString();
+    return page;
+  }
+
+  // Put pages in the given order; pageIds must list every page once
+  reorderPages(pageIds, meta = {}) {
+    this.pages = pageIds.map(id => this.pages.find(p => p.id === id));
+    this.pages.forEach((page, index) => {
+      page.pageNumber = index + 1;
+    });
+    return this.recordOverride('reorder', { pageIds }, meta);
+  }
+
+  // Start a new document at pageId
+  splitDocument(pageId, meta = {}) {
+    return this.recordOverride('split', { pageIds: [pageId] }, meta);
+  }
+
+  // Treat the pages of several groups as one document
+  mergeDocuments(pageIds, meta = {}) {
+    return this.recordOverride('merge', { pageIds }, meta);
+  }
+
   // Update business checks
   updateBusinessChecks(checks) {
     this.businessChecks = { ...this.businessChecks, ...checks };
@@ -134,11 +365,21 @@ class Claim {
     this.updatedAt = new Date().toISOString();
   }
 
-  // Get quick flags count for queue display
+  // Findings per severity. Claims checked before findings were recorded
+  // count the entries of their flags, warnings and errors lists.
+  getFindingCounts() {
+    const counts = { error: 0, warning: 0, info: 0 };
+    const { findings, flags, warnings, errors } = this.businessChecks;
+    (Array.isArray(findings) ? findings : [...flags, ...warnings, ...errors]).forEach(finding => {
+      counts[finding.severity] = (counts[finding.severity] || 0) + 1;
+    });
+    return counts;
+  }
+
+  // Get quick flags count for queue display: findings that need attention
   getQuickFlagsCount() {
-    return this.businessChecks.flags.length + 
-           this.businessChecks.warnings.length + 
-           this.businessChecks.errors.length;
+    const counts = this.getFindingCounts();
+    return counts.error + counts.warning;
   }
 
   // Get claim subtype
@@ -161,15 +402,17 @@ class Claim {
       id: this.id,
       patientName: this.patientName,
       insurer: this.insurer,
+      policyNumber: this.policyNumber,
+      memberId: this.memberId,
       submittedAt: this.submittedAt,
       status: this.status,
       reviewerNote: this.reviewerNote,
       reviewedAt: this.reviewedAt,
       reviewerId: this.reviewerId,
       pages: this.pages,
-      prescriptions: this.prescriptions,
-      bills: this.bills,
-      reports: this.reports,
+      ...Object.fromEntries(Object.keys(getCollections()).map(collection => [collection, this[collection]])),
+      corrections: this.corrections,
+      documentOverrides: this.documentOverrides,
       businessChecks: this.businessChecks,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
@@ -0,0 +1,172 @@
+const { v4: uuidv4 } = require('uuid');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+// An insurance policy with its covered members. The sum insured is shared by
+// all members (floater); approved claims are recorded as utilization against it.
+class Policy {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.policyNumber = data.policyNumber || '';
+    this.insurer = data.insurer || '';
+    this.holderName = data.holderName || '';
+    this.planId = data.planId || null; // benefit plan; defaults to the insurer's plan
+    this.startDate = data.startDate || null; // YYYY-MM-DD, inclusive
+    this.endDate = data.endDate || null;
+    this.sumInsured = data.sumInsured || 0;
+
+    // Members: { id, name, relationship, dateOfBirth, coveredFrom }
+    this.members = (data.members || []).map(member => ({
+      id: member.id || uuidv4(),
+      name: member.name,
+      relationship: member.relationship || 'self',
+      dateOfBirth: member.dateOfBirth || null,
+      coveredFrom: member.coveredFrom || null // joined after the policy start
+    }));
+
+    // Waiting periods: { id, days, description, conditions }; without
+    // conditions a waiting period applies to every treatment
+    this.waitingPeriods = data.waitingPeriods || [];
+
+    // Approved claims paid from the sum insured: { claimId, memberId, amount, approvedAt }
+    this.utilization = data.utilization || [];
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  // Validate policy data; returns a list of error messages
+  static validate(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') {
+      return ['policy must be an object'];
+    }
+
+    ['policyNumber', 'insurer'].forEach(field => {
+      if (typeof data[field] !== 'string' || data[field].trim().length === 0) {
+        errors.push(`${field} is required`);
+      }
+    });
+    ['startDate', 'endDate'].forEach(field => {
+      if (!isDate(data[field])) {
+        errors.push(`${field} must be a YYYY-MM-DD date`);
+      }
+    });
+    if (isDate(data.startDate) && isDate(data.endDate) && data.startDate > data.endDate) {
+      errors.push('startDate must not be after endDate');
+    }
+    if (typeof data.sumInsured !== 'number' || !(data.sumInsured > 0)) {
+      errors.push('sumInsured must be a positive amount');
+    }
+
+    if (!Array.isArray(data.members) || data.members.length === 0) {
+      errors.push('members must list at least one member');
+    } else {
+      data.members.forEach((member, index) => {
+        errors.push(...Policy.validateMember(member).map(error => `members[${index}].${error}`));
+      });
+    }
+
+    (Array.isArray(data.waitingPeriods) ? data.waitingPeriods : []).forEach((period, index) => {
+      if (!Number.isInteger(period.days) || period.days < 0) {
+        errors.push(`waitingPeriods[${index}].days must be a non-negative whole number`);
+      }
+      if (period.conditions !== undefined &&
+          (!Array.isArray(period.conditions) || period.conditions.some(condition => typeof condition !== 'string'))) {
+        errors.push(`waitingPeriods[${index}].conditions must be a list of condition names`);
+      }
+    });
+    if (data.waitingPeriods !== undefined && !Array.isArray(data.waitingPeriods)) {
+      errors.push('waitingPeriods must be an array');
+    }
+
+    return errors;
+  }
+
+  static validateMember(member) {
+    const errors = [];
+    if (!member || typeof member.name !== 'string' || member.name.trim().length === 0) {
+      errors.push('name is required');
+    }
+    ['dateOfBirth', 'coveredFrom'].forEach(field => {
+      if (member && member[field] !== undefined && member[field] !== null && !isDate(member[field])) {
+        errors.push(`${field} must be a YYYY-MM-DD date`);
+      }
+    });
+    return errors;
+  }
+
+  addMember(data) {
+    const member = new Policy({ members: [data] }).members[0];
+    this.members.push(member);
+    this.updatedAt = new Date().toISOString();
+    return member;
+  }
+
+  // Find a member by id, or by name (case-insensitive) when no id is given
+  findMember(memberId, name) {
+    if (memberId) {
+      return this.members.find(member => member.id === memberId) || null;
+    }
+    const wanted = (name || '').trim().toLowerCase();
+    return wanted ? this.members.find(member => member.name.trim().toLowerCase() === wanted) || null : null;
+  }
+
+  // Whether the member is covered on a YYYY-MM-DD date
+  covers(member, date) {
+    const from = member && member.coveredFrom && member.coveredFrom > this.startDate ? member.coveredFrom : this.startDate;
+    return date >= from && date <= this.endDate;
+  }
+
+  // Sum insured used by approved claims, optionally leaving one claim out and
+  // counting only claims approved before an ISO timestamp
+  getUtilized(excludeClaimId = null, approvedBefore = null) {
+    return round(this.utilization
+      .filter(entry => entry.claimId !== excludeClaimId)
+      .filter(entry => !approvedBefore || !entry.approvedAt || entry.approvedAt < approvedBefore)
+      .reduce((sum, entry) => sum + entry.amount, 0));
+  }
+
+  getBalance(excludeClaimId = null, approvedBefore = null) {
+    return round(Math.max(this.sumInsured - this.getUtilized(excludeClaimId, approvedBefore), 0));
+  }
+
+  // Record (or replace) the amount paid for an approved claim
+  recordUtilization(claimId, memberId, amount) {
+    const entry = { claimId, memberId, amount: round(amount || 0), approvedAt: new Date().toISOString() };
+    this.utilization = this.utilization.filter(existing => existing.claimId !== claimId);
+    this.utilization.push(entry);
+    this.updatedAt = new Date().toISOString();
+    return entry;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      policyNumber: this.policyNumber,
+      insurer: this.insurer,
+      holderName: this.holderName,
+      planId: this.planId,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      sumInsured: this.sumInsured,
+      members: this.members,
+      waitingPeriods: this.waitingPeriods,
+      utilization: this.utilization,
+      utilized: this.getUtilized(),
+      balance: this.getBalance(),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Policy;
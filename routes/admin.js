@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { exclusionCatalogue } = require('../services/ExclusionCatalogue');
+const RuleSimulator = require('../services/RuleSimulator');
+
+const ruleSimulator = new RuleSimulator();
+
+// Admin named by an API token in ADMIN_TOKENS ("token:name" pairs, comma
+// separated), or null
+function findAdmin(token) {
+  const given = Buffer.from(token);
+  for (const pair of (process.env.ADMIN_TOKENS || '').split(',')) {
+    const separator = pair.indexOf(':');
+    const expected = Buffer.from(pair.slice(0, separator).trim());
+    const name = pair.slice(separator + 1).trim();
+    if (separator > 0 && name && expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+// Changes to the catalogue need an admin token (Authorization: Bearer <token>);
+// the admin's name is what the audit trail records
+function requireAdmin(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const admin = scheme === 'Bearer' && token ? findAdmin(token) : null;
+
+  if (!admin) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin authentication required'
+    });
+  }
+
+  req.admin = admin;
+  next();
+}
+
+// GET /api/admin/exclusions - Catalogue versions and the one in force (?date= to pick a day)
+router.get('/exclusions', (req, res) => {
+  try {
+    const current = exclusionCatalogue.selectVersion(req.query.date || undefined);
+
+    res.json({
+      success: true,
+      data: {
+        current,
+        versions: exclusionCatalogue.getVersions()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching exclusion catalogue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exclusion catalogue',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/admin/exclusions/audit - Who published which catalogue changes
+router.get('/exclusions/audit', (req, res) => {
+  try {
+    const auditLog = exclusionCatalogue.getAuditLog();
+
+    res.json({
+      success: true,
+      data: auditLog,
+      count: auditLog.length
+    });
+  } catch (error) {
+    console.error('Error fetching exclusion audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exclusion audit log'
+    });
+  }
+});
+
+// GET /api/admin/exclusions/versions/:version - One catalogue version in full
+router.get('/exclusions/versions/:version', (req, res) => {
+  try {
+    const version = exclusionCatalogue.getVersion(parseInt(req.params.version, 10));
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Catalogue version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    console.error('Error fetching exclusion catalogue version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exclusion catalogue version'
+    });
+  }
+});
+
+// POST /api/admin/exclusions - Publish a new catalogue version
+router.post('/exclusions', requireAdmin, async (req, res) => {
+  try {
+    const { changes, note, effectiveFrom } = req.body;
+
+    if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'changes must name the lists to replace'
+      });
+    }
+
+    const version = await exclusionCatalogue.publish(changes, { changedBy: req.admin, note, effectiveFrom });
+    const auditLog = exclusionCatalogue.getAuditLog();
+
+    res.status(201).json({
+      success: true,
+      message: `Exclusion catalogue version ${version.version} published`,
+      data: {
+        version,
+        audit: auditLog[auditLog.length - 1]
+      }
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid exclusion catalogue',
+        details: error.validationErrors
+      });
+    }
+    console.error('Error publishing exclusion catalogue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish exclusion catalogue',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/admin/exclusions/reload - Re-read the catalogue file after manual edits
+router.post('/exclusions/reload', requireAdmin, async (req, res) => {
+  try {
+    const versionCount = await exclusionCatalogue.reload();
+
+    res.json({
+      success: true,
+      message: 'Exclusion catalogue reloaded',
+      data: {
+        versionCount,
+        current: exclusionCatalogue.selectVersion().version
+      }
+    });
+  } catch (error) {
+    console.error('Error reloading exclusion catalogue:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to reload exclusion catalogue; the previous catalogue stays in force',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/admin/simulate - Dry-run candidate rules and/or exclusions against stored claims
+// (?format=json or csv downloads the report)
+router.post('/simulate', async (req, res) => {
+  try {
+    const { rules, exclusions, claimIds } = req.body;
+    const { format } = req.query;
+
+    if (!rules && !exclusions) {
+      return res.status(400).json({
+        success: false,
+        error: 'rules or exclusions must be given'
+      });
+    }
+
+    if (format !== undefined && !['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or csv'
+      });
+    }
+
+    if (claimIds !== undefined && !Array.isArray(claimIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'claimIds must be an array'
+      });
+    }
+
+    const report = await ruleSimulator.simulate({ rules, exclusions }, { claimIds });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="rule-simulation.csv"');
+      return res.send(ruleSimulator.toCSV(report));
+    }
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', 'attachment; filename="rule-simulation.json"');
+      return res.json(report);
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid candidate configuration',
+        details: error.validationErrors
+      });
+    }
+    console.error('Error simulating rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to simulate rules',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
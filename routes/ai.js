@@ -2,18 +2,20 @@ const express = require('express');
 const router = express.Router();
 const AIService = require('../services/AIService');
 const BusinessCheckService = require('../services/BusinessCheckService');
-const Claim = require('../models/Claim');
+const CorrectionService = require('../services/CorrectionService');
+const { claimRepository } = require('../services/ClaimRepository');
+const { claimProcessingService } = require('../services/ClaimProcessingService');
+const { pageClassifier } = require('../services/PageClassifier');
+const { getCollections, getDocumentType } = require('../services/DocumentTaxonomy');
 
 const aiService = new AIService();
 const businessCheckService = new BusinessCheckService();
-
-// In-memory storage for demo (replace with database in production)
-let claims = [];
+const correctionService = new CorrectionService({ businessCheckService });
 
 // POST /api/ai/classify_pages - Classify pages for a claim
 router.post('/classify_pages', async (req, res) => {
   try {
-    const { claimId } = req.body;
+    const { claimId, preprocessing } = req.body;
     
     if (!claimId) {
       return res.status(400).json({
@@ -22,8 +24,8 @@ router.post('/classify_pages', async (req, res) => {
       });
     }
 
-    // Find the claim (in production, this would be from database)
-    const claim = claims.find(c => c.id === claimId);
+    // Find the claim
+    const claim = claimRepository.findById(claimId);
     
     if (!claim) {
       return res.status(404).json({
@@ -36,7 +38,7 @@ router.post('/classify_pages', async (req, res) => {
 
     // Classify each page
     for (const page of claim.pages) {
-      const classification = await aiService.classifyPage(page);
+      const classification = await aiService.classifyPage(page, { preprocessing });
       claim.updatePageClassification(page.id, classification);
       
       classifications.push({
@@ -44,10 +46,15 @@ router.post('/classify_pages', async (req, res) => {
         pageNumber: page.pageNumber,
         type: classification.type,
         confidence: classification.confidence,
-        reason: classification.reason
+        reason: classification.reason,
+        predictedType: classification.predictedType,
+        needsReview: classification.needsReview,
+        preprocessing: classification.preprocessing
       });
     }
 
+    await claimRepository.save(claim);
+
     res.json({
       success: true,
       message: 'Pages classified successfully',
@@ -63,6 +70,129 @@ router.post('/classify_pages', async (req, res) => {
   }
 });
 
+// Optional ?date= (YYYY-MM-DD) for configuration in force on another day
+function isQueryDate(date) {
+  return date === undefined || (/^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(Date.parse(date)));
+}
+
+// GET /api/ai/rule_sets - Business check rule sets in force (?date=), or the one applied to ?insurer=
+router.get('/rule_sets', (req, res) => {
+  try {
+    const { ruleEngine } = businessCheckService;
+    const { insurer, date } = req.query;
+
+    if (!isQueryDate(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date must be YYYY-MM-DD'
+      });
+    }
+
+    const ruleSets = insurer !== undefined
+      ? [ruleEngine.selectRuleSet(insurer, date)]
+      : ruleEngine.getRuleSets(date);
+
+    res.json({
+      success: true,
+      data: ruleSets
+    });
+  } catch (error) {
+    console.error('Error fetching rule sets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rule sets',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/ai/benefit_plans - Benefit plans in force (?date=), or the one applied to ?insurer=
+router.get('/benefit_plans', (req, res) => {
+  try {
+    const { benefitsCalculator } = businessCheckService;
+    const { insurer, date } = req.query;
+
+    if (!isQueryDate(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date must be YYYY-MM-DD'
+      });
+    }
+
+    const plans = insurer !== undefined
+      ? [benefitsCalculator.selectPlan(insurer, date)]
+      : benefitsCalculator.getPlans(date);
+
+    res.json({
+      success: true,
+      data: plans
+    });
+  } catch (error) {
+    console.error('Error fetching benefit plans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch benefit plans',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/ai/check_registry - Built-in checks rules can run, by code
+router.get('/check_registry', (req, res) => {
+  try {
+    const checks = businessCheckService.getRegisteredChecks();
+
+    res.json({
+      success: true,
+      data: checks,
+      count: checks.length
+    });
+  } catch (error) {
+    console.error('Error fetching check registry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch check registry'
+    });
+  }
+});
+
+// GET /api/ai/classifier - Page classifier status
+router.get('/classifier', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: pageClassifier.getStatus()
+    });
+  } catch (error) {
+    console.error('Error fetching classifier status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch classifier status',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/ai/classifier/retrain - Retrain the page classifier from reviewer-labelled pages
+router.post('/classifier/retrain', async (req, res) => {
+  try {
+    const status = await pageClassifier.retrain();
+
+    res.json({
+      success: true,
+      message: 'Page classifier retrained successfully',
+      data: status
+    });
+  } catch (error) {
+    console.error('Error retraining classifier:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrain classifier',
+      details: error.message
+    });
+  }
+});
+
 // POST /api/ai/extract/prescription - Extract fields from prescription document
 router.post('/extract/prescription', async (req, res) => {
   try {
@@ -75,14 +205,10 @@ router.post('/extract/prescription', async (req, res) => {
       });
     }
 
-    // Find the prescription document (in production, this would be from database)
-    let prescriptionDoc = null;
-    for (const claim of claims) {
-      prescriptionDoc = claim.prescriptions.find(p => p.id === docId);
-      if (prescriptionDoc) break;
-    }
+    // Find the prescription document
+    const found = claimRepository.findDocument('prescriptions', docId);
     
-    if (!prescriptionDoc) {
+    if (!found) {
       return res.status(404).json({
         success: false,
         error: 'Prescription document not found'
@@ -90,15 +216,19 @@ router.post('/extract/prescription', async (req, res) => {
     }
 
     // Extract fields
-    const extractedFields = await aiService.extractPrescriptionFields(prescriptionDoc);
+    const { data: extractedFields, extraction } = await aiService.extractDocument('prescription', found.document);
     
-    // Update the document with extracted data
-    prescriptionDoc.extractedData = extractedFields;
+    // Update the document with extracted data and field provenance
+    found.document.extractedData = extractedFields;
+    found.document.extraction = extraction;
+    correctionService.applyCorrections(found.claim);
+    await claimRepository.save(found.claim);
 
     res.json({
       success: true,
       message: 'Prescription fields extracted successfully',
-      data: extractedFields
+      data: extractedFields,
+      extraction
     });
   } catch (error) {
     console.error('Error extracting prescription fields:', error);
@@ -122,14 +252,10 @@ router.post('/extract/bill', async (req, res) => {
       });
     }
 
-    // Find the bill document (in production, this would be from database)
-    let billDoc = null;
-    for (const claim of claims) {
-      billDoc = claim.bills.find(b => b.id === docId);
-      if (billDoc) break;
-    }
+    // Find the bill document
+    const found = claimRepository.findDocument('bills', docId);
     
-    if (!billDoc) {
+    if (!found) {
       return res.status(404).json({
         success: false,
         error: 'Bill document not found'
@@ -137,15 +263,19 @@ router.post('/extract/bill', async (req, res) => {
     }
 
     // Extract fields
-    const extractedFields = await aiService.extractBillFields(billDoc);
+    const { data: extractedFields, extraction } = await aiService.extractDocument('bill', found.document);
     
-    // Update the document with extracted data
-    billDoc.extractedData = extractedFields;
+    // Update the document with extracted data and field provenance
+    found.document.extractedData = extractedFields;
+    found.document.extraction = extraction;
+    correctionService.applyCorrections(found.claim);
+    await claimRepository.save(found.claim);
 
     res.json({
       success: true,
       message: 'Bill fields extracted successfully',
-      data: extractedFields
+      data: extractedFields,
+      extraction
     });
   } catch (error) {
     console.error('Error extracting bill fields:', error);
@@ -157,13 +287,112 @@ router.post('/extract/bill', async (req, res) => {
   }
 });
 
+// POST /api/ai/extract/report - Extract fields from report document
+router.post('/extract/report', async (req, res) => {
+  try {
+    const { docId } = req.body;
+    
+    if (!docId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Document ID is required'
+      });
+    }
+
+    // Find the report document
+    const found = claimRepository.findDocument('reports', docId);
+    
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report document not found'
+      });
+    }
+
+    // Extract fields
+    const { data: extractedFields, extraction } = await aiService.extractDocument('report', found.document);
+    
+    // Update the document with extracted data and field provenance
+    found.document.extractedData = extractedFields;
+    found.document.extraction = extraction;
+    correctionService.applyCorrections(found.claim);
+    await claimRepository.save(found.claim);
+
+    res.json({
+      success: true,
+      message: 'Report fields extracted successfully',
+      data: extractedFields,
+      extraction
+    });
+  } catch (error) {
+    console.error('Error extracting report fields:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to extract report fields',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/ai/extract/:documentType - Extract fields from a document of a configured taxonomy type
+router.post('/extract/:documentType', async (req, res) => {
+  try {
+    const { docId } = req.body;
+    const definition = getDocumentType(req.params.documentType);
+
+    if (!definition || definition.builtIn) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown document type: ${req.params.documentType}`
+      });
+    }
+
+    if (!docId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Document ID is required'
+      });
+    }
+
+    const found = claimRepository.findDocument(definition.collection, docId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: `${definition.label} document not found`
+      });
+    }
+
+    const { data: extractedFields, extraction } = await aiService.extractDocument(definition.type, found.document);
+
+    found.document.extractedData = extractedFields;
+    found.document.extraction = extraction;
+    correctionService.applyCorrections(found.claim);
+    await claimRepository.save(found.claim);
+
+    res.json({
+      success: true,
+      message: `${definition.label} fields extracted successfully`,
+      data: extractedFields,
+      extraction
+    });
+  } catch (error) {
+    console.error(`Error extracting ${req.params.documentType} fields:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to extract ${req.params.documentType} fields`,
+      details: error.message
+    });
+  }
+});
+
 // GET /api/ai/checks/:claimId - Get business checks summary for a claim
 router.get('/checks/:claimId', async (req, res) => {
   try {
     const { claimId } = req.params;
     
-    // Find the claim (in production, this would be from database)
-    const claim = claims.find(c => c.id === claimId);
+    // Find the claim
+    const claim = claimRepository.findById(claimId);
     
     if (!claim) {
       return res.status(404).json({
@@ -176,23 +405,28 @@ router.get('/checks/:claimId', async (req, res) => {
     if (!claim.businessChecks.claimSubtype) {
       const businessChecks = await businessCheckService.runBusinessChecks(claim);
       claim.updateBusinessChecks(businessChecks);
+      await claimRepository.save(claim);
     }
 
     // Generate summary
     const summary = {
       claimId: claim.id,
       claimSubtype: claim.getClaimSubtype(),
+      findings: claim.businessChecks.findings || [],
+      checkResults: claim.businessChecks.checkResults || [],
+      findingCounts: claim.getFindingCounts(),
       flags: claim.businessChecks.flags,
       warnings: claim.businessChecks.warnings,
       errors: claim.businessChecks.errors,
       totals: {
         eligibleAmount: claim.businessChecks.eligibleAmount,
-        totalAmount: claim.businessChecks.totalAmount
+        totalAmount: claim.businessChecks.totalAmount,
+        payableAmount: claim.businessChecks.payableAmount
       },
       documentSummary: {
-        prescriptions: claim.prescriptions.length,
-        bills: claim.bills.length,
-        reports: claim.reports.length,
+        ...Object.fromEntries(
+          Object.keys(getCollections()).map(collection => [collection, (claim[collection] || []).length])
+        ),
         totalPages: claim.pages.length
       },
       keyIssues: this.generateKeyIssues(claim.businessChecks),
@@ -217,7 +451,7 @@ router.get('/checks/:claimId', async (req, res) => {
 // POST /api/ai/process_claim - Process entire claim with AI
 router.post('/process_claim', async (req, res) => {
   try {
-    const { claimId } = req.body;
+    const { claimId, preprocessing } = req.body;
     
     if (!claimId) {
       return res.status(400).json({
@@ -226,8 +460,8 @@ router.post('/process_claim', async (req, res) => {
       });
     }
 
-    // Find the claim (in production, this would be from database)
-    const claim = claims.find(c => c.id === claimId);
+    // Find the claim
+    const claim = claimRepository.findById(claimId);
     
     if (!claim) {
       return res.status(404).json({
@@ -243,61 +477,77 @@ router.post('/process_claim', async (req, res) => {
       });
     }
 
-    const results = {
-      claimId: claim.id,
-      pagesProcessed: 0,
-      classifications: [],
-      extractions: {
-        prescriptions: 0,
-        bills: 0
-      },
-      businessChecks: null
-    };
+    // Queue all stages (reclassifying every page) and return immediately;
+    // poll GET /api/jobs/:id for per-stage and per-page progress
+    const job = await claimProcessingService.startProcessing(claim, {
+      reclassify: true,
+      preprocessing
+    });
 
-    // Step 1: Classify all pages
-    for (const page of claim.pages) {
-      const classification = await aiService.classifyPage(page);
-      claim.updatePageClassification(page.id, classification);
-      
-      results.classifications.push({
-        pageId: page.id,
-        type: classification.type,
-        confidence: classification.confidence
+    res.status(202).json({
+      success: true,
+      message: 'Claim processing started',
+      data: {
+        claimId: claim.id,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
+      }
+    });
+  } catch (error) {
+    console.error('Error processing claim with AI:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process claim with AI',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/ai/compare_preprocessing - Compare OCR output with and without preprocessing
+router.post('/compare_preprocessing', async (req, res) => {
+  try {
+    const { claimId, pageId, preprocessing } = req.body;
+
+    if (!claimId || !pageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Claim ID and page ID are required'
       });
-      results.pagesProcessed++;
     }
 
-    // Step 2: Group pages into documents
-    claim.groupPagesIntoDocuments();
+    const claim = claimRepository.findById(claimId);
+    const page = claim && claim.pages.find(p => p.id === pageId);
 
-    // Step 3: Extract fields for each document group
-    for (const prescriptionGroup of claim.prescriptions) {
-      const extractedData = await aiService.extractPrescriptionFields(prescriptionGroup);
-      prescriptionGroup.extractedData = extractedData;
-      results.extractions.prescriptions++;
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        error: 'Page not found'
+      });
     }
 
-    for (const billGroup of claim.bills) {
-      const extractedData = await aiService.extractBillFields(billGroup);
-      billGroup.extractedData = extractedData;
-      results.extractions.bills++;
+    if (!page.mimetype.startsWith('image/')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Preprocessing comparison is only available for image pages'
+      });
     }
 
-    // Step 4: Run business checks
-    const businessChecks = await businessCheckService.runBusinessChecks(claim);
-    claim.updateBusinessChecks(businessChecks);
-    results.businessChecks = businessChecks;
+    const comparison = await aiService.comparePreprocessing(page, preprocessing);
 
     res.json({
       success: true,
-      message: 'Claim processed successfully with AI',
-      data: results
+      message: 'OCR comparison completed successfully',
+      data: {
+        pageId: page.id,
+        ...comparison
+      }
     });
   } catch (error) {
-    console.error('Error processing claim with AI:', error);
+    console.error('Error comparing preprocessing:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to process claim with AI',
+      error: 'Failed to compare preprocessing',
       details: error.message
     });
   }
@@ -326,6 +576,10 @@ function generateKeyIssues(businessChecks) {
   if (businessChecks.policyExclusions && businessChecks.policyExclusions.length > 0) {
     issues.push(`${businessChecks.policyExclusions.length} excluded items found`);
   }
+
+  if (businessChecks.restrictedItems && businessChecks.restrictedItems.length > 0) {
+    issues.push(`${businessChecks.restrictedItems.length} items need prior approval`);
+  }
   
   return issues;
 }
@@ -345,6 +599,10 @@ function generateRecommendations(businessChecks) {
   if (businessChecks.policyExclusions && businessChecks.policyExclusions.length > 0) {
     recommendations.push('Exclude non-eligible amounts from calculation');
   }
+
+  if (businessChecks.restrictedItems && businessChecks.restrictedItems.length > 0) {
+    recommendations.push('Confirm prior approval for restricted items');
+  }
   
   if (businessChecks.amountValidation && !businessChecks.amountValidation.isValid) {
     recommendations.push('Verify bill totals match line item sums');
@@ -1,27 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const Claim = require('../models/Claim');
-const BusinessCheckService = require('../services/BusinessCheckService');
-const AIService = require('../services/AIService');
+const { claimRepository } = require('../services/ClaimRepository');
+const { policyRepository } = require('../services/PolicyRepository');
+const { claimProcessingService } = require('../services/ClaimProcessingService');
+const CorrectionService = require('../services/CorrectionService');
+const { pageClassifier } = require('../services/PageClassifier');
+const { getCollections, getPageTypes } = require('../services/DocumentTaxonomy');
 
-const businessCheckService = new BusinessCheckService();
-const aiService = new AIService();
-
-// In-memory storage for demo (replace with database in production)
-let claims = [];
-let claimCounter = 1;
+const correctionService = new CorrectionService();
 
 // GET /api/claims/pending - Get pending claims for queue
 router.get('/pending', (req, res) => {
   try {
-    const pendingClaims = claims
-      .filter(claim => claim.status === 'pending')
+    const pendingClaims = claimRepository.findByStatus('pending')
       .map(claim => ({
         id: claim.id,
         patientName: claim.patientName,
         insurer: claim.insurer,
         submittedAt: claim.submittedAt,
         flagsCount: claim.getQuickFlagsCount(),
+        findingCounts: claim.getFindingCounts(),
         documentCount: claim.pages.length,
         claimSubtype: claim.getClaimSubtype()
       }))
@@ -44,7 +43,7 @@ router.get('/pending', (req, res) => {
 // GET /api/claims/:id - Get claim details
 router.get('/:id', (req, res) => {
   try {
-    const claim = claims.find(c => c.id === req.params.id);
+    const claim = claimRepository.findById(req.params.id);
     
     if (!claim) {
       return res.status(404).json({
@@ -67,7 +66,7 @@ router.get('/:id', (req, res) => {
 });
 
 // POST /api/claims/:id/review - Review a claim
-router.post('/:id/review', (req, res) => {
+router.post('/:id/review', async (req, res) => {
   try {
     const { decision, note, reviewerId } = req.body;
     
@@ -78,7 +77,7 @@ router.post('/:id/review', (req, res) => {
       });
     }
 
-    const claim = claims.find(c => c.id === req.params.id);
+    const claim = claimRepository.findById(req.params.id);
     
     if (!claim) {
       return res.status(404).json({
@@ -96,6 +95,20 @@ router.post('/:id/review', (req, res) => {
 
     // Review the claim
     claim.review(decision, note || '', reviewerId || 'reviewer-001');
+    await claimRepository.save(claim);
+
+    // An approved claim's payable amount is drawn from the policy's sum
+    // insured, up to the balance left now: other claims may have been approved
+    // since this one was checked
+    let policyBalance = null;
+    let paidAmount = null;
+    const { policy, member } = policyRepository.findCoverage(claim);
+    if (decision === 'approve' && policy) {
+      paidAmount = Math.min(claim.businessChecks.payableAmount || 0, policy.getBalance(claim.id));
+      policy.recordUtilization(claim.id, member ? member.id : claim.memberId, paidAmount);
+      await policyRepository.save(policy);
+      policyBalance = policy.getBalance();
+    }
 
     res.json({
       success: true,
@@ -104,7 +117,9 @@ router.post('/:id/review', (req, res) => {
         id: claim.id,
         status: claim.status,
         reviewedAt: claim.reviewedAt,
-        reviewerNote: claim.reviewerNote
+        reviewerNote: claim.reviewerNote,
+        paidAmount,
+        policyBalance
       }
     });
   } catch (error) {
@@ -117,9 +132,9 @@ router.post('/:id/review', (req, res) => {
 });
 
 // POST /api/claims - Create a new claim
-router.post('/', (req, res) => {
+router.post('/', async (req, res) => {
   try {
-    const { patientName, insurer } = req.body;
+    const { patientName, insurer, policyNumber, memberId } = req.body;
     
     if (!patientName || !insurer) {
       return res.status(400).json({
@@ -131,10 +146,15 @@ router.post('/', (req, res) => {
     const claim = new Claim({
       patientName,
       insurer,
+      policyNumber,
+      memberId,
       submittedAt: new Date().toISOString()
     });
 
-    claims.push(claim);
+    // Link the claim to the member it is made for
+    policyRepository.linkClaim(claim);
+
+    await claimRepository.add(claim);
 
     res.status(201).json({
       success: true,
@@ -143,6 +163,8 @@ router.post('/', (req, res) => {
         id: claim.id,
         patientName: claim.patientName,
         insurer: claim.insurer,
+        policyNumber: claim.policyNumber,
+        memberId: claim.memberId,
         submittedAt: claim.submittedAt,
         status: claim.status
       }
@@ -159,7 +181,7 @@ router.post('/', (req, res) => {
 // GET /api/claims - Get all claims (for admin purposes)
 router.get('/', (req, res) => {
   try {
-    const allClaims = claims.map(claim => ({
+    const allClaims = claimRepository.findAll().map(claim => ({
       id: claim.id,
       patientName: claim.patientName,
       insurer: claim.insurer,
@@ -185,19 +207,17 @@ router.get('/', (req, res) => {
 });
 
 // DELETE /api/claims/:id - Delete a claim (for cleanup)
-router.delete('/:id', (req, res) => {
+router.delete('/:id', async (req, res) => {
   try {
-    const claimIndex = claims.findIndex(c => c.id === req.params.id);
+    const removed = await claimRepository.remove(req.params.id);
     
-    if (claimIndex === -1) {
+    if (!removed) {
       return res.status(404).json({
         success: false,
         error: 'Claim not found'
       });
     }
 
-    claims.splice(claimIndex, 1);
-
     res.json({
       success: true,
       message: 'Claim deleted successfully'
@@ -214,7 +234,7 @@ router.delete('/:id', (req, res) => {
 // POST /api/claims/:id/process - Process uploaded documents for a claim
 router.post('/:id/process', async (req, res) => {
   try {
-    const claim = claims.find(c => c.id === req.params.id);
+    const claim = claimRepository.findById(req.params.id);
     
     if (!claim) {
       return res.status(404).json({
@@ -230,48 +250,454 @@ router.post('/:id/process', async (req, res) => {
       });
     }
 
-    // Process each page
-    for (const page of claim.pages) {
-      if (!page.documentType) {
-        const classification = await aiService.classifyPage(page);
-        claim.updatePageClassification(page.id, classification);
+    // Queue processing in the background; poll GET /api/jobs/:id for progress
+    const job = await claimProcessingService.startProcessing(claim, {
+      preprocessing: req.body.preprocessing
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Claim processing started',
+      data: {
+        id: claim.id,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
       }
-    }
+    });
+  } catch (error) {
+    console.error('Error processing claim:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process claim',
+      details: error.message
+    });
+  }
+});
 
-    // Group pages into documents
-    claim.groupPagesIntoDocuments();
+// Load the claim and document group a correction targets, sending the error
+// response and returning null when the correction cannot be made
+function loadCorrectionTarget(req, res, options = {}) {
+  const claim = claimRepository.findById(req.params.id);
 
-    // Extract fields for each document group
-    for (const prescriptionGroup of claim.prescriptions) {
-      const extractedData = await aiService.extractPrescriptionFields(prescriptionGroup);
-      prescriptionGroup.extractedData = extractedData;
+  if (!claim) {
+    res.status(404).json({
+      success: false,
+      error: 'Claim not found'
+    });
+    return null;
+  }
+
+  if (claim.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      error: 'Claim has already been reviewed'
+    });
+    return null;
+  }
+
+  const found = correctionService.findDocument(claim, req.params.documentId);
+
+  if (!found) {
+    res.status(404).json({
+      success: false,
+      error: 'Document not found'
+    });
+    return null;
+  }
+
+  if (!found.document.extractedData) {
+    res.status(400).json({
+      success: false,
+      error: 'Document has not been extracted yet'
+    });
+    return null;
+  }
+
+  if (options.lineItems) {
+    if (found.collection !== 'bills') {
+      res.status(400).json({
+        success: false,
+        error: 'Line items can only be corrected on bills'
+      });
+      return null;
     }
 
-    for (const billGroup of claim.bills) {
-      const extractedData = await aiService.extractBillFields(billGroup);
-      billGroup.extractedData = extractedData;
+    const index = req.params.index === undefined ? null : parseInt(req.params.index, 10);
+    const lineItems = found.document.extractedData.line_items || [];
+    if (index !== null && !(index >= 0 && index < lineItems.length)) {
+      res.status(404).json({
+        success: false,
+        error: 'Line item not found'
+      });
+      return null;
     }
+    found.index = index;
+  }
+
+  return { claim, found };
+}
+
+// Save a correction, re-run business checks and respond with the updated document
+async function respondWithCorrection(res, claim, found, corrections, message) {
+  const businessChecks = await correctionService.recheck(claim);
+  await claimRepository.save(claim);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      document: found.document,
+      corrections,
+      businessChecks
+    }
+  });
+}
 
-    // Run business checks
-    const businessChecks = await businessCheckService.runBusinessChecks(claim);
-    claim.updateBusinessChecks(businessChecks);
+// GET /api/claims/:id/corrections - List reviewer corrections
+router.get('/:id/corrections', (req, res) => {
+  try {
+    const claim = claimRepository.findById(req.params.id);
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Claim processed successfully',
-      data: {
-        id: claim.id,
-        pagesProcessed: claim.pages.length,
-        prescriptionsFound: claim.prescriptions.length,
-        billsFound: claim.bills.length,
-        businessChecks: claim.businessChecks
-      }
+      data: claim.corrections
     });
   } catch (error) {
-    console.error('Error processing claim:', error);
+    console.error('Error fetching corrections:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to process claim',
+      error: 'Failed to fetch corrections'
+    });
+  }
+});
+
+// PATCH /api/claims/:id/documents/:documentId/fields - Correct extracted fields
+router.patch('/:id/documents/:documentId/fields', async (req, res) => {
+  try {
+    const target = loadCorrectionTarget(req, res);
+    if (!target) return;
+
+    const { fields, correctedBy, note } = req.body;
+    const errors = correctionService.validateFieldCorrections(target.found.documentType, fields);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid field corrections',
+        details: errors
+      });
+    }
+
+    const corrections = correctionService.correctFields(target.claim, target.found, fields, { correctedBy, note });
+    await respondWithCorrection(res, target.claim, target.found, corrections, 'Fields corrected successfully');
+  } catch (error) {
+    console.error('Error correcting fields:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to correct fields',
+      details: error.message
+    });
+  }
+});
+
+// PATCH /api/claims/:id/documents/:documentId/line_items/:index - Correct a bill line item
+router.patch('/:id/documents/:documentId/line_items/:index', async (req, res) => {
+  try {
+    const target = loadCorrectionTarget(req, res, { lineItems: true });
+    if (!target) return;
+
+    const { fields, correctedBy, note } = req.body;
+    const errors = correctionService.validateLineItem(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid line item correction',
+        details: errors
+      });
+    }
+
+    const correction = correctionService.correctLineItem(target.claim, target.found, target.found.index, fields, { correctedBy, note });
+    await respondWithCorrection(res, target.claim, target.found, [correction], 'Line item corrected successfully');
+  } catch (error) {
+    console.error('Error correcting line item:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to correct line item',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/claims/:id/documents/:documentId/line_items - Add a missed bill line item
+router.post('/:id/documents/:documentId/line_items', async (req, res) => {
+  try {
+    const target = loadCorrectionTarget(req, res, { lineItems: true });
+    if (!target) return;
+
+    const { item, correctedBy, note } = req.body;
+    const errors = correctionService.validateLineItem(item, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid line item',
+        details: errors
+      });
+    }
+
+    const correction = correctionService.addLineItem(target.claim, target.found, item, { correctedBy, note });
+    await respondWithCorrection(res, target.claim, target.found, [correction], 'Line item added successfully');
+  } catch (error) {
+    console.error('Error adding line item:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add line item',
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/claims/:id/documents/:documentId/line_items/:index - Remove a bill line item
+router.delete('/:id/documents/:documentId/line_items/:index', async (req, res) => {
+  try {
+    const target = loadCorrectionTarget(req, res, { lineItems: true });
+    if (!target) return;
+
+    const { correctedBy, note } = req.body || {};
+    const correction = correctionService.removeLineItem(target.claim, target.found, target.found.index, { correctedBy, note });
+    await respondWithCorrection(res, target.claim, target.found, [correction], 'Line item removed successfully');
+  } catch (error) {
+    console.error('Error removing line item:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove line item',
+      details: error.message
+    });
+  }
+});
+
+// { collection: mapper(documents) } for every document type in the taxonomy
+function documentCollections(claim, mapper) {
+  return Object.fromEntries(
+    Object.keys(getCollections()).map(collection => [collection, mapper(claim[collection] || [])])
+  );
+}
+
+// Load a claim whose pages and document groups can be overridden, sending the
+// error response and returning null otherwise
+function loadOverrideTarget(req, res) {
+  const claim = claimRepository.findById(req.params.id);
+
+  if (!claim) {
+    res.status(404).json({
+      success: false,
+      error: 'Claim not found'
+    });
+    return null;
+  }
+
+  if (claim.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      error: 'Claim has already been reviewed'
+    });
+    return null;
+  }
+
+  if (claimProcessingService.isProcessing(claim)) {
+    res.status(400).json({
+      success: false,
+      error: 'Claim is being processed; try again when the job has finished'
+    });
+    return null;
+  }
+
+  return claim;
+}
+
+// Regroup, re-extract the changed groups, save and respond
+async function respondWithRegrouping(res, claim, override, message) {
+  const reextracted = await claimProcessingService.regroupDocuments(claim);
+  await claimRepository.save(claim);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      override,
+      reextracted,
+      ...documentCollections(claim, collection => collection),
+      businessChecks: claim.businessChecks
+    }
+  });
+}
+
+// PATCH /api/claims/:id/pages/:pageId/classification - Override a page's document type
+router.patch('/:id/pages/:pageId/classification', async (req, res) => {
+  try {
+    const claim = loadOverrideTarget(req, res);
+    if (!claim) return;
+
+    const { documentType, overriddenBy, note } = req.body;
+    const pageTypes = getPageTypes();
+    if (!pageTypes.includes(documentType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid document type. Must be one of ${pageTypes.join(', ')}`
+      });
+    }
+
+    const page = claim.pages.find(p => p.id === req.params.pageId);
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        error: 'Page not found'
+      });
+    }
+
+    if (!page.documentType) {
+      return res.status(400).json({
+        success: false,
+        error: 'Page has not been classified yet'
+      });
+    }
+
+    const machineType = page.classificationOverride ? page.classificationOverride.machineType : page.documentType;
+    const override = claim.overridePageType(page.id, documentType, { overriddenBy, note });
+
+    // Reviewer-labelled pages train the classifier at its next retrain
+    if (documentType !== 'unknown') {
+      await pageClassifier.addExample(page.extractedText, documentType, {
+        pageId: page.id,
+        claimId: claim.id,
+        source: machineType === documentType ? 'confirmation' : 'correction',
+        labelledBy: override.overriddenBy
+      });
+    }
+
+    await respondWithRegrouping(res, claim, override, 'Page classification overridden successfully');
+  } catch (error) {
+    console.error('Error overriding page classification:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to override page classification',
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/claims/:id/pages/order - Reorder pages
+router.put('/:id/pages/order', async (req, res) => {
+  try {
+    const claim = loadOverrideTarget(req, res);
+    if (!claim) return;
+
+    const { pageIds, overriddenBy, note } = req.body;
+    const currentIds = claim.pages.map(p => p.id);
+    const isPermutation = Array.isArray(pageIds) &&
+      pageIds.length === currentIds.length &&
+      new Set(pageIds).size === pageIds.length &&
+      pageIds.every(id => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        error: 'pageIds must list every page of the claim exactly once'
+      });
+    }
+
+    const override = claim.reorderPages(pageIds, { overriddenBy, note });
+    await respondWithRegrouping(res, claim, override, 'Pages reordered successfully');
+  } catch (error) {
+    console.error('Error reordering pages:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reorder pages',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/claims/:id/documents/:documentId/split - Start a new document at a page
+router.post('/:id/documents/:documentId/split', async (req, res) => {
+  try {
+    const claim = loadOverrideTarget(req, res);
+    if (!claim) return;
+
+    const { pageId, overriddenBy, note } = req.body;
+    const found = claim.findDocument(group => group.id === req.params.documentId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const position = found.document.pages.findIndex(p => p.id === pageId);
+    if (position <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: position === 0
+          ? 'Page already starts the document'
+          : 'pageId must be a page of the document'
+      });
+    }
+
+    const override = claim.splitDocument(pageId, { overriddenBy, note });
+    await respondWithRegrouping(res, claim, override, 'Document split successfully');
+  } catch (error) {
+    console.error('Error splitting document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to split document',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/claims/:id/documents/merge - Merge document groups of the same type
+router.post('/:id/documents/merge', async (req, res) => {
+  try {
+    const claim = loadOverrideTarget(req, res);
+    if (!claim) return;
+
+    const { documentIds, overriddenBy, note } = req.body;
+    if (!Array.isArray(documentIds) || new Set(documentIds).size < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'documentIds must list at least two documents'
+      });
+    }
+
+    const found = documentIds.map(id => claim.findDocument(group => group.id === id));
+    if (found.some(f => !f)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    if (found.some(f => f.collection !== found[0].collection)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only documents of the same type can be merged'
+      });
+    }
+
+    const pageIds = found.flatMap(f => f.document.pages.map(p => p.id));
+    const override = claim.mergeDocuments(pageIds, { overriddenBy, note });
+    await respondWithRegrouping(res, claim, override, 'Documents merged successfully');
+  } catch (error) {
+    console.error('Error merging documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge documents',
       details: error.message
     });
   }
@@ -280,7 +706,7 @@ router.post('/:id/process', async (req, res) => {
 // GET /api/claims/:id/export - Export claim scrutiny report
 router.get('/:id/export', (req, res) => {
   try {
-    const claim = claims.find(c => c.id === req.params.id);
+    const claim = claimRepository.findById(req.params.id);
     
     if (!claim) {
       return res.status(404).json({
@@ -294,28 +720,26 @@ router.get('/:id/export', (req, res) => {
       claimId: claim.id,
       patientName: claim.patientName,
       insurer: claim.insurer,
+      policyNumber: claim.policyNumber,
+      memberId: claim.memberId,
       submittedAt: claim.submittedAt,
       status: claim.status,
       claimSubtype: claim.getClaimSubtype(),
       summary: {
         totalPages: claim.pages.length,
-        prescriptions: claim.prescriptions.length,
-        bills: claim.bills.length,
-        reports: claim.reports.length
+        ...documentCollections(claim, collection => collection.length)
       },
       businessChecks: claim.businessChecks,
-      documents: {
-        prescriptions: claim.prescriptions.map(p => ({
-          id: p.id,
-          pages: p.pages.length,
-          extractedData: p.extractedData
-        })),
-        bills: claim.bills.map(b => ({
-          id: b.id,
-          pages: b.pages.length,
-          extractedData: b.extractedData
-        }))
-      },
+      adjudication: claim.businessChecks.benefits || null,
+      policyCoverage: claim.businessChecks.policyCoverage || null,
+      corrections: claim.corrections,
+      documentOverrides: claim.documentOverrides,
+      documents: documentCollections(claim, collection => collection.map(doc => ({
+        id: doc.id,
+        pages: doc.pages.length,
+        extractedData: doc.extractedData,
+        fields: doc.extraction ? doc.extraction.fields || {} : {}
+      }))),
       review: {
         status: claim.status,
         reviewerNote: claim.reviewerNote,
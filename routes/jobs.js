@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { jobQueue } = require('../services/JobQueue');
+
+// GET /api/jobs/:id - Get background job status and progress
+router.get('/:id', (req, res) => {
+  try {
+    const job = jobQueue.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job status'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const Policy = require('../models/Policy');
+const { policyRepository } = require('../services/PolicyRepository');
+
+// GET /api/policies - List registered policies
+router.get('/', (req, res) => {
+  try {
+    const policies = policyRepository.findAll().map(policy => ({
+      id: policy.id,
+      policyNumber: policy.policyNumber,
+      insurer: policy.insurer,
+      holderName: policy.holderName,
+      startDate: policy.startDate,
+      endDate: policy.endDate,
+      sumInsured: policy.sumInsured,
+      balance: policy.getBalance(),
+      memberCount: policy.members.length
+    }));
+
+    res.json({
+      success: true,
+      data: policies,
+      count: policies.length
+    });
+  } catch (error) {
+    console.error('Error fetching policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch policies'
+    });
+  }
+});
+
+// GET /api/policies/:policyNumber - Policy with members, utilization and balance
+router.get('/:policyNumber', (req, res) => {
+  try {
+    const policy = policyRepository.findByPolicyNumber(req.params.policyNumber);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: policy.toJSON()
+    });
+  } catch (error) {
+    console.error('Error fetching policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch policy'
+    });
+  }
+});
+
+// POST /api/policies - Register a policy with its members
+router.post('/', async (req, res) => {
+  try {
+    const errors = Policy.validate(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid policy',
+        details: errors
+      });
+    }
+
+    if (policyRepository.findByPolicyNumber(req.body.policyNumber)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Policy number is already registered'
+      });
+    }
+
+    // Utilization is only recorded by approving claims
+    const { policyNumber, insurer, holderName, planId, startDate, endDate, sumInsured, members, waitingPeriods } = req.body;
+    const policy = new Policy({
+      policyNumber: policyNumber.trim(),
+      insurer,
+      holderName,
+      planId,
+      startDate,
+      endDate,
+      sumInsured,
+      members,
+      waitingPeriods
+    });
+    await policyRepository.add(policy);
+
+    res.status(201).json({
+      success: true,
+      message: 'Policy registered successfully',
+      data: policy.toJSON()
+    });
+  } catch (error) {
+    console.error('Error registering policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register policy',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/policies/:policyNumber/members - Add a member to a policy
+router.post('/:policyNumber/members', async (req, res) => {
+  try {
+    const policy = policyRepository.findByPolicyNumber(req.params.policyNumber);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Policy not found'
+      });
+    }
+
+    const errors = Policy.validateMember(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid member',
+        details: errors
+      });
+    }
+
+    const { name, relationship, dateOfBirth, coveredFrom } = req.body;
+    const member = policy.addMember({ name, relationship, dateOfBirth, coveredFrom });
+    await policyRepository.save(policy);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: member
+    });
+  } catch (error) {
+    console.error('Error adding member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add member',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,12 @@ const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const Claim = require('../models/Claim');
+const { claimRepository } = require('../services/ClaimRepository');
+const { policyRepository } = require('../services/PolicyRepository');
+const PdfPageSplitter = require('../services/PdfPageSplitter');
+const { claimProcessingService } = require('../services/ClaimProcessingService');
+
+const pdfPageSplitter = new PdfPageSplitter({ outputDir: 'uploads' });
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -42,13 +48,25 @@ const upload = multer({
   }
 });
 
-// In-memory storage for demo (replace with database in production)
-let claims = [];
+// Add uploaded files to a claim as pages, numbering them after existing pages
+async function addFilesAsPages(claim, files) {
+  let pagesCreated = 0;
+
+  for (const file of files) {
+    const pages = await pdfPageSplitter.expandUpload(file);
+    pages.forEach(pageData => {
+      claim.addPage({ ...pageData, pageNumber: claim.pages.length + 1 });
+      pagesCreated++;
+    });
+  }
+
+  return pagesCreated;
+}
 
 // POST /api/upload/claim - Upload documents for a new claim
 router.post('/claim', upload.array('documents', 20), async (req, res) => {
   try {
-    const { patientName, insurer } = req.body;
+    const { patientName, insurer, policyNumber, memberId } = req.body;
     
     if (!patientName || !insurer) {
       return res.status(400).json({
@@ -68,26 +86,19 @@ router.post('/claim', upload.array('documents', 20), async (req, res) => {
     const claim = new Claim({
       patientName,
       insurer,
+      policyNumber,
+      memberId,
       submittedAt: new Date().toISOString()
     });
 
-    // Add uploaded files as pages
-    for (let i = 0; i < req.files.length; i++) {
-      const file = req.files[i];
-      const pageData = {
-        filename: file.filename,
-        originalName: file.originalname,
-        mimetype: file.mimetype,
-        size: file.size,
-        path: file.path,
-        pageNumber: i + 1
-      };
-      
-      claim.addPage(pageData);
-    }
+    // Link the claim to the member it is made for
+    policyRepository.linkClaim(claim);
+
+    // Add uploaded files as pages (multi-page PDFs become one page each)
+    const pagesCreated = await addFilesAsPages(claim, req.files);
 
     // Add claim to storage
-    claims.push(claim);
+    await claimRepository.add(claim);
 
     res.status(201).json({
       success: true,
@@ -96,7 +107,10 @@ router.post('/claim', upload.array('documents', 20), async (req, res) => {
         claimId: claim.id,
         patientName: claim.patientName,
         insurer: claim.insurer,
+        policyNumber: claim.policyNumber,
+        memberId: claim.memberId,
         documentsUploaded: req.files.length,
+        pagesCreated,
         submittedAt: claim.submittedAt,
         status: claim.status
       }
@@ -136,7 +150,7 @@ router.post('/documents/:claimId', upload.array('documents', 20), async (req, re
     }
 
     // Find existing claim
-    const claim = claims.find(c => c.id === claimId);
+    const claim = claimRepository.findById(claimId);
     
     if (!claim) {
       return res.status(404).json({
@@ -153,20 +167,9 @@ router.post('/documents/:claimId', upload.array('documents', 20), async (req, re
     }
 
     // Add new documents as pages
-    const startPageNumber = claim.pages.length + 1;
-    for (let i = 0; i < req.files.length; i++) {
-      const file = req.files[i];
-      const pageData = {
-        filename: file.filename,
-        originalName: file.originalname,
-        mimetype: file.mimetype,
-        size: file.size,
-        path: file.path,
-        pageNumber: startPageNumber + i
-      };
-      
-      claim.addPage(pageData);
-    }
+    const pagesCreated = await addFilesAsPages(claim, req.files);
+
+    await claimRepository.save(claim);
 
     res.json({
       success: true,
@@ -174,6 +177,7 @@ router.post('/documents/:claimId', upload.array('documents', 20), async (req, re
       data: {
         claimId: claim.id,
         newDocumentsAdded: req.files.length,
+        pagesCreated,
         totalDocuments: claim.pages.length,
         updatedAt: claim.updatedAt
       }
@@ -206,7 +210,7 @@ router.delete('/document/:claimId/:pageId', async (req, res) => {
     const { claimId, pageId } = req.params;
     
     // Find claim
-    const claim = claims.find(c => c.id === claimId);
+    const claim = claimRepository.findById(claimId);
     
     if (!claim) {
       return res.status(404).json({
@@ -222,34 +226,43 @@ router.delete('/document/:claimId/:pageId', async (req, res) => {
       });
     }
 
-    // Find page
-    const pageIndex = claim.pages.findIndex(p => p.id === pageId);
+    if (claimProcessingService.isProcessing(claim)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Claim is being processed; try again when the job has finished'
+      });
+    }
+
+    // Remove page from claim and its document group, renumbering the rest
+    const page = claim.removePage(pageId);
     
-    if (pageIndex === -1) {
+    if (!page) {
       return res.status(404).json({
         success: false,
         error: 'Page not found'
       });
     }
+    await claimRepository.save(claim);
 
-    const page = claim.pages[pageIndex];
-    
-    // Delete file from disk
-    try {
-      await fs.unlink(page.path);
-    } catch (unlinkError) {
-      console.error('Error deleting file:', unlinkError);
-    }
+    // Delete files from disk, keeping a source PDF still used by other pages
+    const filesToDelete = [page.path, page.thumbnailPath, page.source && page.source.path]
+      .filter((filePath, index, all) => filePath && all.indexOf(filePath) === index)
+      .filter(filePath => !claim.pages.some(p =>
+        p.path === filePath || (p.source && p.source.path === filePath)
+      ));
 
-    // Remove page from claim
-    claim.pages.splice(pageIndex, 1);
+    for (const filePath of filesToDelete) {
+      try {
+        await fs.unlink(filePath);
+      } catch (unlinkError) {
+        console.error('Error deleting file:', unlinkError);
+      }
+    }
     
-    // Reorder remaining pages
-    claim.pages.forEach((p, index) => {
-      p.pageNumber = index + 1;
-    });
-
-    claim.updatedAt = new Date().toISOString();
+    // Regroup the remaining pages; groups that changed are re-extracted and
+    // the business checks re-run
+    const reextracted = await claimProcessingService.regroupDocuments(claim);
+    await claimRepository.save(claim);
 
     res.json({
       success: true,
@@ -258,6 +271,7 @@ router.delete('/document/:claimId/:pageId', async (req, res) => {
         claimId: claim.id,
         pageId: pageId,
         remainingDocuments: claim.pages.length,
+        reextracted,
         updatedAt: claim.updatedAt
       }
     });
@@ -277,7 +291,7 @@ router.get('/claim/:claimId/documents', (req, res) => {
     const { claimId } = req.params;
     
     // Find claim
-    const claim = claims.find(c => c.id === claimId);
+    const claim = claimRepository.findById(claimId);
     
     if (!claim) {
       return res.status(404).json({
@@ -293,6 +307,8 @@ router.get('/claim/:claimId/documents', (req, res) => {
       originalName: page.originalName,
       mimetype: page.mimetype,
       size: page.size,
+      thumbnailPath: page.thumbnailPath,
+      sourcePageNumber: page.source ? page.source.pageNumber : null,
       documentType: page.documentType,
       confidence: page.confidence,
       uploadedAt: page.createdAt
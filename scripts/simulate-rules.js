@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Dry-run a candidate rule set configuration and/or exclusion catalogue
+// against the stored claims and write the diff report. Nothing is saved.
+//
+//   npm run simulate -- --rules candidate_rules.json --exclusions candidate_exclusions.json \
+//     [--claims id1,id2] [--format json|csv] [--out report.csv]
+const fs = require('fs').promises;
+const path = require('path');
+const RuleSimulator = require('../services/RuleSimulator');
+const { claimRepository } = require('../services/ClaimRepository');
+const { policyRepository } = require('../services/PolicyRepository');
+const { loadTaxonomy } = require('../services/DocumentTaxonomy');
+
+const USAGE = 'Usage: simulate-rules --rules <file> | --exclusions <file> [--claims id1,id2] [--format json|csv] [--out <file>]';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(USAGE);
+    }
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(path.resolve(file), 'utf8'));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const format = args.format || 'json';
+  if ((!args.rules && !args.exclusions) || !['json', 'csv'].includes(format)) {
+    throw new Error(USAGE);
+  }
+
+  loadTaxonomy();
+  await claimRepository.load();
+  await policyRepository.load();
+
+  const simulator = new RuleSimulator();
+  const report = await simulator.simulate({
+    rules: args.rules ? await readJson(args.rules) : undefined,
+    exclusions: args.exclusions ? await readJson(args.exclusions) : undefined
+  }, {
+    claimIds: args.claims ? args.claims.split(',') : undefined
+  });
+
+  const output = format === 'csv' ? simulator.toCSV(report) : `${JSON.stringify(report, null, 2)}\n`;
+  if (args.out) {
+    await fs.writeFile(path.resolve(args.out), output);
+    const { claimsEvaluated, claimsChanged } = report.summary;
+    console.log(`${claimsChanged} of ${claimsEvaluated} claims would change; report written to ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -10,6 +10,15 @@ const fs = require('fs').promises;
 const claimsRoutes = require('./routes/claims');
 const aiRoutes = require('./routes/ai');
 const uploadRoutes = require('./routes/upload');
+const jobsRoutes = require('./routes/jobs');
+const policiesRoutes = require('./routes/policies');
+const adminRoutes = require('./routes/admin');
+const { claimRepository } = require('./services/ClaimRepository');
+const { jobQueue } = require('./services/JobQueue');
+const { policyRepository } = require('./services/PolicyRepository');
+const { pageClassifier } = require('./services/PageClassifier');
+const { loadTaxonomy } = require('./services/DocumentTaxonomy');
+const { exclusionCatalogue } = require('./services/ExclusionCatalogue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -37,6 +46,9 @@ app.use('/uploads', express.static('uploads'));
 app.use('/api/claims', claimsRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/policies', policiesRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -71,6 +83,30 @@ async function ensureDirectories() {
 // Start server
 async function startServer() {
   await ensureDirectories();
+
+  // Fail fast on an invalid document taxonomy
+  const taxonomy = loadTaxonomy();
+  console.log(`Loaded ${taxonomy.types.length} document types`);
+
+  // Published exclusion catalogue versions, else the seed catalogue
+  await exclusionCatalogue.reload();
+  console.log(`Exclusion catalogue version ${exclusionCatalogue.selectVersion().version} in force`);
+
+  // Rehydrate persisted claims before accepting requests
+  const claimCount = await claimRepository.load();
+  console.log(`Loaded ${claimCount} claims from storage`);
+
+  // Member and policy registry that claims are checked against
+  const policyCount = await policyRepository.load();
+  console.log(`Loaded ${policyCount} policies from storage`);
+
+  // Reviewer-labelled pages and the last retrained classifier model
+  const labelledPages = await pageClassifier.load();
+  console.log(`Loaded ${labelledPages} reviewer-labelled pages for the page classifier`);
+
+  // Resume processing jobs interrupted by the last shutdown
+  const resumedJobs = await jobQueue.load();
+  console.log(`Resumed ${resumedJobs} processing jobs`);
   
   app.listen(PORT, () => {
     console.log(`Smart Claims Server running on port ${PORT}`);
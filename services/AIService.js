@@ -2,9 +2,43 @@ const Tesseract = require('tesseract.js');
 const pdfParse = require('pdf-parse');
 const fs = require('fs').promises;
 const path = require('path');
+const PdfPageSplitter = require('./PdfPageSplitter');
+const ImagePreprocessor = require('./ImagePreprocessor');
+const { buildOcrLayout } = require('./OcrLayout');
+const LLMExtractionProvider = require('./LLMExtractionProvider');
+const BillTableParser = require('./BillTableParser');
+const { parseAmount, findAmount, findAmountInWords, findTotalAmount } = require('./AmountParser');
+const { extractDate, extractTime } = require('./DateExtractor');
+const { buildFieldProvenance } = require('./FieldProvenance');
+const { pageClassifier } = require('./PageClassifier');
+const { getSchema, mergeWithFallback } = require('./ExtractionSchemas');
+const { getDocumentType } = require('./DocumentTaxonomy');
+
+// Output format requested from providers for each configured field type
+const CONFIGURED_PROMPT_TYPES = {
+  string: 'string or null',
+  number: 'number or null',
+  amount: 'number or null',
+  date: 'YYYY-MM-DD or null'
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 class AIService {
-  constructor() {
+  constructor(options = {}) {
+    this.imagePreprocessor = options.imagePreprocessor || new ImagePreprocessor(options.preprocessing);
+    this.billTableParser = options.billTableParser || new BillTableParser();
+    this.pageClassifier = options.pageClassifier || pageClassifier;
+
+    // Extraction provider: 'deterministic' (regex) or 'llm' (OpenAI-compatible endpoint).
+    // Deterministic extraction always runs as the field-by-field fallback.
+    this.extractionProviderName = options.extractionProvider || process.env.EXTRACTION_PROVIDER || 'deterministic';
+    this.extractionProvider = this.extractionProviderName === 'llm'
+      ? (options.llmProvider || new LLMExtractionProvider(options.llm))
+      : null;
+
     this.classificationPrompts = {
       prescription: `Analyze this document and classify it as a prescription if it contains:
         - Doctor's prescription details
@@ -66,33 +100,60 @@ class AIService {
               "type": "medicine|supplement|lab",
               "brand": "string or null",
               "composition": "string or null",
+              "batch": "string or null",
+              "quantity": "number or null",
+              "unit_price": "number or null",
+              "mrp": "number or null",
               "price": "number",
               "discount": "number or null",
+              "tax": "number or null",
+              "tax_rate": "number or null",
               "final": "number"
             }
           ],
           "total_paid_amount": "number",
+          "total_amount_in_words": "number or null (the total as written in words, converted to a number)",
           "facility_name": "string",
           "facility_address": "string",
           "tnc_eligible": "boolean"
+        }`,
+
+      report: `Extract the following fields from this lab report document:
+        {
+          "lab_name": "string or null",
+          "report_date": "YYYY-MM-DD or null",
+          "patient_name": "string or null",
+          "tests": [
+            {
+              "test_name": "string",
+              "value": "number or string",
+              "unit": "string or null",
+              "reference_range": "string or null",
+              "abnormal_flag": "high|low|abnormal or null"
+            }
+          ]
         }`
     };
   }
 
   // Classify a single page
-  async classifyPage(pageData) {
+  async classifyPage(pageData, options = {}) {
     try {
       // Extract text from the page
-      const extractedText = await this.extractTextFromPage(pageData);
+      const { text: extractedText, preprocessing, ocr } = await this.readPage(pageData, options);
       
-      // Use deterministic classification based on text content
-      const classification = this.deterministicClassification(extractedText);
+      // Local statistical classifier; low-confidence pages come back as 'unknown'
+      const classification = this.pageClassifier.classify(extractedText);
       
       return {
         type: classification.type,
         confidence: classification.confidence,
-        extractedText: extractedText.substring(0, 500), // Limit text for storage
-        reason: classification.reason
+        extractedText,
+        reason: classification.reason,
+        predictedType: classification.predictedType,
+        needsReview: classification.needsReview,
+        preprocessing,
+        ocr
       };
     } catch (error) {
       console.error('Error classifying page:', error);
@@ -100,34 +161,58 @@ class AIService {
         type: 'unknown',
         confidence: 0,
         extractedText: null,
-        reason: 'Error during classification'
+        reason: 'Error during classification',
+        predictedType: null,
+        needsReview: true,
+        preprocessing: null,
+        ocr: null
       };
     }
   }
 
   // Extract text from different file types
-  async extractTextFromPage(pageData) {
+  async extractTextFromPage(pageData, options = {}) {
+    const { text } = await this.readPage(pageData, options);
+    return text;
+  }
+
+  // Read a page's text along with its OCR layout and the image preprocessing applied, if any.
+  // options.preprocessing overrides the preprocessing pipeline for this call.
+  async readPage(pageData, options = {}) {
     const filePath = pageData.path;
     const mimetype = pageData.mimetype;
 
     try {
+      // Pages split from a PDF carry their own text layer
+      if (pageData.embeddedText && pageData.embeddedText.trim().length > 0) {
+        return { text: pageData.embeddedText, preprocessing: null, ocr: null };
+      }
+
       if (mimetype === 'application/pdf') {
-        return await this.extractTextFromPDF(filePath);
+        const pageNumber = pageData.source ? pageData.source.pageNumber : null;
+        return { text: await this.extractTextFromPDF(filePath, pageNumber), preprocessing: null, ocr: null };
       } else if (mimetype.startsWith('image/')) {
-        return await this.extractTextFromImage(filePath);
+        const { text, preprocessing, ocr } = await this.recognizeImage(filePath, options.preprocessing);
+        return { text, preprocessing, ocr };
       } else {
         throw new Error(`Unsupported file type: ${mimetype}`);
       }
     } catch (error) {
       console.error('Error extracting text:', error);
-      return '';
+      return { text: '', preprocessing: null, ocr: null };
     }
   }
 
-  // Extract text from PDF
-  async extractTextFromPDF(filePath) {
+  // Extract text from PDF, optionally limited to a single page
+  async extractTextFromPDF(filePath, pageNumber = null) {
     try {
       const dataBuffer = await fs.readFile(filePath);
+
+      if (pageNumber) {
+        const pageTexts = await new PdfPageSplitter().extractPageTexts(dataBuffer);
+        return pageTexts[pageNumber - 1] || '';
+      }
+
       const data = await pdfParse(dataBuffer);
       return data.text || '';
     } catch (error) {
@@ -137,90 +222,64 @@ class AIService {
   }
 
   // Extract text from image using OCR
-  async extractTextFromImage(filePath) {
+  async extractTextFromImage(filePath, preprocessingOptions = {}) {
+    const { text } = await this.recognizeImage(filePath, preprocessingOptions);
+    return text;
+  }
+
+  // Preprocess an image and run OCR on the result. Falls back to the original
+  // image when preprocessing fails so a bad photo never blocks OCR entirely.
+  async recognizeImage(filePath, preprocessingOptions = {}) {
+    let input = filePath;
+    let preprocessing = null;
+
+    try {
+      const result = await this.imagePreprocessor.preprocess(filePath, preprocessingOptions);
+      if (result.buffer) {
+        input = result.buffer;
+        preprocessing = { steps: result.steps, error: null };
+      }
+    } catch (error) {
+      console.error('Error preprocessing image, using original:', error);
+      preprocessing = { steps: [], error: error.message };
+    }
+
     try {
-      const { data: { text } } = await Tesseract.recognize(filePath, 'eng', {
+      const { data } = await Tesseract.recognize(input, 'eng', {
         logger: m => console.log(m)
       });
-      return text || '';
+      const ocr = buildOcrLayout(data);
+      return { text: data.text || '', confidence: ocr.confidence, ocr, preprocessing };
     } catch (error) {
       console.error('Error OCR processing:', error);
-      return '';
+      return { text: '', confidence: null, ocr: null, preprocessing };
     }
   }
 
-  // Deterministic classification based on text content
-  deterministicClassification(text) {
-    const lowerText = text.toLowerCase();
-    
-    // Prescription indicators
-    const prescriptionKeywords = [
-      'prescription', 'rx', 'medication', 'dosage', 'frequency',
-      'doctor', 'physician', 'diagnosis', 'treatment', 'medicine',
-      'tablet', 'capsule', 'syrup', 'injection'
-    ];
-    
-    // Bill indicators
-    const billKeywords = [
-      'bill', 'invoice', 'total', 'amount', 'price', 'cost',
-      'payment', 'charges', 'line item', 'subtotal', 'tax',
-      'discount', 'final amount', 'due amount'
-    ];
-    
-    // Report indicators
-    const reportKeywords = [
-      'report', 'result', 'test', 'laboratory', 'lab', 'diagnostic',
-      'finding', 'analysis', 'examination', 'assessment', 'evaluation'
-    ];
-
-    // Count matches for each type
-    const prescriptionScore = prescriptionKeywords.filter(keyword => 
-      lowerText.includes(keyword)
-    ).length;
-    
-    const billScore = billKeywords.filter(keyword => 
-      lowerText.includes(keyword)
-    ).length;
-    
-    const reportScore = reportKeywords.filter(keyword => 
-      lowerText.includes(keyword)
-    ).length;
-
-    // Determine type based on highest score
-    let type = 'unknown';
-    let confidence = 0;
-    let reason = '';
-
-    if (prescriptionScore > billScore && prescriptionScore > reportScore && prescriptionScore > 0) {
-      type = 'prescription';
-      confidence = Math.min(0.9 + (prescriptionScore * 0.02), 0.98);
-      reason = `Contains ${prescriptionScore} prescription-related keywords`;
-    } else if (billScore > prescriptionScore && billScore > reportScore && billScore > 0) {
-      type = 'bill';
-      confidence = Math.min(0.9 + (billScore * 0.02), 0.98);
-      reason = `Contains ${billScore} billing-related keywords`;
-    } else if (reportScore > prescriptionScore && reportScore > billScore && reportScore > 0) {
-      type = 'report';
-      confidence = Math.min(0.9 + (reportScore * 0.02), 0.98);
-      reason = `Contains ${reportScore} report-related keywords`;
-    } else {
-      type = 'unknown';
-      confidence = 0.1;
-      reason = 'No clear document type indicators found';
+  // Run OCR on an image page with and without preprocessing for comparison
+  async comparePreprocessing(pageData, preprocessingOptions = {}) {
+    if (!pageData.mimetype || !pageData.mimetype.startsWith('image/')) {
+      throw new Error('Preprocessing comparison is only available for image pages');
     }
 
-    return { type, confidence, reason };
+    const original = await this.recognizeImage(pageData.path, { enabled: false });
+    const preprocessed = await this.recognizeImage(pageData.path, { ...preprocessingOptions, enabled: true });
+
+    return {
+      original: { text: original.text, confidence: original.confidence },
+      preprocessed: {
+        text: preprocessed.text,
+        confidence: preprocessed.confidence,
+        preprocessing: preprocessed.preprocessing
+      }
+    };
   }
 
   // Extract fields from prescription document
   async extractPrescriptionFields(documentData) {
     try {
-      const extractedText = documentData.pages.map(p => p.extractedText).join(' ');
-      
-      // Use deterministic extraction based on text patterns
-      const extractedFields = this.extractPrescriptionFieldsDeterministic(extractedText);
-      
-      return extractedFields;
+      const { data } = await this.extractDocument('prescription', documentData);
+      return data;
     } catch (error) {
       console.error('Error extracting prescription fields:', error);
       return this.getDefaultPrescriptionFields();
@@ -230,31 +289,250 @@ class AIService {
   // Extract fields from bill document
   async extractBillFields(documentData) {
     try {
-      const extractedText = documentData.pages.map(p => p.extractedText).join(' ');
-      
-      // Use deterministic extraction based on text patterns
-      const extractedFields = this.extractBillFieldsDeterministic(extractedText);
-      
-      return extractedFields;
+      const { data } = await this.extractDocument('bill', documentData);
+      return data;
     } catch (error) {
       console.error('Error extracting bill fields:', error);
       return this.getDefaultBillFields();
     }
   }
 
+  // Extract fields from lab report document
+  async extractReportFields(documentData) {
+    try {
+      const { data } = await this.extractDocument('report', documentData);
+      return data;
+    } catch (error) {
+      console.error('Error extracting report fields:', error);
+      return this.getDefaultReportFields();
+    }
+  }
+
+  // Extract a document's fields with the configured provider, validating the
+  // output against the schema and falling back to deterministic extraction for
+  // each missing or invalid field. Returns { data, extraction } where
+  // extraction.fieldSources records which provider produced each field.
+  async extractDocument(documentType, documentData) {
+    // Reports and bill tables are parsed line by line, so keep page line breaks
+    const extractedText = documentData.pages.map(p => p.extractedText).join('\n');
+    let deterministic;
+    try {
+      deterministic = this.extractDeterministic(documentType, extractedText, documentData.pages);
+    } catch (error) {
+      console.error(`Error in deterministic ${documentType} extraction:`, error);
+      deterministic = this.getDefaultFields(documentType);
+    }
+
+    if (!this.extractionProvider) {
+      const fieldSources = {};
+      Object.keys(getSchema(documentType) || deterministic).forEach(field => {
+        fieldSources[field] = 'deterministic';
+      });
+      return {
+        data: deterministic,
+        extraction: {
+          provider: 'deterministic',
+          fieldSources,
+          fields: this.describeFields(documentType, deterministic, documentData.pages, fieldSources),
+          validationErrors: {},
+          error: null
+        }
+      };
+    }
+
+    let providerOutput = null;
+    let providerError = null;
+    try {
+      providerOutput = await this.extractionProvider.extract(
+        documentType,
+        extractedText,
+        this.getExtractionPrompt(documentType)
+      );
+    } catch (error) {
+      console.error(`Error extracting ${documentType} fields with ${this.extractionProvider.name}:`, error);
+      providerError = error.message;
+    }
+    providerOutput = this.normalizeAmounts(documentType, providerOutput);
+
+    const { data, fieldSources, validationErrors } = mergeWithFallback(
+      documentType,
+      providerOutput,
+      deterministic,
+      this.extractionProvider.name
+    );
+    this.reconcileDateDetails(data, fieldSources, deterministic.date_details);
+
+    return {
+      data,
+      extraction: {
+        provider: this.extractionProvider.name,
+        fieldSources,
+        fields: this.describeFields(documentType, data, documentData.pages, fieldSources),
+        validationErrors,
+        error: providerError
+      }
+    };
+  }
+
+  // Confidence, source page, text span and default flag for each extracted field
+  describeFields(documentType, data, pages, fieldSources) {
+    return buildFieldProvenance(documentType, data, pages, {
+      fieldSources,
+      defaults: this.getDefaultFields(documentType)
+    });
+  }
+
+  // Date details always come from the deterministic extractor; a date taken
+  // from the provider keeps only its value and source
+  reconcileDateDetails(data, fieldSources, deterministicDetails = {}) {
+    const details = {};
+    Object.entries(deterministicDetails || {}).forEach(([field, detail]) => {
+      details[field] = fieldSources[field] === 'deterministic' || data[field] === detail.value
+        ? detail
+        : { value: data[field], label: null, confidence: null, ambiguous: false, source: fieldSources[field] };
+    });
+    data.date_details = details;
+    fieldSources.date_details = 'deterministic';
+  }
+
+  // Prompt for a built-in type, or one listing a configured type's fields
+  getExtractionPrompt(documentType) {
+    if (this.extractionPrompts[documentType]) {
+      return this.extractionPrompts[documentType];
+    }
+
+    const definition = getDocumentType(documentType);
+    if (!definition || definition.builtIn) return null;
+
+    const fields = Object.entries(definition.fields)
+      .map(([field, spec]) => `          "${field}": "${CONFIGURED_PROMPT_TYPES[spec.type]}"`)
+      .join(',\n');
+    return `Extract the following fields from this ${definition.label.toLowerCase()} document:
+        {
+${fields}
+        }`;
+  }
+
+  // Providers may return amounts as formatted strings ("₹1,200/-");
+  // convert them to numbers before schema validation
+  normalizeAmounts(documentType, data) {
+    if (!data) return data;
+
+    const toAmount = (value) => {
+      if (typeof value !== 'string') return value;
+      const amount = parseAmount(value);
+      return amount === null ? value : amount;
+    };
+
+    const definition = getDocumentType(documentType);
+    if (definition && !definition.builtIn) {
+      const normalized = { ...data };
+      Object.entries(definition.fields)
+        .filter(([, spec]) => spec.type === 'amount' || spec.type === 'number')
+        .forEach(([field]) => { normalized[field] = toAmount(data[field]); });
+      return normalized;
+    }
+
+    if (documentType !== 'bill') return data;
+    const amountFields = ['price', 'discount', 'unit_price', 'mrp', 'tax', 'final'];
+
+    return {
+      ...data,
+      total_paid_amount: toAmount(data.total_paid_amount),
+      total_amount_in_words: toAmount(data.total_amount_in_words),
+      line_items: Array.isArray(data.line_items)
+        ? data.line_items.map(item => {
+          if (!item || typeof item !== 'object') return item;
+          const normalized = { ...item };
+          amountFields.forEach(field => { normalized[field] = toAmount(item[field]); });
+          return normalized;
+        })
+        : data.line_items
+    };
+  }
+
+  // Deterministic extraction for a document type. Pages are passed so that
+  // extractors can use OCR geometry where they need it.
+  extractDeterministic(documentType, text, pages = []) {
+    const extractors = {
+      prescription: (t) => this.extractPrescriptionFieldsDeterministic(t),
+      bill: (t) => this.extractBillFieldsDeterministic(t, pages),
+      report: (t) => this.extractReportFieldsDeterministic(t)
+    };
+
+    if (extractors[documentType]) {
+      return extractors[documentType](text);
+    }
+
+    const definition = getDocumentType(documentType);
+    if (!definition || definition.builtIn) {
+      throw new Error(`Unsupported document type for extraction: ${documentType}`);
+    }
+    return this.extractConfiguredFieldsDeterministic(definition, text);
+  }
+
+  // Deterministic extraction for a configured type: each field is the text
+  // after one of its labels, either at the start of a cell (lines are split
+  // into cells at wide gaps and "|") or followed by a colon, up to the end of
+  // the cell or the next "label:"
+  extractConfiguredFieldsDeterministic(definition, text) {
+    const cells = text.split(/\r?\n|\s{2,}|\|/).map(cell => cell.trim()).filter(cell => cell.length > 0);
+    const allLabels = Object.values(definition.fields).flatMap(spec => spec.labels);
+    const nextLabel = new RegExp(`\\s(?:${allLabels.map(escapeRegExp).join('|')})\\s*:`, 'i');
+
+    const readValue = (labels) => {
+      const ordered = [...labels].sort((a, b) => b.length - a.length);
+      for (const label of ordered) {
+        const atCellStart = new RegExp(`^${escapeRegExp(label)}\\b\\s*[:\\-]?\\s*(.+)$`, 'i');
+        const withColon = new RegExp(`\\b${escapeRegExp(label)}\\s*:\\s*(.+)$`, 'i');
+        for (const cell of cells) {
+          const match = cell.match(atCellStart) || cell.match(withColon);
+          if (!match) continue;
+
+          let value = match[1];
+          const next = value.search(nextLabel);
+          if (next !== -1) value = value.slice(0, next);
+          value = value.trim().replace(/[,;:.]+$/, '');
+          if (value) return value;
+        }
+      }
+      return null;
+    };
+
+    const data = {};
+    const dates = {};
+    Object.entries(definition.fields).forEach(([field, spec]) => {
+      const raw = readValue(spec.labels);
+      if (raw === null) {
+        data[field] = null;
+        return;
+      }
+
+      if (spec.type === 'date') {
+        const date = extractDate(raw);
+        data[field] = date && date.valid ? date.value : null;
+        dates[field] = date ? { ...date, label: field } : null;
+      } else if (spec.type === 'amount') {
+        data[field] = findAmount(raw);
+      } else if (spec.type === 'number') {
+        const match = raw.match(/-?\d+(?:\.\d+)?/);
+        data[field] = match ? parseFloat(match[0]) : null;
+      } else {
+        data[field] = raw;
+      }
+    });
+
+    data.date_details = this.buildDateDetails(dates);
+    return data;
+  }
+
   // Deterministic prescription field extraction
   extractPrescriptionFieldsDeterministic(text) {
     const lowerText = text.toLowerCase();
     
-    // Extract date patterns
-    const datePattern = /(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})/g;
-    const dates = [...text.matchAll(datePattern)];
-    const prescriptionDate = dates.length > 0 ? this.formatDate(dates[0]) : null;
-    
-    // Extract time patterns
-    const timePattern = /(\d{1,2}):(\d{2})\s*(am|pm)?/gi;
-    const times = [...text.matchAll(timePattern)];
-    const prescriptionTime = times.length > 0 ? this.formatTime(times[0]) : null;
+    // Extract the prescription's own date and time (not dates of birth etc.)
+    const prescriptionDate = extractDate(text, ['prescription_date', 'visit_date']);
+    const prescriptionTime = extractTime(text);
     
     // Extract doctor name (simple pattern)
     const doctorPattern = /dr\.?\s*([a-z\s]+)/gi;
@@ -262,7 +540,7 @@ class AIService {
     const doctorName = doctorMatch ? doctorMatch[0].replace(/dr\.?\s*/i, '').trim() : null;
     
     // Extract facility name
-    const facilityPattern = /(?:hospital|clinic|medical center|healthcare)\s*:?\s*([a-z\s]+)/gi;
+    const facilityPattern = /(?:hospital|clinic|medical center|healthcare)\s*:?\s*([a-z\s]+)/i;
     const facilityMatch = text.match(facilityPattern);
     const facilityName = facilityMatch ? facilityMatch[1].trim() : null;
     
@@ -276,8 +554,8 @@ class AIService {
     
     return {
       prescription_number: this.extractPrescriptionNumber(text),
-      prescription_date: prescriptionDate,
-      prescription_time: prescriptionTime,
+      prescription_date: prescriptionDate ? prescriptionDate.value : null,
+      prescription_time: prescriptionTime ? prescriptionTime.value : null,
       visit_reason: this.extractVisitReason(text),
       doctor_sign_and_seal_present: doctorSignAndSealPresent,
       doctor_name: doctorName,
@@ -286,64 +564,136 @@ class AIService {
       prescription_orders: this.extractPrescriptionOrders(text),
       facility_name: facilityName,
       facility_address: this.extractFacilityAddress(text),
-      specialist_prescription: specialistPrescription
+      specialist_prescription: specialistPrescription,
+      date_details: this.buildDateDetails({ prescription_date: prescriptionDate, prescription_time: prescriptionTime })
     };
   }
 
   // Deterministic bill field extraction
-  extractBillFieldsDeterministic(text) {
+  extractBillFieldsDeterministic(text, pages = []) {
     const lowerText = text.toLowerCase();
     
-    // Extract date patterns
-    const datePattern = /(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})/g;
-    const dates = [...text.matchAll(datePattern)];
-    const billDate = dates.length > 0 ? this.formatDate(dates[0]) : null;
-    
-    // Extract time patterns
-    const timePattern = /(\d{1,2}):(\d{2})\s*(am|pm)?/gi;
-    const times = [...text.matchAll(timePattern)];
-    const billTime = times.length > 0 ? this.formatTime(times[0]) : null;
+    // Extract the bill's own date and time
+    const billDate = extractDate(text, ['bill_date', 'visit_date']);
+    const billTime = extractTime(text);
     
-    // Extract total amount
-    const totalPattern = /total[:\s]*[\$₹]?\s*(\d+(?:\.\d{2})?)/gi;
-    const totalMatch = text.match(totalPattern);
-    const totalPaidAmount = totalMatch ? parseFloat(totalMatch[1]) : 0;
+    // Extract total amount, and the amount in words printed for cross-checking
+    const totalPaidAmount = findTotalAmount(text) || 0;
+    const amountInWords = findAmountInWords(text);
     
-    // Extract line items (simplified)
-    const lineItems = this.extractLineItems(text);
+    // Extract line items from the item table
+    const lineItems = this.extractLineItems(text, pages);
     
     // Extract facility name
-    const facilityPattern = /(?:hospital|clinic|medical center|healthcare)\s*:?\s*([a-z\s]+)/gi;
+    const facilityPattern = /(?:hospital|clinic|medical center|healthcare)\s*:?\s*([a-z\s]+)/i;
     const facilityMatch = text.match(facilityPattern);
     const facilityName = facilityMatch ? facilityMatch[1].trim() : null;
     
     return {
       bill_number: this.extractBillNumber(text),
-      bill_date: billDate,
-      bill_time: billTime,
+      bill_date: billDate ? billDate.value : null,
+      bill_time: billTime ? billTime.value : null,
       line_items: lineItems,
       total_paid_amount: totalPaidAmount,
+      total_amount_in_words: amountInWords ? amountInWords.amount : null,
       facility_name: facilityName,
       facility_address: this.extractFacilityAddress(text),
-      tnc_eligible: true // Default to eligible, will be checked by business logic
+      tnc_eligible: true, // Default to eligible, will be checked by business logic
+      date_details: this.buildDateDetails({ bill_date: billDate, bill_time: billTime })
+    };
+  }
+
+  // Deterministic lab report field extraction
+  extractReportFieldsDeterministic(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+
+    // Lab name: first line naming a laboratory, diagnostics centre or pathology
+    const labLine = lines.find(line => /\b(laborator(?:y|ies)|labs?|diagnostics?|pathology)\b/i.test(line));
+
+    const reportDate = extractDate(text, ['report_date', 'collection_date']);
+
+    const patientPattern = /(?:patient(?:'s)?\s*name|patient|name)\s*:\s*([a-z][a-z .]*[a-z])/i;
+    const patientMatch = text.match(patientPattern);
+
+    return {
+      lab_name: labLine || null,
+      report_date: reportDate ? reportDate.value : null,
+      patient_name: patientMatch ? patientMatch[1].trim() : null,
+      tests: this.extractReportTests(lines),
+      date_details: this.buildDateDetails({ report_date: reportDate })
     };
   }
 
+  // Parse result rows such as "Haemoglobin 11.2 g/dL 13.0 - 17.0 L"
+  extractReportTests(lines) {
+    const rowPattern = /^([a-z][a-z0-9 ()\/.,-]*?)\s*:?\s+(-?\d+(?:\.\d+)?)\s*(\/?[a-zµ%][a-zµ%\/^0-9.]*)?\s*(\d+(?:\.\d+)?\s*-\s*\d+(?:\.\d+)?|[<>]=?\s*\d+(?:\.\d+)?)?\s*(h|l|high|low|\*)?$/i;
+    const unitPattern = /[\/%]|^(fl|pg|iu|miu|meq|mmol|ng|mg|g|sec|mm)$/i;
+    const tests = [];
+
+    lines.forEach(line => {
+      const match = line.match(rowPattern);
+      if (!match) return;
+
+      const [, name, rawValue, unit, referenceRange, flag] = match;
+      // Skip header rows like "Age: 34 Years" that have neither a range nor a lab unit
+      if (!referenceRange && !(unit && unitPattern.test(unit))) return;
+
+      const value = parseFloat(rawValue);
+      tests.push({
+        test_name: name.trim(),
+        value,
+        unit: unit || null,
+        reference_range: referenceRange ? referenceRange.replace(/\s+/g, ' ').trim() : null,
+        abnormal_flag: this.determineAbnormalFlag(value, referenceRange, flag)
+      });
+    });
+
+    return tests;
+  }
+
+  // Use the printed flag when present, otherwise compare the value to the range
+  determineAbnormalFlag(value, referenceRange, flag) {
+    if (flag) {
+      const normalized = flag.toLowerCase();
+      if (normalized.startsWith('h')) return 'high';
+      if (normalized.startsWith('l')) return 'low';
+      return 'abnormal';
+    }
+
+    if (!referenceRange) return null;
+
+    const rangeMatch = referenceRange.match(/(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)/);
+    if (rangeMatch) {
+      if (value < parseFloat(rangeMatch[1])) return 'low';
+      if (value > parseFloat(rangeMatch[2])) return 'high';
+      return null;
+    }
+
+    const limitMatch = referenceRange.match(/([<>])=?\s*(\d+(?:\.\d+)?)/);
+    if (limitMatch) {
+      const limit = parseFloat(limitMatch[2]);
+      if (limitMatch[1] === '<' && value > limit) return 'high';
+      if (limitMatch[1] === '>' && value < limit) return 'low';
+    }
+
+    return null;
+  }
+
   // Helper methods for field extraction
   extractPrescriptionNumber(text) {
-    const pattern = /prescription\s*(?:no|number|#)?\s*:?\s*([a-z0-9\-]+)/gi;
+    const pattern = /prescription\s*(?:no|number|#)?\s*:?\s*([a-z0-9\-]+)/i;
     const match = text.match(pattern);
     return match ? match[1] : null;
   }
 
   extractBillNumber(text) {
-    const pattern = /bill\s*(?:no|number|#)?\s*:?\s*([a-z0-9\-]+)/gi;
+    const pattern = /bill\s*(?:no|number|#)?\s*:?\s*([a-z0-9\-]+)/i;
     const match = text.match(pattern);
     return match ? match[1] : null;
   }
 
   extractVisitReason(text) {
-    const pattern = /(?:visit reason|reason for visit|complaint)\s*:?\s*([^.]+)/gi;
+    const pattern = /(?:visit reason|reason for visit|complaint)\s*:?\s*([^.]+)/i;
     const match = text.match(pattern);
     return match ? match[1].trim() : 'General consultation';
   }
@@ -380,54 +730,43 @@ class AIService {
     ];
   }
 
-  extractLineItems(text) {
-    const items = [];
-    const pricePattern = /([a-z\s]+)\s*[\$₹]?\s*(\d+(?:\.\d{2})?)/gi;
-    const matches = [...text.matchAll(pricePattern)];
-    
-    matches.forEach(match => {
-      items.push({
-        name: match[1].trim(),
-        type: 'medicine',
-        brand: null,
-        composition: null,
-        price: parseFloat(match[2]),
-        discount: 0,
-        final: parseFloat(match[2])
-      });
-    });
-    
-    return items.length > 0 ? items : [
-      { name: 'General service', type: 'medicine', brand: null, composition: null, price: 100, discount: 0, final: 100 }
-    ];
+  // Line items from the bill's item table; empty when no table or item lines are found
+  extractLineItems(text, pages = []) {
+    return this.billTableParser.parse(text, pages).items;
   }
 
   extractFacilityAddress(text) {
-    const pattern = /(?:address|location)\s*:?\s*([^.]+)/gi;
+    const pattern = /(?:address|location)\s*:?\s*([^.]+)/i;
     const match = text.match(pattern);
     return match ? match[1].trim() : 'Address not specified';
   }
 
-  formatDate(dateMatch) {
-    const [, day, month, year] = dateMatch;
-    const fullYear = year.length === 2 ? `20${year}` : year;
-    return `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  // Date/time provenance keyed by field: label, confidence and ambiguity
+  buildDateDetails(fields) {
+    const details = {};
+    Object.entries(fields).forEach(([field, result]) => {
+      if (result) {
+        details[field] = { ...result, source: 'deterministic' };
+      }
+    });
+    return details;
   }
 
-  formatTime(timeMatch) {
-    const [, hour, minute, ampm] = timeMatch;
-    let hour24 = parseInt(hour);
-    
-    if (ampm && ampm.toLowerCase() === 'pm' && hour24 !== 12) {
-      hour24 += 12;
-    } else if (ampm && ampm.toLowerCase() === 'am' && hour24 === 12) {
-      hour24 = 0;
+  // Default field values for fallback
+  getDefaultFields(documentType) {
+    const definition = getDocumentType(documentType);
+    if (definition && !definition.builtIn) {
+      return this.getDefaultConfiguredFields(definition);
     }
-    
-    return `${hour24.toString().padStart(2, '0')}:${minute}`;
+
+    const defaults = {
+      prescription: () => this.getDefaultPrescriptionFields(),
+      bill: () => this.getDefaultBillFields(),
+      report: () => this.getDefaultReportFields()
+    };
+    return (defaults[documentType] || defaults.bill)();
   }
 
-  // Default field values for fallback
   getDefaultPrescriptionFields() {
     return {
       prescription_number: null,
@@ -443,7 +782,8 @@ class AIService {
       ],
       facility_name: 'Medical Facility',
       facility_address: 'Address not specified',
-      specialist_prescription: false
+      specialist_prescription: false,
+      date_details: {}
     };
   }
 
@@ -452,15 +792,32 @@ class AIService {
       bill_number: null,
       bill_date: null,
       bill_time: null,
-      line_items: [
-        { name: 'General service', type: 'medicine', brand: null, composition: null, price: 100, discount: 0, final: 100 }
-      ],
-      total_paid_amount: 100,
+      line_items: [],
+      total_paid_amount: 0,
+      total_amount_in_words: null,
       facility_name: 'Medical Facility',
       facility_address: 'Address not specified',
-      tnc_eligible: true
+      tnc_eligible: true,
+      date_details: {}
+    };
+  }
+
+  // Configured types have no sensible fallback values, so every field is null
+  getDefaultConfiguredFields(definition) {
+    const fields = {};
+    Object.keys(definition.fields).forEach(field => { fields[field] = null; });
+    return { ...fields, date_details: {} };
+  }
+
+  getDefaultReportFields() {
+    return {
+      lab_name: null,
+      report_date: null,
+      patient_name: null,
+      tests: [],
+      date_details: {}
     };
   }
 }
 
-module.exports = AIService; 
\ No newline at end of file
+module.exports = AIService;
@@ -0,0 +1,168 @@
+// Parsing for Indian currency amounts: lakh/crore digit grouping, Rs/INR/₹
+// prefixes, "/-" suffixes and amounts written in words
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fourty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const SCALES = { thousand: 1e3, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, crore: 1e7, crores: 1e7 };
+const NUMERIC_SCALES = { lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, crore: 1e7, crores: 1e7, cr: 1e7 };
+
+// A number with optional Indian (1,23,456) or international (123,456) grouping
+const AMOUNT_NUMBER = '\\d{1,3}(?:,\\d{2,3})+(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?';
+// Thousands grouped with spaces (1 200). Only read right after a currency
+// prefix: elsewhere the gap as often separates two columns of a bill row.
+const SPACED_NUMBER = '\\d{1,3}(?: \\d{3})+(?:\\.\\d{1,2})?';
+const CURRENCY_PREFIX = '(?:₹|\\brs\\.?|\\binr|\\brupees)';
+// Without a currency prefix, up to three digits followed by groups of three
+// ("2 500") may be spaced thousands or two columns of a row; read as neither
+const AMBIGUOUS_SPACING = /^-?\s*\d{1,3}(?: \d{3})+(?!\d)/;
+// The amount with its currency prefix, if any, is the first capture group
+const AMOUNT_PATTERN = new RegExp(
+  `(${CURRENCY_PREFIX}\\s*(?:${SPACED_NUMBER}|${AMOUNT_NUMBER})|${AMOUNT_NUMBER})(?:\\s*\\/-)?`, 'i'
+);
+
+// Labels for a bill's payable total, most specific first
+const TOTAL_LABELS = [
+  'grand\\s*total',
+  'net\\s*(?:amount|payable)',
+  'amount\\s*payable',
+  'total\\s*amount',
+  'bill\\s*amount',
+  '(?<!sub\\s?)total'
+];
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+// Parse a single amount such as "₹1,23,456.50", "Rs. 2,400/-", "INR 1 200" or
+// "2.5 lakh". Space grouping needs the currency prefix. Numbers pass through;
+// returns null when no amount is present or the spacing is ambiguous.
+function parseAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const lower = value.toLowerCase();
+  const hasCurrency = new RegExp(`^\\s*-?\\s*${CURRENCY_PREFIX}`).test(lower);
+  if (!hasCurrency && AMBIGUOUS_SPACING.test(lower.trim())) return null;
+  const number = hasCurrency ? `${SPACED_NUMBER}|${AMOUNT_NUMBER}` : AMOUNT_NUMBER;
+  const cleaned = lower
+    .replace(/₹|\brs\b\.?|\binr\b|\brupees?\b|\/-|\bonly\b/g, ' ')
+    .trim();
+  const match = cleaned.match(new RegExp(`^(-)?\\s*(${number})\\s*([a-z]+)?`));
+  if (!match) return null;
+
+  const amount = parseFloat(match[2].replace(/[, ]/g, '')) * (NUMERIC_SCALES[match[3]] || 1);
+  return round(match[1] ? -amount : amount);
+}
+
+// Convert number words ("one lakh twenty three thousand") to a number; null if
+// any word is not part of a number
+function wordsToNumber(words) {
+  let total = 0;
+  let current = 0;
+  let seen = false;
+
+  for (const word of words) {
+    if (word === 'and') continue;
+
+    if (UNITS[word] !== undefined) {
+      current += UNITS[word];
+    } else if (TENS[word] !== undefined) {
+      current += TENS[word];
+    } else if (word === 'hundred') {
+      current = (current || 1) * 100;
+    } else if (SCALES[word] !== undefined) {
+      total += (current || 1) * SCALES[word];
+      current = 0;
+    } else {
+      return null;
+    }
+    seen = true;
+  }
+
+  return seen ? total + current : null;
+}
+
+// Parse an amount written in words, e.g. "Rupees Two Thousand Four Hundred
+// and Fifty Paise Only". Returns null if the text is not an amount in words.
+function parseAmountInWords(text) {
+  if (!text) return null;
+
+  const words = text.toLowerCase()
+    .replace(/\brs\b\.?|\binr\b|\brupees?\b|\bonly\b/g, ' ')
+    .split(/[\s,-]+/)
+    .filter(Boolean);
+
+  const paiseIndex = words.findIndex(word => word === 'paise' || word === 'paisa');
+  if (paiseIndex === -1) {
+    return wordsToNumber(words);
+  }
+
+  // Paise are the number words directly before "paise", after the last "and"
+  const andIndex = words.lastIndexOf('and', paiseIndex);
+  const rupees = andIndex === -1 ? 0 : wordsToNumber(words.slice(0, andIndex));
+  const paise = wordsToNumber(words.slice(andIndex + 1, paiseIndex));
+  if (rupees === null || paise === null) return null;
+
+  return round(rupees + paise / 100);
+}
+
+// Find an amount written in words in free text ("Rupees ... Only" or an
+// "Amount in words:" line). Returns { text, amount } or null.
+function findAmountInWords(text) {
+  if (!text) return null;
+
+  const patterns = [
+    /(?:rupees|rs\.?|inr)\s+((?:[a-z]+[\s,-]+){1,25}?)only\b/gi,
+    /amount\s+in\s+words\s*:?\s*([a-z][a-z\s,-]+)/gi
+  ];
+
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      const amount = parseAmountInWords(match[1]);
+      if (amount !== null && amount > 0) {
+        return { text: match[0].trim(), amount };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Find the first amount in text, or the first one printed after a label (a
+// regex source). An ambiguously spaced amount ("2 500") is read as none.
+function findAmount(text, label = null) {
+  if (!text) return null;
+
+  const source = label ? `${label}\\s*[:\\-]?\\s*${AMOUNT_PATTERN.source}` : AMOUNT_PATTERN.source;
+  const match = text.match(new RegExp(source, 'id'));
+  if (!match || AMBIGUOUS_SPACING.test(text.slice(match.indices[1][0]))) return null;
+  return parseAmount(match[1]);
+}
+
+// Find the amount following the most specific total label in a bill. A label
+// whose amount is ambiguously spaced ("Total 2 500") is passed over for the
+// next one.
+function findTotalAmount(text) {
+  if (!text) return null;
+
+  for (const label of TOTAL_LABELS) {
+    const amount = findAmount(text, `${label}\\s*(?:\\(.*?\\))?`);
+    if (amount !== null) return amount;
+  }
+
+  return null;
+}
+
+module.exports = {
+  AMOUNT_PATTERN,
+  parseAmount,
+  parseAmountInWords,
+  findAmount,
+  findAmountInWords,
+  findTotalAmount
+};
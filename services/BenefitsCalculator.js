@@ -0,0 +1,236 @@
+const path = require('path');
+const { versionsInForce, selectForInsurer, validateEntries } = require('./InsurerConfig');
+
+const DEFAULT_PLANS_PATH = path.join(__dirname, '../data/benefit_plans.json');
+
+// Line-item category for items that match no other category
+const OTHER_CATEGORY = 'other';
+
+const AMOUNT_KEYS = ['billed', 'excluded', 'capped', 'deductible', 'coPay', 'payable'];
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Adjudicates a claim's bills against the insurer's benefit plan
+// (data/benefit_plans.json or BENEFIT_PLANS_PATH). Every line item is taken
+// through, in order: policy exclusions, the category's per-item cap and
+// claim-wide sub-limit, the plan deductible, co-payment and finally the sum
+// insured still available. Each line records how much of the billed amount
+// went to each step, so billed = excluded + capped + deductible + coPay + payable.
+class BenefitsCalculator {
+  constructor(options = {}) {
+    const config = options.config ||
+      require(path.resolve(options.filePath || process.env.BENEFIT_PLANS_PATH || DEFAULT_PLANS_PATH));
+    this.load(config);
+  }
+
+  // Validate plans; throws when invalid
+  load(config) {
+    const plans = (config && config.plans) || [];
+    const errors = this.validatePlans(plans);
+    if (errors.length > 0) {
+      throw new Error(`Invalid benefit plans: ${errors.join('; ')}`);
+    }
+
+    // Every version is kept so claims are adjudicated on the plan in force on their date
+    this.plans = plans.map(plan => ({
+      id: plan.id,
+      version: plan.version,
+      effectiveFrom: plan.effectiveFrom,
+      effectiveTo: plan.effectiveTo,
+      description: plan.description || '',
+      default: plan.default === true,
+      insurers: plan.insurers || [],
+      annualSumInsured: plan.annualSumInsured,
+      deductible: plan.deductible || 0,
+      coPayPercent: plan.coPayPercent || 0,
+      categories: plan.categories || {}
+    }));
+    return this.plans;
+  }
+
+  validatePlans(plans) {
+    const errors = validateEntries(plans, 'plans');
+    if (!Array.isArray(plans) || plans.length === 0) return errors;
+
+    plans.forEach((plan, index) => {
+      const where = `plans[${index}]`;
+      if (!isAmount(plan.annualSumInsured)) {
+        errors.push(`${where}.annualSumInsured must be a non-negative amount`);
+      }
+      ['deductible', 'coPayPercent'].filter(key => plan[key] !== undefined && !isAmount(plan[key])).forEach(key => {
+        errors.push(`${where}.${key} must be a non-negative amount`);
+      });
+      if (plan.coPayPercent > 100) {
+        errors.push(`${where}.coPayPercent must be at most 100`);
+      }
+
+      Object.entries(plan.categories || {}).forEach(([category, limits]) => {
+        ['perItemCap', 'subLimit', 'coPayPercent'].filter(key => limits[key] !== undefined && !isAmount(limits[key])).forEach(key => {
+          errors.push(`${where}.categories.${category}.${key} must be a non-negative amount`);
+        });
+        if (limits.coPayPercent > 100) {
+          errors.push(`${where}.categories.${category}.coPayPercent must be at most 100`);
+        }
+        if (limits.match !== undefined) {
+          try {
+            new RegExp(limits.match, 'i');
+          } catch (error) {
+            errors.push(`${where}.categories.${category}.match is not a valid pattern`);
+          }
+        }
+      });
+    });
+    return errors;
+  }
+
+  // The plan of the insurer, or the default plan, in force on a YYYY-MM-DD date
+  selectPlan(insurer, date) {
+    return selectForInsurer(this.getPlans(date), insurer);
+  }
+
+  getPlans(date) {
+    return Object.values(versionsInForce(this.plans, date));
+  }
+
+  // First category whose pattern matches the item name, else the one named
+  // after the item type, else 'other'
+  categorize(plan, item) {
+    const name = item.name || '';
+    const matched = Object.entries(plan.categories)
+      .find(([, limits]) => limits.match && new RegExp(limits.match, 'i').test(name));
+    if (matched) return matched[0];
+
+    const type = (item.type || '').toLowerCase();
+    return plan.categories[type] ? type : OTHER_CATEGORY;
+  }
+
+  // Bill lines to adjudicate; a bill without line items is adjudicated on its total
+  collectLines(claim) {
+    return claim.bills.filter(bill => bill.extractedData).flatMap(bill => {
+      const items = bill.extractedData.line_items || [];
+      if (items.length === 0) {
+        return [{
+          billId: bill.id,
+          itemIndex: null,
+          item: { name: 'Bill total', type: null },
+          billed: bill.extractedData.total_paid_amount || 0,
+          reasons: ['No line items extracted; adjudicated on the bill total']
+        }];
+      }
+      return items.map((item, index) => ({
+        billId: bill.id,
+        itemIndex: index,
+        item,
+        billed: item.final || item.price || 0,
+        reasons: []
+      }));
+    });
+  }
+
+  // Adjudicate a claim. `exclusions` are the policy exclusions found by the
+  // business checks; options.date picks the plan versions in force (today by
+  // default), options.planId a plan other than the insurer's, and
+  // options.sumInsuredAvailable defaults to the plan's annual sum insured.
+  calculate(claim, exclusions = [], options = {}) {
+    const plan = (options.planId && this.getPlans(options.date).find(candidate => candidate.id === options.planId)) ||
+      this.selectPlan(claim.insurer, options.date);
+    const sumInsuredAvailable = isAmount(options.sumInsuredAvailable)
+      ? options.sumInsuredAvailable
+      : plan.annualSumInsured;
+
+    const subLimitsLeft = {};
+    let deductibleLeft = plan.deductible;
+    let sumInsuredLeft = sumInsuredAvailable;
+
+    const lines = this.collectLines(claim).map(({ billId, itemIndex, item, billed, reasons }) => {
+      const category = this.categorize(plan, item);
+      const limits = plan.categories[category] || {};
+      const line = {
+        billId,
+        itemIndex,
+        name: item.name,
+        category,
+        billed: round(billed),
+        excluded: 0,
+        capped: 0,
+        deductible: 0,
+        coPay: 0,
+        payable: 0,
+        reasons: [...reasons]
+      };
+
+      if (exclusions.some(exclusion => exclusion.item === item.name)) {
+        line.excluded = line.billed;
+        line.reasons.push('Excluded by policy terms');
+        return line;
+      }
+
+      let admissible = line.billed;
+      if (isAmount(limits.perItemCap) && admissible > limits.perItemCap) {
+        line.capped += admissible - limits.perItemCap;
+        admissible = limits.perItemCap;
+        line.reasons.push(`${category} capped at ${limits.perItemCap} per item`);
+      }
+      if (isAmount(limits.subLimit)) {
+        const left = subLimitsLeft[category] !== undefined ? subLimitsLeft[category] : limits.subLimit;
+        if (admissible > left) {
+          line.capped += admissible - left;
+          admissible = left;
+          line.reasons.push(`${category} sub-limit of ${limits.subLimit} reached`);
+        }
+        subLimitsLeft[category] = left - admissible;
+      }
+
+      line.deductible = Math.min(admissible, deductibleLeft);
+      deductibleLeft -= line.deductible;
+      admissible -= line.deductible;
+      if (line.deductible > 0) {
+        line.reasons.push(`Deductible of ${plan.deductible} applied`);
+      }
+
+      const coPayPercent = isAmount(limits.coPayPercent) ? limits.coPayPercent : plan.coPayPercent;
+      line.coPay = admissible * coPayPercent / 100;
+      admissible -= line.coPay;
+      if (line.coPay > 0) {
+        line.reasons.push(`${coPayPercent}% co-payment`);
+      }
+
+      if (admissible > sumInsuredLeft) {
+        line.capped += admissible - sumInsuredLeft;
+        admissible = sumInsuredLeft;
+        line.reasons.push('Sum insured exhausted');
+      }
+      sumInsuredLeft -= admissible;
+
+      // Payable is what remains of the rounded parts, so the line always adds up
+      ['capped', 'deductible', 'coPay'].forEach(key => { line[key] = round(line[key]); });
+      line.payable = round(line.billed - line.capped - line.deductible - line.coPay);
+      return line;
+    });
+
+    const totals = Object.fromEntries(AMOUNT_KEYS.map(key =>
+      [key, round(lines.reduce((sum, line) => sum + line[key], 0))]
+    ));
+
+    return {
+      plan: { id: plan.id, version: plan.version },
+      lines,
+      totals,
+      deductible: { amount: plan.deductible, applied: round(plan.deductible - deductibleLeft) },
+      sumInsured: {
+        annual: plan.annualSumInsured,
+        available: round(sumInsuredAvailable),
+        used: totals.payable,
+        remaining: round(sumInsuredAvailable - totals.payable)
+      }
+    };
+  }
+}
+
+module.exports = BenefitsCalculator;
@@ -0,0 +1,294 @@
+// Parses the item table of a bill into line items. Uses OCR word geometry to
+// map values to header columns when available, then falls back to the text
+// layout, and finally to conservative "name ... amount" lines.
+
+const { parseAmount } = require('./AmountParser');
+
+const COLUMN_SYNONYMS = {
+  serial: ['sno', 'srno', 'sr', 'sl', 'slno', '#'],
+  item: ['item', 'items', 'description', 'particulars', 'product', 'products', 'medicine', 'medicines', 'name', 'service', 'services', 'details'],
+  batch: ['batch', 'lot'],
+  expiry: ['exp', 'expiry', 'expdate'],
+  quantity: ['qty', 'quantity', 'qnty', 'units', 'nos'],
+  mrp: ['mrp'],
+  rate: ['rate', 'price', 'unitprice', 'cost'],
+  discount: ['disc', 'discount', 'dis'],
+  gst: ['gst', 'tax', 'cgst', 'sgst', 'igst', 'vat'],
+  amount: ['amount', 'amt', 'total', 'net', 'value', 'netamt']
+};
+
+const WORD_TO_COLUMN = Object.entries(COLUMN_SYNONYMS).reduce((map, [column, words]) => {
+  words.forEach(word => { map[word] = column; });
+  return map;
+}, {});
+
+// Columns holding numbers, in the order they usually appear
+const NUMERIC_COLUMNS = ['quantity', 'mrp', 'rate', 'discount', 'gst', 'amount'];
+const GST_SLABS = [0, 5, 12, 18, 28];
+
+const TOTAL_ROW_PATTERN = /^\s*(?:sub\s*-?\s*total|grand\s*total|total|net\s*(?:amount|payable)|amount\s*payable|round(?:ing)?\s*off|less\s*discount)\b/i;
+const NUMBER_TOKEN_PATTERN = /^(?:₹|rs\.?|inr)?-?[\d,]+(?:\.\d+)?%?(?:\/-)?$/i;
+const NON_ITEM_LINE_PATTERN = /\b(total|date|phone|mobile|tel|gstin|gst\s*no|bill|invoice|receipt|balance|paid|cash|change|tax|discount|round|age|reg)\b/i;
+const LAB_ITEM_PATTERN = /\b(test|profile|panel|cbc|lft|kft|hba1c|lipid|thyroid|culture|x-?ray|ultrasound|scan|ecg|urine)\b/i;
+const SUPPLEMENT_ITEM_PATTERN = /\b(supplement|protein|whey|multivitamin|vitamin|nutrition|omega)\b/i;
+
+class BillTableParser {
+  // Parse line items from a bill's text and (optionally) its OCR'd pages.
+  // Returns { items, method, columns } where method is one of
+  // 'ocr_table', 'text_table', 'lines' or 'none'.
+  parse(text, pages = []) {
+    const layoutPages = pages.filter(page => page && page.ocr && page.ocr.lines && page.ocr.lines.length > 0);
+
+    if (layoutPages.length > 0) {
+      const result = this.parseLayoutPages(layoutPages);
+      if (result.columns) {
+        return { items: result.items, method: 'ocr_table', columns: result.columns.map(c => c.key) };
+      }
+    }
+
+    const textResult = this.parseTextTable(text || '');
+    if (textResult.columns) {
+      return { items: textResult.items, method: 'text_table', columns: textResult.columns.map(c => c.key) };
+    }
+
+    const items = this.parseAmountLines(text || '');
+    return { items, method: items.length > 0 ? 'lines' : 'none', columns: [] };
+  }
+
+  // Table parsing with word geometry. The header found on one page is reused
+  // for continuation pages of the same bill.
+  parseLayoutPages(pages) {
+    let columns = null;
+    const items = [];
+
+    for (const page of pages) {
+      const { words, lines } = page.ocr;
+      let inTable = columns !== null;
+
+      for (const line of lines) {
+        const lineWords = words.slice(line.wordStart, line.wordEnd);
+        const header = this.matchHeader(lineWords);
+
+        if (header) {
+          columns = header;
+          inTable = true;
+          continue;
+        }
+        if (!inTable) continue;
+        if (TOTAL_ROW_PATTERN.test(line.text)) {
+          inTable = false;
+          continue;
+        }
+
+        const item = this.buildLineItem(this.assignToColumns(lineWords, columns));
+        if (item) {
+          items.push({ ...item, source: { pageId: page.id, line: lines.indexOf(line), bbox: line.bbox } });
+        }
+      }
+    }
+
+    return { items, columns };
+  }
+
+  // Table parsing from plain text: header keywords give the column order and
+  // numeric values are aligned to numeric columns from the right
+  parseTextTable(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    let columns = null;
+    let inTable = false;
+    const items = [];
+
+    lines.forEach(line => {
+      const tokens = line.split(/\s+/).map(token => ({ text: token, bbox: null }));
+      const header = this.matchHeader(tokens);
+
+      if (header) {
+        columns = header;
+        inTable = true;
+        return;
+      }
+      if (!inTable) return;
+      if (TOTAL_ROW_PATTERN.test(line)) {
+        inTable = false;
+        return;
+      }
+
+      const item = this.buildLineItem(this.splitTextRow(tokens.map(t => t.text), columns));
+      if (item) items.push(item);
+    });
+
+    return { items, columns };
+  }
+
+  // Last resort: "Item name ... 120.00" lines, skipping bill metadata lines
+  parseAmountLines(text) {
+    const linePattern = /^([a-z][a-z0-9 .,&()\/%-]*?)\s+(?:₹|rs\.?|inr)?\s*([\d,]+\.\d{2})(?:\/-)?$/i;
+
+    return text.split(/\r?\n/)
+      .map(line => line.trim())
+      .map(line => line.match(linePattern))
+      .filter(match => match && !NON_ITEM_LINE_PATTERN.test(match[1]))
+      .map(match => this.buildLineItem({ item: match[1], amount: match[2] }))
+      .filter(Boolean);
+  }
+
+  columnForWord(word) {
+    const normalized = (word || '').toLowerCase().replace(/[^a-z#]/g, '');
+    return WORD_TO_COLUMN[normalized] || null;
+  }
+
+  // Recognize a header row; returns ordered columns or null. Unrecognized words
+  // extend the previous column (e.g. "Batch No", "Item Name").
+  matchHeader(tokens) {
+    const columns = [];
+
+    tokens.forEach(token => {
+      const key = this.columnForWord(token.text);
+      const last = columns[columns.length - 1];
+
+      if (key && !(last && last.key === key)) {
+        columns.push({ key, bbox: token.bbox ? { ...token.bbox } : null });
+      } else if (last && last.bbox && token.bbox) {
+        last.bbox.x1 = Math.max(last.bbox.x1, token.bbox.x1);
+      }
+    });
+
+    const keys = columns.map(column => column.key);
+    const distinct = new Set(keys.filter(key => key !== 'serial'));
+    const hasValueColumn = keys.includes('amount') || keys.includes('rate');
+
+    return distinct.size >= 3 && keys.includes('item') && hasValueColumn ? columns : null;
+  }
+
+  // Place each word in the column whose span contains its centre
+  assignToColumns(words, columns) {
+    const boundaries = columns.slice(1).map((column, index) =>
+      (columns[index].bbox.x1 + column.bbox.x0) / 2
+    );
+    const cells = {};
+
+    words.forEach(word => {
+      const centre = (word.bbox.x0 + word.bbox.x1) / 2;
+      let index = boundaries.findIndex(boundary => centre < boundary);
+      if (index === -1) index = columns.length - 1;
+
+      const key = columns[index].key;
+      cells[key] = cells[key] ? `${cells[key]} ${word.text}` : word.text;
+    });
+
+    return cells;
+  }
+
+  // Split a text row into cells using the header's column order
+  splitTextRow(tokens, columns) {
+    const keys = columns.map(column => column.key);
+    const numericKeys = keys.filter(key => NUMERIC_COLUMNS.includes(key));
+    const cells = {};
+    const remaining = [...tokens];
+
+    if (keys[0] === 'serial' && remaining.length > 0 && /^\d+[.)]?$/.test(remaining[0])) {
+      remaining.shift();
+    }
+
+    // Trailing numbers map onto numeric columns, right-aligned
+    const numbers = [];
+    while (remaining.length > 0 && NUMBER_TOKEN_PATTERN.test(remaining[remaining.length - 1])) {
+      numbers.unshift(remaining.pop());
+    }
+    numericKeys.slice(-numbers.length).forEach((key, index) => {
+      if (numbers.length > 0) cells[key] = numbers[index];
+    });
+
+    // Expiry and batch codes sit between the name and the numbers
+    if (keys.includes('expiry') && remaining.length > 1 && /^\d{1,2}[\/-]\d{2,4}$/.test(remaining[remaining.length - 1])) {
+      cells.expiry = remaining.pop();
+    }
+    if (keys.includes('batch') && remaining.length > 1 && /^(?=.*\d)(?=.*[a-z])[a-z0-9-]+$/i.test(remaining[remaining.length - 1])) {
+      cells.batch = remaining.pop();
+    }
+
+    cells.item = remaining.join(' ');
+    return cells;
+  }
+
+  // Turn raw cells into a line item; returns null for rows that are not items
+  buildLineItem(cells) {
+    const name = (cells.item || '').replace(/^\d+[.)]?\s+/, '').trim();
+    if (!/[a-z]{2,}/i.test(name) || TOTAL_ROW_PATTERN.test(name)) return null;
+
+    const quantity = this.parseNumber(cells.quantity);
+    const mrp = this.parseNumber(cells.mrp);
+    const rate = this.parseNumber(cells.rate);
+    const amount = this.parseNumber(cells.amount);
+    const unitPrice = rate !== null ? rate : mrp;
+    const gross = unitPrice !== null ? this.round(unitPrice * (quantity !== null ? quantity : 1)) : null;
+
+    if (amount === null && gross === null) return null;
+
+    const discount = this.resolveDiscount(cells.discount, gross, amount);
+    const final = amount !== null ? amount : this.round(gross - (discount || 0));
+    const { tax, taxRate } = this.resolveTax(cells.gst);
+
+    return {
+      name,
+      type: this.classifyItemType(name),
+      brand: null,
+      composition: null,
+      batch: cells.batch || null,
+      quantity,
+      unit_price: unitPrice,
+      mrp,
+      price: gross !== null ? gross : this.round(final + (discount || 0)),
+      discount: discount || 0,
+      tax,
+      tax_rate: taxRate,
+      final
+    };
+  }
+
+  // Discount columns hold either a percentage or an amount; pick whichever
+  // reconciles gross and final amount
+  resolveDiscount(raw, gross, amount) {
+    const value = this.parseNumber(raw);
+    if (value === null) return null;
+
+    if (gross !== null && (String(raw).includes('%') || amount === null)) {
+      return String(raw).includes('%') ? this.round(gross * value / 100) : value;
+    }
+
+    if (gross !== null && amount !== null && value <= 100) {
+      const asPercent = Math.abs(gross * (1 - value / 100) - amount);
+      const asAmount = Math.abs(gross - value - amount);
+      return asPercent < asAmount ? this.round(gross * value / 100) : value;
+    }
+
+    return value;
+  }
+
+  // GST columns usually hold the rate; other values are taken as the tax amount
+  resolveTax(raw) {
+    const value = this.parseNumber(raw);
+    if (value === null) return { tax: null, taxRate: null };
+    if (String(raw).includes('%') || GST_SLABS.includes(value)) {
+      return { tax: null, taxRate: value };
+    }
+    return { tax: value, taxRate: null };
+  }
+
+  classifyItemType(name) {
+    if (LAB_ITEM_PATTERN.test(name)) return 'lab';
+    if (SUPPLEMENT_ITEM_PATTERN.test(name)) return 'supplement';
+    return 'medicine';
+  }
+
+  parseNumber(value) {
+    if (value === undefined || value === null) return null;
+    return parseAmount(String(value).replace(/%/g, ''));
+  }
+
+  round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+}
+
+module.exports = BillTableParser;
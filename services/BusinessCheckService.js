@@ -1,70 +1,301 @@
-const fs = require('fs').promises;
-const path = require('path');
-
-class BusinessCheckService {
-  constructor() {
-    this.tncExclusions = null;
-    this.loadTncExclusions();
-  }
-
-  // to Load T&C exclusions from JSON file
-  async loadTncExclusions() {
-    try {
-      const tncPath = path.join(__dirname, '../data/tnc_exclusions.json');
-      const data = await fs.readFile(tncPath, 'utf8');
-      this.tncExclusions = JSON.parse(data);
-    } catch (error) {
-      // Fallback to default exclusions
-      this.tncExclusions = {
-        excluded_items: [
-          "protein supplement",
-          "cosmetic procedure",
-          "vitamin supplements",
-          "dietary supplements",
-          "cosmetic surgery",
-          "elective procedures"
-        ],
-        excluded_categories: [
-          "cosmetic",
-          "elective",
-          "supplement"
-        ]
+const { DEFAULT_LOW_CONFIDENCE } = require('./OcrLayout');
+const { isDefaulted } = require('./FieldProvenance');
+const { getCollections, getCollection } = require('./DocumentTaxonomy');
+const RuleEngine = require('./RuleEngine');
+const BenefitsCalculator = require('./BenefitsCalculator');
+const { exclusionCatalogue } = require('./ExclusionCatalogue');
+const { policyRepository } = require('./PolicyRepository');
+const CheckRegistry = require('./CheckRegistry');
+const { targetsFromDetails, collectReferences } = require('./FindingEvidence');
+
+// Bill line items that look like diagnostic tests even when not typed as 'lab'
+const LAB_ITEM_PATTERN = /\b(test|profile|panel|cbc|lft|kft|rft|tft|hba1c|lipid|thyroid|culture|x-?ray|ultrasound|usg|scan|ecg|urine|blood sugar)\b/i;
+
+// Common test abbreviations and phrases that appear on the matching report
+const LAB_ALIASES = {
+  cbc: ['complete blood count', 'hemogram', 'haemogram', 'hemoglobin', 'haemoglobin'],
+  lft: ['liver function', 'sgpt', 'bilirubin'],
+  kft: ['kidney function', 'renal function', 'creatinine'],
+  rft: ['renal function', 'kidney function', 'creatinine'],
+  tft: ['thyroid', 'tsh'],
+  hba1c: ['hba1c', 'glycated', 'glycosylated'],
+  lipid: ['cholesterol', 'triglycerides']
+};
+
+// Fields that business checks rely on; defaults here make those checks unreliable
+const CHECKED_FIELDS = {
+  prescriptions: ['visit_reason', 'prescription_orders', 'prescription_date', 'doctor_specialty'],
+  bills: ['total_paid_amount', 'bill_date'],
+  reports: ['report_date']
+};
+
+// Dates on which treatment took place, per document type
+const TREATMENT_DATE_FIELDS = {
+  prescription: ['prescription_date'],
+  bill: ['bill_date'],
+  report: ['report_date'],
+  discharge_summary: ['admission_date', 'discharge_date'],
+  pharmacy_receipt: ['receipt_date']
+};
+
+// Words too generic to identify a test on their own
+const GENERIC_LAB_WORDS = ['test', 'tests', 'profile', 'panel', 'serum', 'level', 'levels', 'charges', 'the', 'and', 'for'];
+
+// Built-in checks that rules refer to by code (see CheckRegistry). Each
+// records its full result on `checks` where reviewers rely on it.
+const failed = (details) => (details.length > 0 ? { details } : null);
+const amountOf = (value) => parseFloat(Math.abs(value).toFixed(2));
+const coverage = (service, claim, checks) => {
+  checks.policyCoverage = checks.policyCoverage || service.checkPolicyCoverage(claim, checks.checkedAt);
+  return checks.policyCoverage;
+};
+const NO_MEMBER = 'No policy member is matched to the claim';
+
+const checkRegistry = new CheckRegistry()
+  .register('visit_reason_consistency', {
+    description: 'Prescription and bill give a common visit reason',
+    evidence: (service, claim) => [...claim.prescriptions, ...claim.bills]
+      .filter(doc => doc.extractedData && doc.extractedData.visit_reason && !isDefaulted(doc, 'visit_reason'))
+      .map(doc => ({ documentId: doc.id, field: 'visit_reason' })),
+    run: (service, claim, checks) => {
+      checks.visitReasonConsistency = service.checkVisitReasonConsistency(claim);
+      if (typeof checks.visitReasonConsistency.details === 'string') {
+        return { skipped: 'Needs a prescription and a bill with a visit reason' };
+      }
+      return checks.visitReasonConsistency.isConsistent ? null : { details: checks.visitReasonConsistency.details };
+    }
+  })
+  .register('treatment_fulfillment', {
+    description: 'Prescribed treatments appear on the bills',
+    evidence: (service, claim, missing) => claim.prescriptions.filter(p => p.extractedData).flatMap(prescription =>
+      (prescription.extractedData.prescription_orders || [])
+        .map((order, itemIndex) => ({ order, itemIndex }))
+        .filter(({ order }) => missing.includes((order.item || '').toLowerCase()))
+        .map(({ itemIndex }) => ({ documentId: prescription.id, field: 'prescription_orders', itemIndex }))
+    ),
+    run: (service, claim, checks) => {
+      checks.treatmentFulfillment = service.checkTreatmentFulfillment(claim);
+      return checks.treatmentFulfillment.isFulfilled ? null : { details: checks.treatmentFulfillment.missingTreatments };
+    }
+  })
+  // Informational: no extra checks apply to standard medical claims
+  .register('medical_claim', {
+    description: 'Standard medical claim',
+    run: () => ({})
+  })
+  .register('policy_exclusions', {
+    description: 'Billed items excluded by the T&C catalogue',
+    run: (service, claim, checks) => {
+      checks.policyExclusions = service.checkPolicyExclusions(claim);
+      return failed(checks.policyExclusions);
+    }
+  })
+  .register('restricted_items', {
+    description: 'Billed items that need prior approval',
+    run: (service, claim, checks) => {
+      checks.restrictedItems = service.checkRestrictedItems(claim);
+      return failed(checks.restrictedItems);
+    }
+  })
+  .register('amount_validation', {
+    description: 'Bill totals equal the sum of their line items',
+    evidence: (service, claim, details) => targetsFromDetails(details, { fields: { billId: ['total_paid_amount', 'line_items'] } }),
+    run: (service, claim, checks) => {
+      checks.amountValidation = service.validateAmounts(claim);
+      const { isValid, details } = checks.amountValidation;
+      return isValid ? null : { details, amount: amountOf(details.difference) };
+    }
+  })
+  .register('amount_in_words', {
+    description: 'Bill totals in words agree with the figures',
+    evidence: (service, claim, details) =>
+      targetsFromDetails(details, { fields: { billId: ['total_amount_in_words', 'total_paid_amount'] } }),
+    run: (service, claim) => {
+      const result = failed(service.checkAmountInWords(claim));
+      return result && {
+        ...result,
+        amount: amountOf(result.details.reduce((sum, bill) => sum + Math.abs(bill.totalPaid - bill.totalInWords), 0))
       };
     }
+  })
+  .register('ambiguous_dates', {
+    description: 'Dates that read differently day-first and month-first',
+    run: (service, claim) => failed(service.checkDateQuality(claim).filter(issue => issue.ambiguous))
+  })
+  .register('invalid_dates', {
+    description: 'Dates that are not valid calendar dates',
+    run: (service, claim) => failed(service.checkDateQuality(claim).filter(issue => !issue.valid))
+  })
+  .register('defaulted_fields', {
+    description: 'Checked fields that extraction filled with defaults',
+    run: (service, claim) => failed(service.checkDefaultedFields(claim))
+  })
+  .register('bills_without_line_items', {
+    description: 'Bills with no line items extracted',
+    evidence: (service, claim, details) => targetsFromDetails(details, { fields: { billId: ['line_items'] } }),
+    run: (service, claim) => failed(service.checkBillsWithoutLineItems(claim))
+  })
+  .register('missing_sign_seal', {
+    description: 'Documents without a doctor signature or seal',
+    evidence: (service, claim, details) =>
+      targetsFromDetails(details, { fields: { prescriptionId: ['doctor_sign_and_seal_present'] } }),
+    run: (service, claim) => failed(service.checkMissingSignSeal(claim))
+  })
+  .register('missing_lab_reports', {
+    description: 'Billed lab tests have a matching report',
+    run: (service, claim, checks) => {
+      checks.reportValidation = checks.reportValidation || service.checkLabReports(claim);
+      return failed(checks.reportValidation.missingReports);
+    }
+  })
+  .register('reports_before_prescription', {
+    description: 'Reports dated before the prescription that ordered them',
+    evidence: (service, claim, details) =>
+      targetsFromDetails(details, { fields: { reportId: ['report_date'], prescriptionId: ['prescription_date'] } }),
+    run: (service, claim, checks) => {
+      checks.reportValidation = checks.reportValidation || service.checkLabReports(claim);
+      return failed(checks.reportValidation.reportsBeforePrescription);
+    }
+  })
+  .register('unclassified_pages', {
+    description: 'Pages not classified confidently into a document',
+    run: (service, claim) => failed(service.checkUnclassifiedPages(claim))
+  })
+  .register('ocr_confidence', {
+    description: 'Pages read with low OCR confidence',
+    run: (service, claim, checks) => {
+      checks.ocrQuality = service.checkOcrConfidence(claim);
+      return failed(checks.ocrQuality.lowConfidencePages);
+    }
+  })
+  .register('policy_membership', {
+    description: 'Patient is a member of a registered policy',
+    run: (service, claim, checks) => {
+      const { status, policyNumber, memberId } = coverage(service, claim, checks);
+      return status === 'covered' ? null : { details: { status, policyNumber, memberId, patientName: claim.patientName } };
+    }
+  })
+  .register('coverage_period', {
+    description: "Treatment dates fall within the member's cover",
+    run: (service, claim, checks) => {
+      const { status, outsidePeriod } = coverage(service, claim, checks);
+      return status === 'covered' ? failed(outsidePeriod) : { skipped: NO_MEMBER };
+    }
+  })
+  .register('waiting_period', {
+    description: 'Treatment is past the policy waiting periods',
+    // The treatment dates that fall within a waiting period
+    evidence: (service, claim, periods) => service.getTreatmentDates(claim)
+      .filter(entry => periods.some(period => period.treatmentDate === entry.date))
+      .map(({ documentId, field }) => ({ documentId, field })),
+    run: (service, claim, checks) => {
+      const { status, waitingPeriods } = coverage(service, claim, checks);
+      return status === 'covered' ? failed(waitingPeriods) : { skipped: NO_MEMBER };
+    }
+  })
+  .register('sum_insured_balance', {
+    description: 'Claimed amount is within the sum insured left',
+    evidence: (service, claim) => claim.bills.filter(bill => bill.extractedData)
+      .map(bill => ({ documentId: bill.id, field: 'total_paid_amount' })),
+    run: (service, claim, checks) => {
+      const { balance } = coverage(service, claim, checks);
+      if (balance === null) {
+        return { skipped: 'No registered policy is linked to the claim' };
+      }
+      const claimed = service.calculateTotalAmount(claim);
+      return claimed > balance ? { details: { claimed, balance }, amount: amountOf(claimed - balance) } : null;
+    }
+  });
+
+class BusinessCheckService {
+  constructor(options = {}) {
+    this.ocrConfidenceThreshold = options.ocrConfidenceThreshold || DEFAULT_LOW_CONFIDENCE;
+    this.checkRegistry = checkRegistry;
+    this.ruleEngine = options.ruleEngine || new RuleEngine({ ...options.rules, checks: checkRegistry.codes() });
+    this.benefitsCalculator = options.benefitsCalculator || new BenefitsCalculator(options.benefits);
+    this.policyRepository = options.policyRepository || policyRepository;
+    this.exclusionCatalogue = options.exclusionCatalogue || exclusionCatalogue;
   }
 
-  // Run all business checks for a claim
+  // Run all business checks for a claim with the rule set of its insurer
   async runBusinessChecks(claim) {
     const checks = {
       claimSubtype: this.determineClaimSubtype(claim),
+      // When the claim was first checked; re-runs keep it so the policy
+      // balance leaves out claims approved since
+      checkedAt: claim.businessChecks.checkedAt || new Date().toISOString(),
+      wordingDate: null,
+      ruleSet: null,
+      exclusionCatalogue: null,
+      checkResults: [],
+      findings: [],
       flags: [],
       warnings: [],
       errors: [],
       eligibleAmount: 0,
       totalAmount: 0,
+      payableAmount: 0,
+      benefits: null,
       visitReasonConsistency: null,
       treatmentFulfillment: null,
       policyExclusions: [],
-      amountValidation: null
+      restrictedItems: [],
+      amountValidation: null,
+      ocrQuality: null,
+      reportValidation: null,
+      policyCoverage: null
     };
 
-    // Run subtype-specific checks
-    if (checks.claimSubtype === 'specialist') {
-      await this.runSpecialistChecks(claim, checks);
-    } else {
-      await this.runMedicalChecks(claim, checks);
-    }
-
-    // Run common checks
-    await this.runCommonChecks(claim, checks);
+    // Rules, exclusions and benefits are those in force on the treatment date,
+    // so re-running the checks on an old claim gives the original result
+    checks.wordingDate = this.getWordingDate(claim);
+    const ruleSet = this.ruleEngine.selectRuleSet(claim.insurer, checks.wordingDate.date);
+    checks.ruleSet = { id: ruleSet.id, version: ruleSet.version };
+    const catalogue = this.selectExclusionCatalogue(claim);
+    checks.exclusionCatalogue = { version: catalogue.version, effectiveFrom: catalogue.effectiveFrom };
+
+    const facts = this.ruleEngine.buildFacts(claim, {
+      subtype: checks.claimSubtype,
+      totalAmount: this.calculateTotalAmount(claim)
+    });
+    const runCheck = (code) => this.checkRegistry.run(code, this, claim, checks);
+
+    // Every rule leaves a check result; failed ones add a finding, also kept
+    // in the flags, warnings and errors lists for existing consumers
+    this.ruleEngine.run(ruleSet, claim, facts, runCheck).forEach(({ rule, status, reason, result }) => {
+      checks.checkResults.push({ code: rule.id, check: this.ruleEngine.checkOf(rule), status, reason });
+      if (status === 'failed') {
+        const references = this.findReferences(claim, rule, result.details);
+        checks.findings.push({ ...this.ruleEngine.buildUnifiedFinding(rule, result, facts), references });
+        checks[rule.list].push({ ...this.ruleEngine.buildFinding(rule, result, facts), references });
+      }
+    });
 
-    // Calculate amounts
+    // Calculate amounts, then what the insurer pays under the benefit plan
     checks.eligibleAmount = this.calculateEligibleAmount(claim, checks);
-    checks.totalAmount = this.calculateTotalAmount(claim);
+    checks.totalAmount = facts.totalAmount;
+    // A linked policy pays from its plan and the balance left by other claims
+    checks.policyCoverage = checks.policyCoverage || this.checkPolicyCoverage(claim, checks.checkedAt);
+    const { policy } = this.policyRepository.findCoverage(claim);
+    checks.benefits = this.benefitsCalculator.calculate(claim, checks.policyExclusions, {
+      date: checks.wordingDate.date,
+      ...(policy ? { planId: policy.planId, sumInsuredAvailable: checks.policyCoverage.balance } : {})
+    });
+    checks.payableAmount = checks.benefits.totals.payable;
 
     return checks;
   }
 
+  // Pages, field paths and text spans behind a failed rule's details
+  findReferences(claim, rule, details) {
+    if (details === undefined) return [];
+    const check = rule.check ? this.checkRegistry.get(rule.check) : null;
+    const targets = check && check.evidence
+      ? check.evidence(this, claim, details)
+      : targetsFromDetails(details, { itemsField: rule.items });
+    return collectReferences(claim, targets);
+  }
+
   // Determine claim subtype
   determineClaimSubtype(claim) {
     // Check if any prescription is marked as specialist
@@ -86,82 +317,11 @@ class BusinessCheckService {
     return (hasSpecialistPrescription || hasSpecialistDoctor) ? 'specialist' : 'medical';
   }
 
-  // Run specialist-specific checks
-  async runSpecialistChecks(claim, checks) {
-    // Visit Reason Consistency Check
-    checks.visitReasonConsistency = this.checkVisitReasonConsistency(claim);
-    if (!checks.visitReasonConsistency.isConsistent) {
-      checks.flags.push({
-        type: 'visit_reason_mismatch',
-        severity: 'warning',
-        message: 'Visit reason differs from referral reason.',
-        details: checks.visitReasonConsistency.details
-      });
-    }
-
-    // Treatment Fulfillment Check
-    checks.treatmentFulfillment = this.checkTreatmentFulfillment(claim);
-    if (!checks.treatmentFulfillment.isFulfilled) {
-      checks.warnings.push({
-        type: 'treatment_not_fulfilled',
-        severity: 'warning',
-        message: 'Some prescribed treatments were not billed.',
-        details: checks.treatmentFulfillment.missingTreatments
-      });
-    }
-  }
-
-  // Run medical claim checks
-  async runMedicalChecks(claim, checks) {
-    // Basic validation for medical claims
-    checks.warnings.push({
-      type: 'medical_claim',
-      severity: 'info',
-      message: 'Standard medical claim - basic validation applied.'
-    });
-  }
-
-  // Run common checks for all claim types
-  async runCommonChecks(claim, checks) {
-    // Policy T&C Exclusions Check
-    const exclusions = this.checkPolicyExclusions(claim);
-    if (exclusions.length > 0) {
-      checks.policyExclusions = exclusions;
-      checks.errors.push({
-        type: 'policy_exclusion',
-        severity: 'error',
-        message: `${exclusions.length} excluded items detected.`,
-        details: exclusions
-      });
-    }
-
-    // Amount Validation
-    checks.amountValidation = this.validateAmounts(claim);
-    if (!checks.amountValidation.isValid) {
-      checks.errors.push({
-        type: 'amount_mismatch',
-        severity: 'error',
-        message: 'Bill total does not match line item sum.',
-        details: checks.amountValidation.details
-      });
-    }
-
-    // Missing Sign & Seal Check
-    const missingSignSeal = this.checkMissingSignSeal(claim);
-    if (missingSignSeal.length > 0) {
-      checks.warnings.push({
-        type: 'missing_sign_seal',
-        severity: 'warning',
-        message: `${missingSignSeal.length} documents missing doctor signature/seal.`,
-        details: missingSignSeal
-      });
-    }
-  }
-
   // Check visit reason consistency
   checkVisitReasonConsistency(claim) {
-    const prescriptions = claim.prescriptions.filter(p => p.extractedData);
-    const bills = claim.bills.filter(b => b.extractedData);
+    // Defaulted visit reasons ('General consultation') say nothing about the visit
+    const prescriptions = claim.prescriptions.filter(p => p.extractedData && !isDefaulted(p, 'visit_reason'));
+    const bills = claim.bills.filter(b => b.extractedData && !isDefaulted(b, 'visit_reason'));
 
     if (prescriptions.length === 0 || bills.length === 0) {
       return { isConsistent: true, details: 'Insufficient data for comparison' };
@@ -190,7 +350,7 @@ class BusinessCheckService {
 
   // Check treatment fulfillment
   checkTreatmentFulfillment(claim) {
-    const prescriptions = claim.prescriptions.filter(p => p.extractedData);
+    const prescriptions = claim.prescriptions.filter(p => p.extractedData && !isDefaulted(p, 'prescription_orders'));
     const bills = claim.bills.filter(b => b.extractedData);
 
     if (prescriptions.length === 0 || bills.length === 0) {
@@ -217,39 +377,53 @@ class BusinessCheckService {
     };
   }
 
-  // Check policy exclusions
-  checkPolicyExclusions(claim) {
-    const bills = claim.bills.filter(b => b.extractedData);
-    const exclusions = [];
-
-    bills.forEach(bill => {
-      const lineItems = bill.extractedData.line_items || [];
-      lineItems.forEach(item => {
-        const itemName = item.name?.toLowerCase() || '';
-        const itemType = item.type?.toLowerCase() || '';
+  // The exclusion catalogue version in force on the claim's wording date
+  selectExclusionCatalogue(claim) {
+    return this.exclusionCatalogue.selectVersion(this.getWordingDate(claim).date);
+  }
 
-        // Check against excluded items
-        const isExcluded = this.tncExclusions.excluded_items.some(excluded => 
-          itemName.includes(excluded.toLowerCase())
-        );
+  // The date whose policy wording applies: the first treatment date on the
+  // claim's documents, else the submission date
+  getWordingDate(claim) {
+    const [first] = this.getTreatmentDates(claim);
+    if (first) {
+      return { date: first.date, source: `${first.documentType}.${first.field}`, documentId: first.documentId };
+    }
+    return { date: (claim.submittedAt || new Date().toISOString()).slice(0, 10), source: 'submittedAt', documentId: null };
+  }
 
-        // Check against excluded categories
-        const isExcludedCategory = this.tncExclusions.excluded_categories.some(category => 
-          itemType.includes(category.toLowerCase())
-        );
+  // Bill line items matching the exclusion catalogue, with the outcome, list,
+  // rule and score of the match; allow-listed items are left out
+  matchBillItems(claim) {
+    const matcher = this.exclusionCatalogue.getMatcher(this.selectExclusionCatalogue(claim));
+    return claim.bills.filter(bill => bill.extractedData).flatMap(bill =>
+      (bill.extractedData.line_items || []).map((item, index) => {
+        const match = matcher.match(item);
+        if (!match || match.outcome === 'allowed') return null;
+        return {
+          item: item.name,
+          type: item.type,
+          reason: match.reason,
+          outcome: match.outcome,
+          list: match.list,
+          rule: match.rule,
+          score: match.score,
+          amount: item.final || item.price,
+          billId: bill.id,
+          itemIndex: index
+        };
+      }).filter(Boolean)
+    );
+  }
 
-        if (isExcluded || isExcludedCategory) {
-          exclusions.push({
-            item: item.name,
-            type: item.type,
-            reason: isExcluded ? 'excluded_item' : 'excluded_category',
-            amount: item.final || item.price
-          });
-        }
-      });
-    });
+  // Line items the policy does not pay for
+  checkPolicyExclusions(claim) {
+    return this.matchBillItems(claim).filter(hit => hit.outcome === 'excluded');
+  }
 
-    return exclusions;
+  // Line items that are payable only with the insurer's prior approval
+  checkRestrictedItems(claim) {
+    return this.matchBillItems(claim).filter(hit => hit.outcome === 'needs_approval');
   }
 
   // Validate amounts
@@ -259,6 +433,11 @@ class BusinessCheckService {
     for (const bill of bills) {
       const lineItems = bill.extractedData.line_items || [];
       const totalPaid = bill.extractedData.total_paid_amount || 0;
+
+      // Nothing to reconcile against; reported by checkBillsWithoutLineItems
+      if (lineItems.length === 0) continue;
+      // The total was not read from the bill; reported by checkDefaultedFields
+      if (isDefaulted(bill, 'total_paid_amount')) continue;
       
       const calculatedTotal = lineItems.reduce((sum, item) => {
         const finalPrice = item.final || item.price || 0;
@@ -282,6 +461,79 @@ class BusinessCheckService {
     return { isValid: true, details: null };
   }
 
+  // Bills whose total written in words disagrees with the numeric total
+  checkAmountInWords(claim) {
+    const tolerance = 0.01;
+
+    return claim.bills
+      .filter(bill => bill.extractedData && typeof bill.extractedData.total_amount_in_words === 'number')
+      .filter(bill => Math.abs(bill.extractedData.total_amount_in_words - (bill.extractedData.total_paid_amount || 0)) > tolerance)
+      .map(bill => ({
+        billId: bill.id,
+        billNumber: bill.extractedData.bill_number,
+        totalPaid: bill.extractedData.total_paid_amount || 0,
+        totalInWords: bill.extractedData.total_amount_in_words
+      }));
+  }
+
+  // Ambiguous (day/month order) or impossible dates recorded by extraction
+  checkDateQuality(claim) {
+    const issues = [];
+
+    Object.entries(getCollections()).forEach(([collection, documentType]) => {
+      (claim[collection] || []).filter(doc => doc.extractedData).forEach(doc => {
+        Object.entries(doc.extractedData.date_details || {}).forEach(([field, detail]) => {
+          if (detail && (detail.ambiguous || detail.valid === false)) {
+            issues.push({
+              documentId: doc.id,
+              documentType,
+              field,
+              raw: detail.raw,
+              value: detail.value,
+              label: detail.label,
+              confidence: detail.confidence,
+              ambiguous: detail.ambiguous === true,
+              valid: detail.valid !== false,
+              alternatives: detail.alternatives || []
+            });
+          }
+        });
+      });
+    });
+
+    return issues;
+  }
+
+  isDateAmbiguous(document, field) {
+    const details = document.extractedData.date_details || {};
+    return !!(details[field] && details[field].ambiguous);
+  }
+
+  // Documents whose check-relevant fields hold fallback defaults
+  checkDefaultedFields(claim) {
+    return Object.entries(CHECKED_FIELDS).flatMap(([collection, fields]) =>
+      (claim[collection] || [])
+        .filter(doc => doc.extractedData)
+        .map(doc => ({
+          documentId: doc.id,
+          collection,
+          fields: fields.filter(field => isDefaulted(doc, field))
+        }))
+        .filter(entry => entry.fields.length > 0)
+    );
+  }
+
+  // Bills with no extracted line items
+  checkBillsWithoutLineItems(claim) {
+    return claim.bills
+      .filter(bill => bill.extractedData && (bill.extractedData.line_items || []).length === 0)
+      .map(bill => ({
+        billId: bill.id,
+        billNumber: bill.extractedData.bill_number,
+        totalPaid: bill.extractedData.total_paid_amount || 0
+      }));
+  }
+
   // Check missing sign and seal
   checkMissingSignSeal(claim) {
     const prescriptions = claim.prescriptions.filter(p => p.extractedData);
@@ -301,6 +553,207 @@ class BusinessCheckService {
     return missing;
   }
 
+  // Check billed lab tests against reports, and report dates against the ordering prescription
+  checkLabReports(claim) {
+    const reports = claim.reports.filter(r => r.extractedData);
+    const bills = claim.bills.filter(b => b.extractedData);
+    const prescriptions = claim.prescriptions.filter(p => p.extractedData && p.extractedData.prescription_date);
+
+    const missingReports = [];
+    bills.forEach(bill => {
+      (bill.extractedData.line_items || []).forEach((item, itemIndex) => {
+        if (this.isLabItem(item.name, item.type) && !reports.some(report => this.matchesReport(item.name, report))) {
+          missingReports.push({
+            billId: bill.id,
+            itemIndex,
+            item: item.name,
+            amount: item.final || item.price || 0
+          });
+        }
+      });
+    });
+
+    const reportsBeforePrescription = [];
+    reports.filter(r => r.extractedData.report_date).forEach(report => {
+      const orderingPrescriptions = prescriptions.filter(p =>
+        (p.extractedData.prescription_orders || []).some(order =>
+          this.isLabItem(order.item, order.type) && this.matchesReport(order.item, report)
+        )
+      );
+      // Without a matching lab order, a single prescription is taken as the ordering one
+      const candidates = orderingPrescriptions.length > 0
+        ? orderingPrescriptions
+        : (prescriptions.length === 1 ? prescriptions : []);
+
+      candidates.forEach(prescription => {
+        if (report.extractedData.report_date < prescription.extractedData.prescription_date) {
+          reportsBeforePrescription.push({
+            reportId: report.id,
+            reportDate: report.extractedData.report_date,
+            prescriptionId: prescription.id,
+            prescriptionDate: prescription.extractedData.prescription_date,
+            ambiguousDates: this.isDateAmbiguous(report, 'report_date') ||
+              this.isDateAmbiguous(prescription, 'prescription_date')
+          });
+        }
+      });
+    });
+
+    return {
+      reportsFound: reports.length,
+      missingReports,
+      reportsBeforePrescription
+    };
+  }
+
+  isLabItem(name, type) {
+    return (type || '').toLowerCase() === 'lab' || LAB_ITEM_PATTERN.test(name || '');
+  }
+
+  // Whether a billed or ordered test name appears on a report
+  matchesReport(name, report) {
+    const searchText = this.getReportSearchText(report);
+    const tokens = (name || '').toLowerCase().split(/[^a-z0-9]+/)
+      .filter(token => token.length > 2 && !GENERIC_LAB_WORDS.includes(token));
+
+    const aliases = tokens.flatMap(token => LAB_ALIASES[token] || []);
+    if (aliases.some(alias => searchText.includes(alias))) {
+      return true;
+    }
+
+    if (tokens.length === 0) return false;
+    const found = tokens.filter(token => searchText.includes(token)).length;
+    return found / tokens.length >= 0.5;
+  }
+
+  getReportSearchText(report) {
+    const data = report.extractedData || {};
+    const testNames = (data.tests || []).map(test => test.test_name);
+    const pageText = (report.pages || []).map(page => page.extractedText || '');
+    return [data.lab_name, ...testNames, ...pageText].join(' ').toLowerCase();
+  }
+
+  // Pages left in the 'unknown' bucket, with the classifier's best guess
+  checkUnclassifiedPages(claim) {
+    return claim.pages
+      .filter(page => page.documentType === 'unknown')
+      .map(page => ({
+        pageId: page.id,
+        pageNumber: page.pageNumber,
+        predictedType: page.predictedType || null,
+        confidence: page.confidence
+      }));
+  }
+
+  // Check average OCR confidence of every OCR'd page against the threshold
+  checkOcrConfidence(claim) {
+    const lowConfidencePages = claim.pages
+      .filter(page => page.ocr && typeof page.ocr.confidence === 'number')
+      .filter(page => page.ocr.confidence < this.ocrConfidenceThreshold)
+      .map(page => ({
+        pageId: page.id,
+        pageNumber: page.pageNumber,
+        documentType: page.documentType,
+        confidence: page.ocr.confidence,
+        lowConfidenceRegions: page.ocr.lowConfidenceRegions || []
+      }));
+
+    return {
+      threshold: this.ocrConfidenceThreshold,
+      lowConfidencePages
+    };
+  }
+
+  // Whether the patient is a member of the claim's policy, covered on every
+  // treatment date and past any waiting period that applies to the treatment,
+  // with the sum insured left before this claim: other claims approved before
+  // `checkedAt` (an ISO timestamp; all of them when not given)
+  checkPolicyCoverage(claim, checkedAt = null) {
+    const { policy, member } = this.policyRepository.findCoverage(claim);
+    const treatmentDates = this.getTreatmentDates(claim);
+    const result = {
+      status: 'covered',
+      policyNumber: claim.policyNumber || null,
+      policyId: policy ? policy.id : null,
+      memberId: member ? member.id : claim.memberId || null,
+      memberName: member ? member.name : null,
+      coveragePeriod: null,
+      treatmentDates,
+      outsidePeriod: [],
+      waitingPeriods: [],
+      sumInsured: policy ? policy.sumInsured : null,
+      utilized: policy ? policy.getUtilized(claim.id, checkedAt) : null,
+      balance: policy ? policy.getBalance(claim.id, checkedAt) : null
+    };
+
+    if (!claim.policyNumber) {
+      result.status = 'not_linked';
+      return result;
+    }
+    if (!policy) {
+      result.status = 'unknown_policy';
+      return result;
+    }
+    if (!member) {
+      result.status = 'unknown_member';
+      return result;
+    }
+
+    const coveredFrom = member.coveredFrom && member.coveredFrom > policy.startDate ? member.coveredFrom : policy.startDate;
+    result.coveragePeriod = { from: coveredFrom, to: policy.endDate };
+    result.outsidePeriod = treatmentDates.filter(entry => !policy.covers(member, entry.date));
+
+    // Waiting periods run from the date the member's cover began
+    const firstTreatment = treatmentDates.length > 0 ? treatmentDates[0].date : null;
+    if (firstTreatment) {
+      const treatmentText = this.getTreatmentText(claim);
+      policy.waitingPeriods.forEach(period => {
+        const endsOn = new Date(Date.parse(coveredFrom) + period.days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const conditions = (period.conditions || []).filter(condition => treatmentText.includes(condition.toLowerCase()));
+        const applies = !period.conditions || period.conditions.length === 0 || conditions.length > 0;
+        if (applies && firstTreatment >= coveredFrom && firstTreatment < endsOn) {
+          result.waitingPeriods.push({
+            id: period.id || null,
+            description: period.description || '',
+            days: period.days,
+            endsOn,
+            treatmentDate: firstTreatment,
+            conditions
+          });
+        }
+      });
+    }
+
+    return result;
+  }
+
+  // Valid treatment dates read from the claim's documents, earliest first
+  getTreatmentDates(claim) {
+    return Object.entries(TREATMENT_DATE_FIELDS).flatMap(([documentType, fields]) =>
+      (claim[getCollection(documentType)] || []).filter(doc => doc.extractedData).flatMap(doc =>
+        fields
+          .filter(field => /^\d{4}-\d{2}-\d{2}$/.test(doc.extractedData[field] || '') && !isDefaulted(doc, field))
+          .map(field => ({ documentId: doc.id, documentType, field, date: doc.extractedData[field] }))
+      )
+    ).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // Diagnoses, visit reasons and treatments named on the claim, for matching
+  // waiting period conditions
+  getTreatmentText(claim) {
+    return Object.keys(getCollections()).flatMap(collection =>
+      (claim[collection] || []).filter(doc => doc.extractedData).flatMap(doc => {
+        const data = doc.extractedData;
+        return [
+          data.visit_reason,
+          data.final_diagnosis,
+          ...(data.line_items || []).map(item => item.name),
+          ...(data.prescription_orders || []).map(order => order.item)
+        ];
+      })
+    ).filter(value => typeof value === 'string').join(' ').toLowerCase();
+  }
+
   // Calculate eligible amount
   calculateEligibleAmount(claim, checks) {
     const bills = claim.bills.filter(b => b.extractedData);
@@ -353,6 +806,11 @@ class BusinessCheckService {
       .slice(0, 5)
       .map(([word]) => word);
   }
+
+  // Registered built-in checks with their codes
+  getRegisteredChecks() {
+    return this.checkRegistry.list();
+  }
 }
 
-module.exports = BusinessCheckService; 
+module.exports = BusinessCheckService;
@@ -0,0 +1,60 @@
+const CODE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Built-in business checks by stable code. Rules refer to a check by its code
+// and stored check results keep it, so a check may be reworded but its code is
+// never reused for something else. A check's run(service, claim, checks)
+// returns null when the claim passes, { details, amount } when it fails and
+// { skipped: reason } when the claim lacks what the check needs. An optional
+// evidence(service, claim, details) returns the documents, fields and pages a
+// failure points at (see FindingEvidence); by default they are read from the
+// details.
+class CheckRegistry {
+  constructor() {
+    this.checks = new Map();
+  }
+
+  register(code, { description, run, evidence }) {
+    if (!CODE_PATTERN.test(code)) {
+      throw new Error(`Check code "${code}" must be lower_snake_case`);
+    }
+    if (this.checks.has(code)) {
+      throw new Error(`Check "${code}" is already registered`);
+    }
+    if (typeof run !== 'function') {
+      throw new Error(`Check "${code}" needs a run function`);
+    }
+    if (evidence !== undefined && typeof evidence !== 'function') {
+      throw new Error(`Check "${code}" evidence must be a function`);
+    }
+
+    this.checks.set(code, { code, description: description || '', run, evidence: evidence || null });
+    return this;
+  }
+
+  has(code) {
+    return this.checks.has(code);
+  }
+
+  get(code) {
+    return this.checks.get(code) || null;
+  }
+
+  codes() {
+    return [...this.checks.keys()];
+  }
+
+  // Codes and descriptions, for listing
+  list() {
+    return [...this.checks.values()].map(({ code, description }) => ({ code, description }));
+  }
+
+  run(code, ...args) {
+    const check = this.get(code);
+    if (!check) {
+      throw new Error(`Unknown check "${code}"`);
+    }
+    return check.run(...args);
+  }
+}
+
+module.exports = CheckRegistry;
@@ -0,0 +1,230 @@
+const AIService = require('./AIService');
+const BusinessCheckService = require('./BusinessCheckService');
+const CorrectionService = require('./CorrectionService');
+const { claimRepository } = require('./ClaimRepository');
+const { jobQueue } = require('./JobQueue');
+const { getCollections } = require('./DocumentTaxonomy');
+
+const PROCESS_CLAIM_JOB = 'process_claim';
+const STAGES = ['classification', 'grouping', 'extraction', 'business_checks'];
+
+class ClaimProcessingService {
+  constructor(options = {}) {
+    this.aiService = options.aiService || new AIService();
+    this.businessCheckService = options.businessCheckService || new BusinessCheckService();
+    this.correctionService = options.correctionService || new CorrectionService({
+      businessCheckService: this.businessCheckService
+    });
+    this.claimRepository = options.claimRepository || claimRepository;
+    this.jobQueue = options.jobQueue || jobQueue;
+  }
+
+  // Queue a processing job for a claim, reusing one that is already in flight
+  async startProcessing(claim, options = {}) {
+    const activeJob = this.jobQueue.findActive({ type: PROCESS_CLAIM_JOB, claimId: claim.id });
+    if (activeJob) {
+      return activeJob;
+    }
+
+    return this.jobQueue.enqueue(PROCESS_CLAIM_JOB, {
+      claimId: claim.id,
+      reclassify: options.reclassify === true,
+      preprocessing: options.preprocessing || null
+    });
+  }
+
+  isProcessing(claim) {
+    return !!this.jobQueue.findActive({ type: PROCESS_CLAIM_JOB, claimId: claim.id });
+  }
+
+  // Job handler: run classification -> grouping -> extraction -> business checks,
+  // skipping stages and pages already completed before a restart
+  async runProcessingJob(job) {
+    const claim = this.claimRepository.findById(job.claimId);
+    if (!claim) {
+      throw new Error(`Claim not found: ${job.claimId}`);
+    }
+
+    this.initializeProgress(job, claim);
+
+    const stageHandlers = {
+      classification: (stage) => this.classifyPages(claim, job, stage),
+      grouping: (stage) => this.groupPages(claim, stage),
+      extraction: (stage) => this.extractDocuments(claim, job, stage),
+      business_checks: (stage) => this.runChecks(claim, stage)
+    };
+
+    for (const stage of job.stages) {
+      if (stage.status === 'completed') continue;
+
+      stage.status = 'running';
+      stage.startedAt = stage.startedAt || new Date().toISOString();
+      await this.jobQueue.save(job);
+
+      try {
+        await stageHandlers[stage.name](stage);
+      } catch (error) {
+        stage.status = 'failed';
+        stage.error = error.message;
+        await this.jobQueue.save(job);
+        throw error;
+      }
+
+      stage.status = 'completed';
+      stage.completedAt = new Date().toISOString();
+      await this.claimRepository.save(claim);
+      await this.jobQueue.save(job);
+    }
+
+    return {
+      pagesProcessed: job.pages.filter(p => p.status === 'completed').length,
+      prescriptionsFound: claim.prescriptions.length,
+      billsFound: claim.bills.length,
+      reportsFound: claim.reports.length,
+      documentsFound: Object.fromEntries(
+        Object.keys(getCollections()).map(collection => [collection, claim[collection].length])
+      ),
+      businessChecks: claim.businessChecks
+    };
+  }
+
+  // Set up stage and per-page tracking the first time a job runs
+  initializeProgress(job, claim) {
+    if (job.stages.length === 0) {
+      job.stages = STAGES.map(name => ({
+        name,
+        status: 'pending', // pending, running, completed, failed
+        progress: { completed: 0, total: 0 },
+        startedAt: null,
+        completedAt: null,
+        error: null
+      }));
+    }
+
+    if (job.pages.length === 0) {
+      job.pages = claim.pages.map(page => ({
+        pageId: page.id,
+        pageNumber: page.pageNumber,
+        status: !job.reclassify && page.documentType ? 'skipped' : 'pending',
+        documentType: page.documentType,
+        confidence: page.confidence,
+        error: null
+      }));
+    }
+  }
+
+  async classifyPages(claim, job, stage) {
+    const pendingPages = job.pages.filter(p => p.status !== 'completed' && p.status !== 'skipped');
+    stage.progress = { completed: job.pages.length - pendingPages.length, total: job.pages.length };
+
+    for (const pageStatus of pendingPages) {
+      const page = claim.pages.find(p => p.id === pageStatus.pageId);
+
+      if (!page) {
+        pageStatus.status = 'failed';
+        pageStatus.error = 'Page no longer exists on claim';
+      } else {
+        pageStatus.status = 'processing';
+        await this.jobQueue.save(job);
+
+        try {
+          const classification = await this.aiService.classifyPage(page, {
+            preprocessing: job.preprocessing || {}
+          });
+          claim.updatePageClassification(page.id, classification);
+          pageStatus.status = 'completed';
+          // A reviewer override keeps the page's type over the classifier's
+          pageStatus.documentType = page.documentType;
+          pageStatus.confidence = page.confidence;
+          pageStatus.needsReview = page.needsReview;
+          pageStatus.preprocessing = classification.preprocessing || null;
+          pageStatus.ocrConfidence = classification.ocr ? classification.ocr.confidence : null;
+        } catch (error) {
+          pageStatus.status = 'failed';
+          pageStatus.error = error.message;
+          job.errors.push({ stage: stage.name, pageId: page.id, message: error.message, at: new Date().toISOString() });
+        }
+      }
+
+      stage.progress.completed++;
+      await this.claimRepository.save(claim);
+      await this.jobQueue.save(job);
+    }
+  }
+
+  async groupPages(claim, stage) {
+    claim.groupPagesIntoDocuments();
+    stage.progress = { completed: 1, total: 1 };
+  }
+
+  // Extract fields for every document group that has not been extracted yet
+  async extractDocuments(claim, job, stage) {
+    const groups = this.listGroups(claim);
+
+    stage.progress = {
+      completed: groups.filter(({ group }) => group.extractedData).length,
+      total: groups.length
+    };
+
+    for (const { collection, group } of groups) {
+      if (group.extractedData) continue;
+
+      await this.extractGroup(collection, group);
+      stage.progress.completed++;
+      await this.claimRepository.save(claim);
+      await this.jobQueue.save(job);
+    }
+
+    // Reviewer corrections take precedence over re-extracted values
+    this.correctionService.applyCorrections(claim);
+  }
+
+  // Regroup after a reviewer override, re-extracting only the groups whose
+  // pages changed, then re-run business checks. Returns the re-extracted ids.
+  async regroupDocuments(claim) {
+    if (!claim.pages.some(page => page.documentType)) {
+      return [];
+    }
+
+    claim.groupPagesIntoDocuments({ preserveUnchanged: true });
+
+    const reextracted = [];
+    for (const { collection, group } of this.listGroups(claim)) {
+      if (group.extractedData) continue;
+
+      await this.extractGroup(collection, group);
+      reextracted.push(group.id);
+    }
+
+    this.correctionService.applyCorrections(claim);
+    const businessChecks = await this.businessCheckService.runBusinessChecks(claim);
+    claim.updateBusinessChecks(businessChecks);
+    return reextracted;
+  }
+
+  listGroups(claim) {
+    return Object.keys(getCollections()).flatMap(collection =>
+      claim[collection].map(group => ({ collection, group }))
+    );
+  }
+
+  async extractGroup(collection, group) {
+    const { data, extraction } = await this.aiService.extractDocument(getCollections()[collection], group);
+    group.extractedData = data;
+    group.extraction = extraction;
+  }
+
+  async runChecks(claim, stage) {
+    const businessChecks = await this.businessCheckService.runBusinessChecks(claim);
+    claim.updateBusinessChecks(businessChecks);
+    stage.progress = { completed: 1, total: 1 };
+  }
+}
+
+// Shared worker instance, registered as the handler for claim processing jobs
+const claimProcessingService = new ClaimProcessingService();
+jobQueue.registerHandler(PROCESS_CLAIM_JOB, job => claimProcessingService.runProcessingJob(job));
+
+module.exports = ClaimProcessingService;
+module.exports.claimProcessingService = claimProcessingService;
+module.exports.PROCESS_CLAIM_JOB = PROCESS_CLAIM_JOB;
@@ -0,0 +1,83 @@
+const path = require('path');
+const Claim = require('../models/Claim');
+const JsonFileStore = require('./JsonFileStore');
+
+const DEFAULT_CLAIMS_PATH = path.join(__dirname, '../data/claims.json');
+
+class ClaimRepository {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(
+      options.filePath || process.env.CLAIMS_DB_PATH || DEFAULT_CLAIMS_PATH,
+      []
+    );
+    this.claims = new Map();
+  }
+
+  // Load persisted claims and rehydrate them as Claim instances
+  async load() {
+    const records = await this.store.read();
+    this.claims = new Map();
+
+    (records || []).forEach(record => {
+      const claim = new Claim(record);
+      this.claims.set(claim.id, claim);
+    });
+
+    return this.claims.size;
+  }
+
+  findById(id) {
+    return this.claims.get(id) || null;
+  }
+
+  findAll() {
+    return Array.from(this.claims.values());
+  }
+
+  findByStatus(status) {
+    return this.findAll().filter(claim => claim.status === status);
+  }
+
+  // Find a document group of any type by id across all claims
+  findDocument(collection, docId) {
+    for (const claim of this.claims.values()) {
+      const document = (claim[collection] || []).find(d => d.id === docId);
+      if (document) {
+        return { claim, document };
+      }
+    }
+    return null;
+  }
+
+  async add(claim) {
+    this.claims.set(claim.id, claim);
+    await this.persist();
+    return claim;
+  }
+
+  // Persist changes made to a claim that is already in the repository
+  async save(claim) {
+    claim.updatedAt = new Date().toISOString();
+    this.claims.set(claim.id, claim);
+    await this.persist();
+    return claim;
+  }
+
+  async remove(id) {
+    const removed = this.claims.delete(id);
+    if (removed) {
+      await this.persist();
+    }
+    return removed;
+  }
+
+  persist() {
+    return this.store.write(this.findAll().map(claim => claim.toJSON()));
+  }
+}
+
+// Shared instance used by all routers so they see the same claims
+const claimRepository = new ClaimRepository();
+
+module.exports = ClaimRepository;
+module.exports.claimRepository = claimRepository;
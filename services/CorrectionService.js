@@ -0,0 +1,281 @@
+const { v4: uuidv4 } = require('uuid');
+const BusinessCheckService = require('./BusinessCheckService');
+const { getSchema, validateValue } = require('./ExtractionSchemas');
+const { getCollections } = require('./DocumentTaxonomy');
+
+// Fields managed by extraction itself rather than read from the document
+const NON_CORRECTABLE_FIELDS = ['date_details'];
+
+// Reviewer corrections to extracted fields and bill line items. Corrections are
+// stored on the claim (`claim.corrections`) with the original machine value and
+// are re-applied whenever documents are re-extracted, so they survive
+// reprocessing. Each document group's extraction records which corrections it
+// already carries, so applying is idempotent.
+class CorrectionService {
+  constructor(options = {}) {
+    this.businessCheckService = options.businessCheckService || new BusinessCheckService();
+  }
+
+  // Locate a document group on the claim; returns { collection, documentType, document } or null
+  findDocument(claim, documentId) {
+    for (const [collection, documentType] of Object.entries(getCollections())) {
+      const document = (claim[collection] || []).find(group => group.id === documentId);
+      if (document) {
+        return { collection, documentType, document };
+      }
+    }
+    return null;
+  }
+
+  // Validate top-level field corrections; returns a list of error messages
+  validateFieldCorrections(documentType, fields) {
+    const schema = getSchema(documentType) || {};
+    if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+      return ['fields must be an object with at least one field'];
+    }
+
+    return Object.entries(fields).flatMap(([field, value]) => {
+      if (!schema[field] || NON_CORRECTABLE_FIELDS.includes(field)) {
+        return [`${field} is not a correctable ${documentType} field`];
+      }
+      if (field === 'line_items') {
+        return ['line_items must be corrected through the line item endpoints'];
+      }
+      return validateValue(schema[field], value, field);
+    });
+  }
+
+  // Validate a line item correction; a partial update unless `complete` is set
+  validateLineItem(item, complete = false) {
+    const itemSchema = getSchema('bill').line_items.items;
+    if (!item || typeof item !== 'object' || Array.isArray(item) || Object.keys(item).length === 0) {
+      return ['line item must be an object with at least one field'];
+    }
+
+    if (complete) {
+      return validateValue(itemSchema, item, 'line_item');
+    }
+
+    return Object.entries(item).flatMap(([field, value]) =>
+      itemSchema.properties[field]
+        ? validateValue(itemSchema.properties[field], value, `line_item.${field}`)
+        : [`line_item.${field} is not a line item field`]
+    );
+  }
+
+  // Correct top-level fields of a document group
+  correctFields(claim, found, fields, meta = {}) {
+    return Object.entries(fields).map(([field, value]) => {
+      const existing = this.findActiveCorrection(claim, found.document, { field, action: 'set' });
+      const record = this.createRecord(found, {
+        field,
+        action: 'set',
+        value,
+        originalValue: existing ? existing.originalValue : this.clone(found.document.extractedData[field])
+      }, meta);
+      return this.addRecord(claim, found.document, record, existing);
+    });
+  }
+
+  // Correct fields of one bill line item
+  correctLineItem(claim, found, index, fields, meta = {}) {
+    const item = found.document.extractedData.line_items[index];
+    const existing = this.findActiveCorrection(claim, found.document, { field: 'line_items', action: 'set', itemIndex: index });
+    const originalValue = {};
+    Object.keys(fields).forEach(key => {
+      originalValue[key] = existing && existing.originalValue && key in existing.originalValue
+        ? existing.originalValue[key]
+        : this.clone(item[key] === undefined ? null : item[key]);
+    });
+
+    const record = this.createRecord(found, {
+      field: 'line_items',
+      action: 'set',
+      itemIndex: index,
+      itemName: existing ? existing.itemName : item.name,
+      value: existing ? { ...existing.value, ...fields } : fields,
+      originalValue: existing ? { ...existing.originalValue, ...originalValue } : originalValue
+    }, meta);
+    return this.addRecord(claim, found.document, record, existing);
+  }
+
+  // Add a line item the extractor missed
+  addLineItem(claim, found, item, meta = {}) {
+    const record = this.createRecord(found, {
+      field: 'line_items',
+      action: 'add',
+      itemIndex: null,
+      itemName: item.name,
+      value: item,
+      originalValue: null
+    }, meta);
+    return this.addRecord(claim, found.document, record, null);
+  }
+
+  // Remove a line item that should not be on the bill
+  removeLineItem(claim, found, index, meta = {}) {
+    const item = found.document.extractedData.line_items[index];
+    const record = this.createRecord(found, {
+      field: 'line_items',
+      action: 'remove',
+      itemIndex: index,
+      itemName: item.name,
+      value: null,
+      originalValue: this.clone(item)
+    }, meta);
+    return this.addRecord(claim, found.document, record, null);
+  }
+
+  createRecord(found, correction, meta) {
+    return {
+      id: uuidv4(),
+      collection: found.collection,
+      documentId: found.document.id,
+      // Groups are rebuilt on reprocessing; their pages identify them again
+      pageIds: found.document.pages.map(page => page.id),
+      itemIndex: null,
+      itemName: null,
+      ...correction,
+      correctedBy: meta.correctedBy || 'reviewer-001',
+      note: meta.note || '',
+      correctedAt: new Date().toISOString()
+    };
+  }
+
+  // Store a correction (replacing the one it supersedes) and apply it
+  addRecord(claim, document, record, superseded) {
+    if (superseded) {
+      claim.corrections = claim.corrections.filter(c => c.id !== superseded.id);
+      record.supersedes = superseded.id;
+    }
+    claim.corrections.push(record);
+    this.applyRecord(document, record);
+    claim.updatedAt = new Date().toISOString();
+    return record;
+  }
+
+  findActiveCorrection(claim, document, criteria) {
+    return claim.corrections.find(record =>
+      this.matchesDocument(record, document) &&
+      Object.entries(criteria).every(([key, value]) => record[key] === value)
+    ) || null;
+  }
+
+  // A correction belongs to the group holding its first page
+  matchesDocument(record, document) {
+    if (record.documentId === document.id) return true;
+    const pageIds = (document.pages || []).map(page => page.id);
+    return record.pageIds.length > 0 && pageIds.includes(record.pageIds[0]);
+  }
+
+  // Re-apply stored corrections to freshly extracted documents
+  applyCorrections(claim) {
+    const results = [];
+
+    (claim.corrections || []).forEach(record => {
+      const document = (claim[record.collection] || []).find(group =>
+        group.extractedData && this.matchesDocument(record, group)
+      );
+      if (!document) return;
+
+      record.documentId = document.id;
+      results.push({ id: record.id, applied: this.applyRecord(document, record) });
+    });
+
+    return results;
+  }
+
+  // Apply one correction to a document group; returns false when the corrected
+  // line item can no longer be found
+  applyRecord(document, record) {
+    if (!document.extraction) {
+      document.extraction = {};
+    }
+    const applied = document.extraction.appliedCorrections || [];
+    if (applied.includes(record.id)) return true;
+
+    const data = document.extractedData;
+
+    if (record.field !== 'line_items') {
+      data[record.field] = this.clone(record.value);
+      this.markCorrected(document, record.field, record);
+    } else {
+      const items = data.line_items || (data.line_items = []);
+
+      if (record.action === 'add') {
+        items.push({ ...this.clone(record.value), correctionId: record.id });
+      } else {
+        const index = this.locateItem(items, record);
+        if (index === -1) {
+          record.status = 'unmatched';
+          return false;
+        }
+        if (record.action === 'remove') {
+          items.splice(index, 1);
+        } else {
+          Object.assign(items[index], this.clone(record.value), { correctionId: record.id });
+        }
+      }
+      this.markCorrected(document, 'line_items', record);
+    }
+
+    record.status = 'applied';
+    document.extraction.appliedCorrections = [...applied, record.id];
+    return true;
+  }
+
+  // Find the corrected line item: the item carrying the superseded correction,
+  // else same position and name, else the first with that name
+  locateItem(items, record) {
+    if (record.supersedes) {
+      const corrected = items.findIndex(item => item.correctionId === record.supersedes);
+      if (corrected !== -1) return corrected;
+    }
+
+    const sameName = (item) => (item.name || '').toLowerCase() === (record.itemName || '').toLowerCase();
+    if (items[record.itemIndex] && sameName(items[record.itemIndex])) {
+      return record.itemIndex;
+    }
+    return items.findIndex(sameName);
+  }
+
+  // Reviewer values are certain and never defaults
+  markCorrected(document, field, record) {
+    const fields = document.extraction.fields || (document.extraction.fields = {});
+    fields[field] = {
+      ...(fields[field] || {}),
+      confidence: 1,
+      isDefault: false,
+      source: 'reviewer',
+      correctedBy: record.correctedBy,
+      correctedAt: record.correctedAt
+    };
+
+    const dateDetails = document.extractedData.date_details;
+    if (dateDetails && dateDetails[field]) {
+      dateDetails[field] = {
+        value: record.value,
+        raw: null,
+        label: null,
+        confidence: 1,
+        ambiguous: false,
+        alternatives: [],
+        valid: true,
+        source: 'reviewer'
+      };
+    }
+  }
+
+  // Re-run business checks so flags and the eligible amount reflect corrections
+  async recheck(claim) {
+    const businessChecks = await this.businessCheckService.runBusinessChecks(claim);
+    claim.updateBusinessChecks(businessChecks);
+    return claim.businessChecks;
+  }
+
+  clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+}
+
+module.exports = CorrectionService;
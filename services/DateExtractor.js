@@ -0,0 +1,240 @@
+// Date and time extraction for claim documents. Dates are read as labelled
+// candidates ("Bill Date: 12/03/2024") so the document's own date can be told
+// apart from dates of birth or expiry dates, and each result carries its
+// label, confidence and whether the day/month order was ambiguous.
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+  may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9,
+  september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+// Checked against the text just before a date, most specific first
+const DATE_LABELS = [
+  { label: 'date_of_birth', pattern: /\b(?:d\.?o\.?b\.?|date\s*of\s*birth|birth\s*date|born\s*on)\s*[:\-]?\s*$/i },
+  { label: 'expiry_date', pattern: /\b(?:exp(?:iry)?\.?\s*(?:date)?|valid\s*(?:till|upto|until))\s*[:\-]?\s*$/i },
+  { label: 'bill_date', pattern: /\b(?:bill|invoice|receipt)\s*(?:date|dt\.?)\s*[:\-]?\s*$/i },
+  { label: 'prescription_date', pattern: /\b(?:prescription|rx)\s*date\s*[:\-]?\s*$/i },
+  { label: 'visit_date', pattern: /\b(?:date\s*of\s*(?:visit|consultation|admission)|(?:visit|consultation|admission)\s*date)\s*[:\-]?\s*$/i },
+  { label: 'report_date', pattern: /\b(?:report(?:ed)?\s*(?:date|on)|date\s*of\s*report)\s*[:\-]?\s*$/i },
+  { label: 'collection_date', pattern: /\b(?:collected\s*on|collection\s*date|sample\s*date|date\s*of\s*collection)\s*[:\-]?\s*$/i },
+  { label: 'date', pattern: /\b(?:date|dated|dt\.?)\s*[:\-]?\s*$/i }
+];
+
+// Dates that never describe when the document was issued
+const EXCLUDED_LABELS = ['date_of_birth', 'expiry_date'];
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const DATE_PATTERNS = [
+  { format: 'iso', regex: /\b(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})\b/g },
+  { format: 'textual', regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s\\-\\/.,]*${MONTH_NAME}\\.?[\\s\\-\\/.,]*(\\d{4}|\\d{2})\\b`, 'gi') },
+  { format: 'textual_month_first', regex: new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi') },
+  { format: 'numeric', regex: /\b(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{4}|\d{2})\b/g }
+];
+
+const TIME_PATTERN = /\b(\d{1,2})(?::(\d{2})|\.(\d{2})(?=\s*[ap]\.?m\b))(?::\d{2})?\s*([ap])?\.?(m\b)?\.?/gi;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+// Expand a two-digit year: years up to next year's are 20xx, the rest 19xx
+function expandYear(year, now = new Date()) {
+  if (year.length === 4) return parseInt(year, 10);
+  const value = parseInt(year, 10);
+  const pivot = (now.getFullYear() + 1) % 100;
+  return value <= pivot ? 2000 + value : 1900 + value;
+}
+
+function isValidDate(year, month, day) {
+  if (year < 1900 || year > 2100 || month < 1 || month > 12 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function toIsoDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// The label immediately before a date on the same line, if any
+function findLabel(text, index) {
+  const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+  const prefix = text.slice(Math.max(lineStart, index - 40), index);
+  const match = DATE_LABELS.find(({ pattern }) => pattern.test(prefix));
+  return match ? match.label : null;
+}
+
+// Interpret the parts of a matched date. Numeric dates are read day-first (the
+// Indian convention); when both readings are valid the date is marked ambiguous
+// and the month-first reading is kept as an alternative.
+function interpretDate(format, match, now) {
+  if (format === 'iso') {
+    const [, year, month, day] = match;
+    return { year: parseInt(year, 10), month: parseInt(month, 10), day: parseInt(day, 10), ambiguous: false, alternatives: [] };
+  }
+
+  if (format === 'textual' || format === 'textual_month_first') {
+    const [day, monthName, year] = format === 'textual'
+      ? [match[1], match[2], match[3]]
+      : [match[2], match[1], match[3]];
+    const month = MONTHS[monthName.toLowerCase()];
+    if (!month) return null;
+    return { year: expandYear(year, now), month, day: parseInt(day, 10), ambiguous: false, alternatives: [] };
+  }
+
+  const first = parseInt(match[1], 10);
+  const second = parseInt(match[2], 10);
+  const year = expandYear(match[3], now);
+
+  // Only a month-first reading is possible, e.g. 03/25/2024
+  if (first <= 12 && second > 12) {
+    return { year, month: first, day: second, ambiguous: false, monthFirst: true, alternatives: [] };
+  }
+
+  const ambiguous = first <= 12 && second <= 12 && first !== second;
+  return {
+    year,
+    month: second,
+    day: first,
+    ambiguous,
+    alternatives: ambiguous && isValidDate(year, first, second) ? [toIsoDate(year, first, second)] : []
+  };
+}
+
+function scoreConfidence(candidate, preferredLabels) {
+  let confidence;
+  if (candidate.label && preferredLabels.includes(candidate.label)) {
+    confidence = 0.95;
+  } else if (candidate.label === 'date') {
+    confidence = 0.8;
+  } else if (candidate.label) {
+    confidence = 0.7;
+  } else {
+    confidence = 0.6;
+  }
+
+  if (candidate.ambiguous) confidence *= 0.6;
+  if (candidate.monthFirst) confidence -= 0.2;
+  if (candidate.twoDigitYear) confidence -= 0.05;
+  if (!candidate.valid) confidence = 0;
+
+  return round(Math.max(confidence, 0));
+}
+
+// Find every date in the text, in order of appearance. Impossible dates
+// (31/02/2024) are returned with valid: false and a null value.
+function findDates(text, options = {}) {
+  if (!text) return [];
+
+  const now = options.now || new Date();
+  const matches = [];
+
+  DATE_PATTERNS.forEach(({ format, regex }) => {
+    for (const match of text.matchAll(regex)) {
+      matches.push({ format, match, start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  // Keep the earliest, longest match where patterns overlap
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const accepted = [];
+  matches.forEach(candidate => {
+    const last = accepted[accepted.length - 1];
+    if (!last || candidate.start >= last.end) accepted.push(candidate);
+  });
+
+  return accepted
+    .map(({ format, match, start }) => {
+      const parts = interpretDate(format, match, now);
+      if (!parts) return null;
+
+      const valid = isValidDate(parts.year, parts.month, parts.day);
+      return {
+        value: valid ? toIsoDate(parts.year, parts.month, parts.day) : null,
+        raw: match[0].trim(),
+        label: findLabel(text, start),
+        format: parts.monthFirst ? 'numeric_month_first' : format,
+        ambiguous: valid && parts.ambiguous,
+        alternatives: valid ? parts.alternatives : [],
+        valid,
+        twoDigitYear: /\d{2}$/.test(match[0].trim()) && !/\d{4}/.test(match[0]),
+        monthFirst: parts.monthFirst === true,
+        index: start
+      };
+    })
+    .filter(Boolean);
+}
+
+// Pick the document's date: the first date carrying one of the preferred
+// labels, then a generic "Date:", then any other date that is not a date of
+// birth or expiry. Returns the candidate with its confidence, or null.
+function extractDate(text, preferredLabels = [], options = {}) {
+  const candidates = findDates(text, options)
+    .filter(candidate => !EXCLUDED_LABELS.includes(candidate.label));
+  if (candidates.length === 0) return null;
+
+  const rank = (candidate) => {
+    const preferred = preferredLabels.indexOf(candidate.label);
+    if (preferred !== -1) return preferred;
+    if (candidate.label === 'date') return preferredLabels.length;
+    return preferredLabels.length + 1;
+  };
+
+  // Valid dates win over invalid ones of the same rank
+  const best = [...candidates].sort((a, b) =>
+    rank(a) - rank(b) || Number(b.valid) - Number(a.valid) || a.index - b.index
+  )[0];
+  const bestValid = best.valid
+    ? best
+    : candidates.find(candidate => candidate.valid && rank(candidate) === rank(best)) || best;
+
+  return {
+    value: bestValid.value,
+    raw: bestValid.raw,
+    label: bestValid.label,
+    format: bestValid.format,
+    ambiguous: bestValid.ambiguous,
+    alternatives: bestValid.alternatives,
+    valid: bestValid.valid,
+    confidence: scoreConfidence(bestValid, preferredLabels)
+  };
+}
+
+// Find the first valid time (12:30, 4:05 pm, 10.15 a.m.). Returns
+// { value: 'HH:MM', raw, label, confidence } or null.
+function extractTime(text) {
+  if (!text) return null;
+
+  for (const match of text.matchAll(TIME_PATTERN)) {
+    let hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2] || match[3], 10);
+    const meridiem = match[4] && match[5] ? match[4].toLowerCase() : null;
+
+    if (minute > 59 || hour > 23 || (meridiem && (hour < 1 || hour > 12))) continue;
+    if (meridiem === 'p' && hour !== 12) hour += 12;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+
+    const prefix = text.slice(Math.max(0, match.index - 20), match.index);
+    const labelled = /\b(?:time|at)\s*:?\s*$/i.test(prefix);
+
+    return {
+      value: `${pad(hour)}:${pad(minute)}`,
+      raw: match[0].trim(),
+      label: labelled ? 'time' : null,
+      confidence: labelled ? 0.9 : (meridiem ? 0.8 : 0.6)
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  findDates,
+  extractDate,
+  extractTime,
+  expandYear
+};
@@ -0,0 +1,125 @@
+// Document boundary detection for page grouping. Consecutive pages of the same
+// type are compared on signals read from their text (document numbers,
+// facility names, dates, "Page 2 of 3" markers, carried-forward totals) to
+// decide whether a page continues the previous page's document or starts a new
+// one. Every decision carries a reason so reviewers can see why pages were
+// split or joined.
+
+const { extractDate } = require('./DateExtractor');
+const { findAmount, findTotalAmount } = require('./AmountParser');
+
+// "Bill No: B-102", "Invoice # 55/23", "Rx No. 4471"; the number must contain a digit
+const DOCUMENT_NUMBER_PATTERN = /\b(?:bill|invoice|receipt|prescription|rx|report|lab|sample|reg(?:istration)?)\s*(?:no\.?|number|#|id)\s*[:\-]?\s*((?=[a-z\-\/]*\d)[a-z0-9][a-z0-9\-\/]*)/i;
+const PAGE_MARKER_PATTERN = /\bpage\s*(\d+)\s*(?:of|\/)\s*(\d+)\b/i;
+const CARRIED_FORWARD_PATTERN = /\b(?:(?:carried|carry)\s*(?:forward|fwd|over)|c\/f\b)/i;
+const BROUGHT_FORWARD_PATTERN = /\b(?:brought\s*(?:forward|fwd|over)|b\/f\b)/i;
+const FACILITY_PATTERN = /\b(?:hospital|clinic|pharmacy|chemists?|medicals?|medical\s*(?:store|center|centre)|diagnostics?|laborator(?:y|ies)|labs|healthcare|nursing\s*home|polyclinic)\b/i;
+
+// Facility names are looked for in the page header
+const HEADER_LINES = 5;
+
+// Labels of the date a document was issued; collection or birth dates do not
+// tell documents apart
+const DOCUMENT_DATE_LABELS = ['bill_date', 'prescription_date', 'visit_date', 'report_date', 'date'];
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Amount printed after a carried/brought forward label, if any
+function forwardAmount(text, pattern) {
+  return findAmount(text, `(?:${pattern.source})\\s*(?:total|amount|balance)?`);
+}
+
+// Read the boundary signals of a page from its text
+function pageSignals(page) {
+  const text = (page && page.extractedText) || '';
+
+  const numberMatch = text.match(DOCUMENT_NUMBER_PATTERN);
+  const markerMatch = text.match(PAGE_MARKER_PATTERN);
+  const facilityLine = text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .slice(0, HEADER_LINES)
+    .find(line => FACILITY_PATTERN.test(line));
+  const date = extractDate(text, DOCUMENT_DATE_LABELS);
+
+  return {
+    documentNumber: numberMatch ? numberMatch[1].toUpperCase() : null,
+    facilityName: facilityLine ? normalize(facilityLine) : null,
+    date: date && date.valid && DOCUMENT_DATE_LABELS.includes(date.label) ? date.value : null,
+    pageMarker: markerMatch ? { number: parseInt(markerMatch[1], 10), total: parseInt(markerMatch[2], 10) } : null,
+    carriedForward: CARRIED_FORWARD_PATTERN.test(text),
+    carriedForwardAmount: forwardAmount(text, CARRIED_FORWARD_PATTERN),
+    broughtForward: BROUGHT_FORWARD_PATTERN.test(text),
+    broughtForwardAmount: forwardAmount(text, BROUGHT_FORWARD_PATTERN),
+    total: findTotalAmount(text)
+  };
+}
+
+function split(reason, description) {
+  return { split: true, reason, description };
+}
+
+function join(reason, description) {
+  return { split: false, reason, description };
+}
+
+// Decide whether `page` starts a new document after `previousPage` (both of the
+// same type). Continuation markers are checked before the signals that tell
+// documents apart, since multi-page documents often repeat or vary their headers.
+function detectBoundary(previousPage, page) {
+  if (page.pageNumber !== previousPage.pageNumber + 1) {
+    return split('not_consecutive', `Page ${page.pageNumber} does not follow page ${previousPage.pageNumber}`);
+  }
+
+  const previous = pageSignals(previousPage);
+  const current = pageSignals(page);
+
+  const marker = current.pageMarker;
+  if (marker && marker.number === 1) {
+    return split('page_marker', `Page ${page.pageNumber} is marked as page 1 of ${marker.total}`);
+  }
+  if (marker && marker.number > 1 &&
+      (!previous.pageMarker || (previous.pageMarker.number === marker.number - 1 && previous.pageMarker.total === marker.total))) {
+    return join('page_marker', `Page ${page.pageNumber} is marked as page ${marker.number} of ${marker.total}`);
+  }
+
+  if (previous.carriedForward || current.broughtForward) {
+    const amount = previous.carriedForwardAmount !== null ? previous.carriedForwardAmount : current.broughtForwardAmount;
+    return join('carried_forward', amount !== null
+      ? `A total of ${amount} is carried forward to page ${page.pageNumber}`
+      : `A total is carried forward to page ${page.pageNumber}`);
+  }
+
+  if (previous.documentNumber && current.documentNumber) {
+    return previous.documentNumber !== current.documentNumber
+      ? split('document_number', `Document number changes from ${previous.documentNumber} to ${current.documentNumber}`)
+      : join('document_number', `Document number ${current.documentNumber} repeats on page ${page.pageNumber}`);
+  }
+
+  if (previous.facilityName && current.facilityName && previous.facilityName !== current.facilityName) {
+    return split('facility_name', `Facility changes from "${previous.facilityName}" to "${current.facilityName}"`);
+  }
+
+  if (previous.date && current.date && previous.date !== current.date) {
+    return split('date', `Document date changes from ${previous.date} to ${current.date}`);
+  }
+
+  if (previous.total !== null && (current.documentNumber || current.facilityName)) {
+    return split('previous_total', `Page ${previousPage.pageNumber} ends with a total and page ${page.pageNumber} has its own header`);
+  }
+
+  return join('consecutive', `Page ${page.pageNumber} follows page ${previousPage.pageNumber} with no sign of a new document`);
+}
+
+// Boundary of the first page of a type in the claim
+function firstBoundary(page) {
+  return { pageId: page.id, reason: 'first_page', description: `First page of this type (page ${page.pageNumber})` };
+}
+
+module.exports = {
+  pageSignals,
+  detectBoundary,
+  firstBoundary
+};
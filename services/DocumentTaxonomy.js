@@ -0,0 +1,140 @@
+// Document types known to classification, grouping, extraction and export,
+// read from data/document_types.json (or DOCUMENT_TYPES_PATH) so types can be
+// added without code changes. Built-in types (prescription, bill, report) have
+// their extractors and schemas in code; configured types describe their
+// fields in the taxonomy file.
+
+const path = require('path');
+
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, '../data/document_types.json');
+const FIELD_TYPES = ['string', 'number', 'amount', 'date'];
+const NAME_PATTERNS = {
+  type: /^[a-z][a-z0-9_]*$/,
+  collection: /^[a-z][a-zA-Z0-9_]*$/
+};
+
+// Reserved by the classifier for pages it cannot place
+const UNKNOWN_TYPE = 'unknown';
+
+// Claim properties that cannot be used as document collections
+const RESERVED_COLLECTIONS = [
+  'id', 'patientName', 'insurer', 'policyNumber', 'memberId', 'submittedAt', 'status', 'reviewerNote',
+  'reviewedAt', 'reviewerId', 'pages', 'corrections', 'documentOverrides', 'businessChecks', 'createdAt', 'updatedAt'
+];
+
+let taxonomy = null;
+
+// Check a taxonomy file's types; returns a list of error messages
+function validateTaxonomy(types) {
+  if (!Array.isArray(types) || types.length === 0) {
+    return ['types must be a non-empty array'];
+  }
+
+  const errors = [];
+  const seen = { type: new Set(), collection: new Set() };
+
+  types.forEach((definition, index) => {
+    const where = `types[${index}]`;
+    ['type', 'collection'].forEach(key => {
+      const value = definition[key];
+      if (typeof value !== 'string' || !NAME_PATTERNS[key].test(value)) {
+        errors.push(`${where}.${key} must be an identifier`);
+      } else if (seen[key].has(value)) {
+        errors.push(`${where}.${key} "${value}" is used twice`);
+      } else {
+        seen[key].add(value);
+      }
+    });
+
+    if (definition.type === UNKNOWN_TYPE) {
+      errors.push(`${where}.type "${UNKNOWN_TYPE}" is reserved`);
+    }
+    if (RESERVED_COLLECTIONS.includes(definition.collection)) {
+      errors.push(`${where}.collection "${definition.collection}" is reserved`);
+    }
+    if (definition.builtIn) return;
+
+    const fields = definition.fields || {};
+    if (Object.keys(fields).length === 0) {
+      errors.push(`${where}.fields must describe at least one field`);
+    }
+    Object.entries(fields).forEach(([field, spec]) => {
+      if (!FIELD_TYPES.includes(spec.type)) {
+        errors.push(`${where}.fields.${field}.type must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+      if (!Array.isArray(spec.labels) || spec.labels.length === 0) {
+        errors.push(`${where}.fields.${field}.labels must list at least one label`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Load (or reload) the taxonomy; throws when the file is invalid
+function loadTaxonomy(filePath = process.env.DOCUMENT_TYPES_PATH || DEFAULT_TAXONOMY_PATH) {
+  const resolved = path.resolve(filePath);
+  delete require.cache[resolved];
+  const config = require(resolved);
+
+  const errors = validateTaxonomy(config.types);
+  if (errors.length > 0) {
+    throw new Error(`Invalid document taxonomy ${resolved}: ${errors.join('; ')}`);
+  }
+
+  taxonomy = {
+    version: config.version || 1,
+    types: config.types.map(definition => ({
+      type: definition.type,
+      collection: definition.collection,
+      label: definition.label || definition.type,
+      builtIn: definition.builtIn === true,
+      fields: definition.fields || {},
+      seedExamples: definition.seedExamples || []
+    }))
+  };
+  return taxonomy;
+}
+
+function getDocumentTypes() {
+  return (taxonomy || loadTaxonomy()).types;
+}
+
+function getDocumentType(type) {
+  return getDocumentTypes().find(definition => definition.type === type) || null;
+}
+
+// { collection: type } for every document type, in taxonomy order
+function getCollections() {
+  return Object.fromEntries(getDocumentTypes().map(definition => [definition.collection, definition.type]));
+}
+
+function getCollection(type) {
+  const definition = getDocumentType(type);
+  return definition ? definition.collection : null;
+}
+
+// Types a page can be classified or overridden as
+function getPageTypes() {
+  return [...getDocumentTypes().map(definition => definition.type), UNKNOWN_TYPE];
+}
+
+// Classifier seed pages declared by configured types
+function getSeedExamples() {
+  return getDocumentTypes().flatMap(definition =>
+    definition.seedExamples.map(text => ({ type: definition.type, text }))
+  );
+}
+
+module.exports = {
+  UNKNOWN_TYPE,
+  FIELD_TYPES,
+  validateTaxonomy,
+  loadTaxonomy,
+  getDocumentTypes,
+  getDocumentType,
+  getCollections,
+  getCollection,
+  getPageTypes,
+  getSeedExamples
+};
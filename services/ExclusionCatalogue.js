@@ -0,0 +1,234 @@
+const path = require('path');
+const JsonFileStore = require('./JsonFileStore');
+const ExclusionMatcher = require('./ExclusionMatcher');
+
+const SEED_CATALOGUE_PATH = path.join(__dirname, '../data/tnc_exclusions.json');
+const DEFAULT_CATALOGUE_PATH = path.join(__dirname, '../data/tnc_exclusions_published.json');
+
+// Phrase lists a catalogue version may hold
+const LIST_KEYS = ['excluded_items', 'excluded_procedures', 'excluded_categories', 'restricted_items', 'allowed_items'];
+
+// Version properties that are not edited directly
+const VERSION_META = ['version', 'effectiveFrom', 'createdBy', 'createdAt', 'note'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isPhraseList(value) {
+  return Array.isArray(value) && value.every(phrase => typeof phrase === 'string' && phrase.trim().length > 0);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function tomorrow() {
+  return new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Versioned T&C exclusion catalogue. The seed in data/tnc_exclusions.json is
+// tracked in git and only read; published versions are written to
+// data/tnc_exclusions_published.json (or TNC_EXCLUSIONS_PATH), which reload()
+// prefers once it exists. Each version has an effectiveFrom date; a claim is
+// checked against the latest version in force on its treatment date.
+// Publishing a version appends it with an audit entry recording who changed
+// which phrases, and reload() picks up edits to the file without a restart.
+class ExclusionCatalogue {
+  constructor(options = {}) {
+    const filePath = path.resolve(options.filePath || process.env.TNC_EXCLUSIONS_PATH || DEFAULT_CATALOGUE_PATH);
+    this.seedPath = path.resolve(options.seedPath || SEED_CATALOGUE_PATH);
+    this.store = new JsonFileStore(filePath, null);
+    this.load(options.config || require(this.seedPath));
+  }
+
+  // Validate and apply a catalogue; throws and keeps the current one when invalid
+  load(config) {
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid exclusion catalogue: ${errors.join('; ')}`);
+    }
+
+    this.description = config.description || '';
+    this.versions = [...config.versions].sort((a, b) => a.version - b.version);
+    this.auditLog = config.auditLog || [];
+    this.matchers = new Map();
+    return this.versions.length;
+  }
+
+  // Re-read the published catalogue, or the seed while nothing is published
+  async reload() {
+    const config = await this.store.read();
+    return this.load(config || require(this.seedPath));
+  }
+
+  // Returns a list of error messages
+  validate(config) {
+    if (!config || !Array.isArray(config.versions) || config.versions.length === 0) {
+      return ['versions must be a non-empty array'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    config.versions.forEach((entry, index) => {
+      const where = `versions[${index}]`;
+      if (!Number.isInteger(entry.version) || entry.version < 1) {
+        errors.push(`${where}.version must be a positive whole number`);
+      } else if (seen.has(entry.version)) {
+        errors.push(`${where}.version ${entry.version} is used twice`);
+      }
+      seen.add(entry.version);
+      errors.push(...this.validateVersion(entry).map(error => `${where}.${error}`));
+    });
+    if (config.auditLog !== undefined && !Array.isArray(config.auditLog)) {
+      errors.push('auditLog must be an array');
+    }
+    return errors;
+  }
+
+  validateVersion(entry) {
+    const errors = [];
+    if (!isDate(entry.effectiveFrom)) {
+      errors.push('effectiveFrom must be a YYYY-MM-DD date');
+    }
+    LIST_KEYS.filter(key => entry[key] !== undefined && !isPhraseList(entry[key])).forEach(key => {
+      errors.push(`${key} must be a list of phrases`);
+    });
+    if (entry.synonyms !== undefined) {
+      const valid = entry.synonyms && typeof entry.synonyms === 'object' && !Array.isArray(entry.synonyms) &&
+        Object.values(entry.synonyms).every(isPhraseList);
+      if (!valid) {
+        errors.push('synonyms must map phrases to lists of phrases');
+      }
+    }
+    if (entry.policy_notes !== undefined) {
+      const valid = entry.policy_notes && typeof entry.policy_notes === 'object' &&
+        Object.values(entry.policy_notes).every(text => typeof text === 'string');
+      if (!valid) {
+        errors.push('policy_notes must map names to text');
+      }
+    }
+    return errors;
+  }
+
+  // The version in force on a YYYY-MM-DD date: the latest effective one, or
+  // the earliest version for dates before any took effect
+  selectVersion(date = today()) {
+    const effective = this.versions
+      .filter(entry => entry.effectiveFrom <= date)
+      .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom) || a.version - b.version);
+    return effective.length > 0
+      ? effective[effective.length - 1]
+      : [...this.versions].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))[0];
+  }
+
+  getVersion(version) {
+    return this.versions.find(entry => entry.version === version) || null;
+  }
+
+  getLatestVersion() {
+    return this.versions[this.versions.length - 1];
+  }
+
+  // Version headers with the size of each list
+  getVersions() {
+    return this.versions.map(entry => ({
+      ...Object.fromEntries(VERSION_META.map(key => [key, entry[key] === undefined ? null : entry[key]])),
+      counts: Object.fromEntries(LIST_KEYS.map(key => [key, (entry[key] || []).length]))
+    }));
+  }
+
+  getAuditLog() {
+    return this.auditLog;
+  }
+
+  // Matcher for a catalogue version, built once per version
+  getMatcher(entry) {
+    if (!this.matchers.has(entry.version)) {
+      this.matchers.set(entry.version, new ExclusionMatcher(entry));
+    }
+    return this.matchers.get(entry.version);
+  }
+
+  // Publish a new version from the latest one with `changes` applied (lists,
+  // synonyms or policy notes replaced wholesale). Returns the new version;
+  // throws with `validationErrors` when the result is invalid.
+  async publish(changes, { changedBy, note = '', effectiveFrom = tomorrow() } = {}) {
+    const base = this.getLatestVersion();
+    const editable = Object.fromEntries(Object.entries(changes || {}).filter(([key]) => !VERSION_META.includes(key)));
+    const entry = {
+      ...base,
+      ...editable,
+      version: base.version + 1,
+      effectiveFrom,
+      createdBy: changedBy,
+      createdAt: new Date().toISOString(),
+      note
+    };
+
+    const errors = this.validateVersion(entry);
+    if (!changedBy) {
+      errors.push('changedBy is required');
+    }
+    // Claims already checked, today included, must keep their result when re-run
+    if (effectiveFrom <= today()) {
+      errors.push('effectiveFrom must be after today; claims already checked would change');
+    }
+    const unknown = Object.keys(editable).filter(key => !LIST_KEYS.includes(key) && !['synonyms', 'policy_notes'].includes(key));
+    errors.push(...unknown.map(key => `${key} is not part of the catalogue`));
+    if (errors.length > 0) {
+      throw Object.assign(new Error(`Invalid exclusion catalogue: ${errors.join('; ')}`), { validationErrors: errors });
+    }
+
+    const auditEntry = {
+      version: entry.version,
+      basedOn: base.version,
+      changedBy,
+      changedAt: entry.createdAt,
+      effectiveFrom,
+      note,
+      changes: this.diff(base, entry)
+    };
+
+    const config = {
+      description: this.description,
+      versions: [...this.versions, entry],
+      auditLog: [...this.auditLog, auditEntry]
+    };
+    await this.store.write(config);
+    this.load(config);
+    return entry;
+  }
+
+  // Phrases added and removed per list, and synonym or note keys changed
+  diff(before, after) {
+    const changes = {};
+    LIST_KEYS.forEach(key => {
+      const previous = before[key] || [];
+      const next = after[key] || [];
+      const added = next.filter(phrase => !previous.includes(phrase));
+      const removed = previous.filter(phrase => !next.includes(phrase));
+      if (added.length > 0 || removed.length > 0) {
+        changes[key] = { added, removed };
+      }
+    });
+    ['synonyms', 'policy_notes'].forEach(key => {
+      const previous = before[key] || {};
+      const next = after[key] || {};
+      const changed = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+        .filter(name => JSON.stringify(previous[name]) !== JSON.stringify(next[name]));
+      if (changed.length > 0) {
+        changes[key] = { changed };
+      }
+    });
+    return changes;
+  }
+}
+
+// Shared catalogue used by the business checks and the admin API
+const exclusionCatalogue = new ExclusionCatalogue();
+
+module.exports = ExclusionCatalogue;
+module.exports.exclusionCatalogue = exclusionCatalogue;
@@ -0,0 +1,150 @@
+// Catalogue lists in the order they are tried; the first list with a match
+// decides the outcome for an item
+const LISTS = [
+  { list: 'excluded_items', reason: 'excluded_item', outcome: 'excluded', field: 'name' },
+  { list: 'excluded_procedures', reason: 'excluded_procedure', outcome: 'excluded', field: 'name' },
+  { list: 'excluded_categories', reason: 'excluded_category', outcome: 'excluded', field: 'type' },
+  { list: 'restricted_items', reason: 'restricted_item', outcome: 'needs_approval', field: 'name' }
+];
+
+// Minimum average token similarity for a rule to match
+const DEFAULT_THRESHOLD = 0.8;
+
+// Tokens added through a synonym count slightly less than the words themselves
+const SYNONYM_WEIGHT = 0.9;
+
+const STOP_WORDS = ['a', 'an', 'and', 'of', 'for', 'the', 'with', 'in', 'on', 'to', 'mg', 'ml', 'gm', 'g', 'kg', 'tab', 'tabs', 'cap', 'caps'];
+
+// Light suffix stripping so plurals and simple verb forms compare equal
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 4 && /(ss|x|ch|sh)es$/.test(token)) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith('s') && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+  if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+  if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+  return token;
+}
+
+function tokenize(text) {
+  return (text || '').toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 0 && !STOP_WORDS.includes(token) && !/^\d+$/.test(token))
+    .map(stem);
+}
+
+// Edit distance counting a swap of adjacent letters as one edit
+function editDistance(a, b) {
+  const rows = [Array.from({ length: b.length + 1 }, (value, index) => index)];
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Similarity of two stemmed tokens: 1 when equal, less for typos that are
+// within the tolerance for the token length, 0 otherwise. Typos must keep the
+// first letter, so 'selective' does not pass for 'elective'.
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a[0] !== b[0]) return 0;
+  const length = Math.max(a.length, b.length);
+  const tolerance = length >= 8 ? 2 : (length >= 5 ? 1 : 0);
+  const distance = tolerance > 0 ? editDistance(a, b) : Infinity;
+  return distance <= tolerance ? 1 - distance / length : 0;
+}
+
+// Matches bill line items against the T&C exclusion catalogue
+// (data/tnc_exclusions.json). Names and rules are tokenized and stemmed;
+// every token of a rule must be found in the item, exactly, through a synonym
+// or within an edit-distance tolerance, and the average similarity must reach
+// the threshold. Items on the allow-list are never excluded or restricted.
+class ExclusionMatcher {
+  constructor(catalogue = {}, options = {}) {
+    this.threshold = options.threshold || DEFAULT_THRESHOLD;
+    this.rules = LISTS.flatMap(definition =>
+      (catalogue[definition.list] || []).map(phrase => ({ ...definition, phrase, tokens: tokenize(phrase) }))
+    ).filter(rule => rule.tokens.length > 0);
+
+    this.allowed = (catalogue.allowed_items || []).map(phrase => ({ phrase, tokens: tokenize(phrase) }))
+      .filter(rule => rule.tokens.length > 0);
+
+    // { canonical phrase: [alternative phrases] }; an item containing an
+    // alternative also carries the canonical phrase's tokens
+    this.synonyms = Object.entries(catalogue.synonyms || {}).flatMap(([canonical, alternatives]) =>
+      alternatives.map(alternative => ({ tokens: tokenize(alternative), canonical: tokenize(canonical) }))
+    ).filter(synonym => synonym.tokens.length > 0);
+  }
+
+  // Item tokens with their weights, expanded with synonyms
+  expand(text) {
+    const tokens = tokenize(text).map(token => ({ token, weight: 1 }));
+    this.synonyms
+      .filter(synonym => this.score(synonym.tokens, tokens) >= this.threshold)
+      .forEach(synonym => {
+        synonym.canonical.forEach(token => tokens.push({ token, weight: SYNONYM_WEIGHT }));
+      });
+    return tokens;
+  }
+
+  // Average best similarity of each rule token against the item tokens; 0
+  // when any rule token is missing
+  score(ruleTokens, itemTokens) {
+    let total = 0;
+    for (const ruleToken of ruleTokens) {
+      const best = itemTokens.reduce((max, { token, weight }) =>
+        Math.max(max, tokenSimilarity(ruleToken, token) * weight), 0);
+      if (best === 0) return 0;
+      total += best;
+    }
+    return total / ruleTokens.length;
+  }
+
+  // Best matching rule for a line item: { outcome, list, reason, rule, score },
+  // { outcome: 'allowed', rule, score } for allow-listed items, or null
+  match(item) {
+    const name = this.expand(item.name);
+    const type = this.expand(item.type);
+
+    const allowed = this.bestMatch(this.allowed, name);
+    if (allowed) {
+      return { outcome: 'allowed', list: 'allowed_items', reason: 'allowed_item', rule: allowed.rule.phrase, score: allowed.score };
+    }
+
+    for (const definition of LISTS) {
+      const best = this.bestMatch(
+        this.rules.filter(rule => rule.list === definition.list),
+        definition.field === 'type' ? type : name
+      );
+      if (best) {
+        return {
+          outcome: definition.outcome,
+          list: definition.list,
+          reason: definition.reason,
+          rule: best.rule.phrase,
+          score: best.score
+        };
+      }
+    }
+    return null;
+  }
+
+  bestMatch(rules, tokens) {
+    return rules
+      .map(rule => ({ rule, score: parseFloat(this.score(rule.tokens, tokens).toFixed(2)) }))
+      .filter(candidate => candidate.score >= this.threshold)
+      .sort((a, b) => b.score - a.score || b.rule.tokens.length - a.rule.tokens.length)[0] || null;
+  }
+}
+
+module.exports = ExclusionMatcher;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,210 @@
+// Field schemas for extracted documents, used to validate provider output
+// before it is trusted. Mirrors the JSON shapes in AIService.extractionPrompts.
+// Schemas of configured document types are built from their taxonomy fields.
+
+const { getDocumentType } = require('./DocumentTaxonomy');
+
+const ITEM_TYPES = ['medicine', 'supplement', 'lab'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+// Label/confidence metadata for date fields, produced by DateExtractor
+const DATE_DETAILS = { type: 'object', nullable: true, properties: {} };
+
+const SCHEMAS = {
+  prescription: {
+    prescription_number: { type: 'string', nullable: true },
+    prescription_date: { type: 'string', nullable: true, pattern: DATE_PATTERN },
+    prescription_time: { type: 'string', nullable: true, pattern: TIME_PATTERN },
+    visit_reason: { type: 'string' },
+    doctor_sign_and_seal_present: { type: 'boolean' },
+    doctor_name: { type: 'string', nullable: true },
+    doctor_specialty: { type: 'string' },
+    diagnosis: { type: 'array', items: { type: 'string' } },
+    prescription_orders: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          item: { type: 'string' },
+          type: { type: 'string', enum: ITEM_TYPES },
+          dose: { type: 'string', nullable: true },
+          frequency: { type: 'string', nullable: true }
+        }
+      }
+    },
+    facility_name: { type: 'string', nullable: true },
+    facility_address: { type: 'string' },
+    specialist_prescription: { type: 'boolean' },
+    date_details: DATE_DETAILS
+  },
+
+  bill: {
+    bill_number: { type: 'string', nullable: true },
+    bill_date: { type: 'string', nullable: true, pattern: DATE_PATTERN },
+    bill_time: { type: 'string', nullable: true, pattern: TIME_PATTERN },
+    line_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string', enum: ITEM_TYPES },
+          brand: { type: 'string', nullable: true },
+          composition: { type: 'string', nullable: true },
+          batch: { type: 'string', nullable: true },
+          quantity: { type: 'number', nullable: true },
+          unit_price: { type: 'number', nullable: true },
+          mrp: { type: 'number', nullable: true },
+          price: { type: 'number' },
+          discount: { type: 'number', nullable: true },
+          tax: { type: 'number', nullable: true },
+          tax_rate: { type: 'number', nullable: true },
+          final: { type: 'number' }
+        }
+      }
+    },
+    total_paid_amount: { type: 'number' },
+    total_amount_in_words: { type: 'number', nullable: true },
+    facility_name: { type: 'string', nullable: true },
+    facility_address: { type: 'string' },
+    tnc_eligible: { type: 'boolean' },
+    date_details: DATE_DETAILS
+  },
+
+  report: {
+    lab_name: { type: 'string', nullable: true },
+    report_date: { type: 'string', nullable: true, pattern: DATE_PATTERN },
+    patient_name: { type: 'string', nullable: true },
+    tests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          test_name: { type: 'string' },
+          value: { type: ['number', 'string'] },
+          unit: { type: 'string', nullable: true },
+          reference_range: { type: 'string', nullable: true },
+          abnormal_flag: { type: 'string', nullable: true, enum: ['high', 'low', 'abnormal'] }
+        }
+      }
+    },
+    date_details: DATE_DETAILS
+  }
+};
+
+// Configured field types: amounts are stored as numbers, dates as YYYY-MM-DD
+const CONFIGURED_FIELD_SCHEMAS = {
+  string: { type: 'string', nullable: true },
+  number: { type: 'number', nullable: true },
+  amount: { type: 'number', nullable: true },
+  date: { type: 'string', nullable: true, pattern: DATE_PATTERN }
+};
+
+function buildConfiguredSchema(definition) {
+  const schema = {};
+  Object.entries(definition.fields).forEach(([field, spec]) => {
+    schema[field] = CONFIGURED_FIELD_SCHEMAS[spec.type];
+  });
+  schema.date_details = DATE_DETAILS;
+  return schema;
+}
+
+function getSchema(documentType) {
+  if (SCHEMAS[documentType]) return SCHEMAS[documentType];
+
+  const definition = getDocumentType(documentType);
+  return definition && !definition.builtIn ? buildConfiguredSchema(definition) : null;
+}
+
+// Validate a value against a field schema; returns a list of error messages
+function validateValue(schema, value, fieldPath) {
+  if (value === null) {
+    return schema.nullable ? [] : [`${fieldPath} must not be null`];
+  }
+
+  // Union types: valid if any of the listed types accepts the value
+  if (Array.isArray(schema.type)) {
+    const valid = schema.type.some(type => validateValue({ ...schema, type }, value, fieldPath).length === 0);
+    return valid ? [] : [`${fieldPath} must be one of type ${schema.type.join(', ')}`];
+  }
+
+  switch (schema.type) {
+    case 'array': {
+      if (!Array.isArray(value)) return [`${fieldPath} must be an array`];
+      return value.flatMap((item, index) => validateValue(schema.items, item, `${fieldPath}[${index}]`));
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return [`${fieldPath} must be an object`];
+      return Object.entries(schema.properties).flatMap(([key, propertySchema]) =>
+        value[key] === undefined
+          ? (propertySchema.nullable ? [] : [`${fieldPath}.${key} is required`])
+          : validateValue(propertySchema, value[key], `${fieldPath}.${key}`)
+      );
+    }
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? [] : [`${fieldPath} must be a number`];
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${fieldPath} must be a boolean`];
+    case 'string': {
+      if (typeof value !== 'string') return [`${fieldPath} must be a string`];
+      if (schema.pattern && !schema.pattern.test(value)) return [`${fieldPath} has an invalid format`];
+      if (schema.enum && !schema.enum.includes(value)) return [`${fieldPath} must be one of ${schema.enum.join(', ')}`];
+      return [];
+    }
+    default:
+      return [];
+  }
+}
+
+// Validate each top-level field of a document; returns { field: [errors] } for invalid fields
+function validateDocument(documentType, data) {
+  const schema = getSchema(documentType);
+  const errors = {};
+
+  if (!schema) return errors;
+
+  Object.entries(schema).forEach(([field, fieldSchema]) => {
+    const value = data ? data[field] : undefined;
+    const fieldErrors = value === undefined
+      ? [`${field} is missing`]
+      : validateValue(fieldSchema, value, field);
+    if (fieldErrors.length > 0) {
+      errors[field] = fieldErrors;
+    }
+  });
+
+  return errors;
+}
+
+// Merge provider output with the deterministic result field by field: a field is
+// taken from the provider only when it is present, non-null and valid.
+function mergeWithFallback(documentType, primary, fallback, primaryProvider, fallbackProvider = 'deterministic') {
+  const schema = getSchema(documentType) || {};
+  const validationErrors = primary ? validateDocument(documentType, primary) : {};
+  const data = {};
+  const fieldSources = {};
+
+  Object.keys(schema).forEach(field => {
+    const usable = primary && primary[field] !== undefined && primary[field] !== null && !validationErrors[field];
+    const fallbackHasValue = fallback && fallback[field] !== undefined && fallback[field] !== null;
+
+    if (usable || (primary && primary[field] === null && !validationErrors[field] && !fallbackHasValue)) {
+      data[field] = primary[field];
+      fieldSources[field] = primaryProvider;
+    } else {
+      data[field] = fallback ? fallback[field] : null;
+      fieldSources[field] = fallbackProvider;
+    }
+  });
+
+  return { data, fieldSources, validationErrors };
+}
+
+module.exports = {
+  SCHEMAS,
+  getSchema,
+  validateValue,
+  validateDocument,
+  mergeWithFallback
+};
@@ -0,0 +1,176 @@
+// Per-field confidence and provenance for extracted documents: which page a
+// value was read from, the matching text span, and whether the value is only
+// a fallback default. Stored on each document group as `extraction.fields`.
+
+const { findTextSpan } = require('./OcrLayout');
+
+// Base confidence for a value located in the page text, by producing provider
+const BASE_CONFIDENCE = { deterministic: 0.8, llm: 0.75 };
+// Found by the provider but not located in any page's text
+const UNLOCATED_FACTOR = 0.6;
+// Keyword-presence flags (sign & seal, specialist) cannot be located in text
+const FLAG_CONFIDENCE = 0.6;
+
+// Fields the deterministic extractor never reads and always fills with a default
+const ALWAYS_DEFAULT = {
+  bill: ['tnc_eligible']
+};
+
+// Text that identifies an array element in the page text
+const ITEM_TEXT_KEYS = ['name', 'item', 'test_name'];
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Whether a value is the document type's fallback default rather than a real read
+function isDefaultValue(documentType, field, value, defaults, source) {
+  if (isEmpty(value)) return true;
+  if (typeof value === 'boolean') {
+    return source === 'deterministic' && (ALWAYS_DEFAULT[documentType] || []).includes(field);
+  }
+  return defaults[field] !== undefined && sameValue(value, defaults[field]);
+}
+
+// Text variants to look for: numbers may be printed with grouping or decimals
+function searchTexts(value) {
+  if (typeof value === 'number') {
+    return [
+      String(value),
+      value.toFixed(2),
+      value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      value.toLocaleString('en-IN')
+    ].filter((text, index, all) => all.indexOf(text) === index);
+  }
+  return [String(value)];
+}
+
+// Locate a value on the document's pages. Uses OCR word boxes when the page
+// has them, otherwise a case-insensitive search of the page text.
+function locate(pages, value) {
+  for (const text of searchTexts(value)) {
+    for (const page of pages) {
+      const span = findTextSpan(page, text);
+      if (span) {
+        return { pageId: page.id, span };
+      }
+
+      const pageText = page.extractedText || '';
+      const start = pageText.toLowerCase().indexOf(text.toLowerCase());
+      if (text.length > 0 && start !== -1) {
+        return {
+          pageId: page.id,
+          span: { pageId: page.id, text: pageText.slice(start, start + text.length), start, end: start + text.length, bbox: null, confidence: null }
+        };
+      }
+    }
+  }
+  return null;
+}
+
+function scoreLocated(source, location) {
+  const base = BASE_CONFIDENCE[source] || BASE_CONFIDENCE.deterministic;
+  if (!location) return round(base * UNLOCATED_FACTOR);
+  const ocrConfidence = location.span.confidence;
+  return round(typeof ocrConfidence === 'number' ? base * Math.min(ocrConfidence, 100) / 100 : base);
+}
+
+function itemText(item) {
+  if (item === null || typeof item !== 'object') return item;
+  const key = ITEM_TEXT_KEYS.find(k => typeof item[k] === 'string');
+  return key ? item[key] : null;
+}
+
+// Provenance for one array element; bill line items already carry their
+// table row location from BillTableParser
+function describeItem(pages, item, source) {
+  if (item && item.source && item.source.pageId) {
+    return {
+      pageId: item.source.pageId,
+      span: { pageId: item.source.pageId, text: itemText(item), bbox: item.source.bbox || null },
+      confidence: BASE_CONFIDENCE[source] || BASE_CONFIDENCE.deterministic
+    };
+  }
+
+  const text = itemText(item);
+  const location = text ? locate(pages, text) : null;
+  return {
+    pageId: location ? location.pageId : null,
+    span: location ? location.span : null,
+    confidence: scoreLocated(source, location)
+  };
+}
+
+// Build { field: { confidence, pageId, span, isDefault, source } } for every
+// field of an extracted document; array fields also get per-element `items`
+function buildFieldProvenance(documentType, data, pages = [], options = {}) {
+  const fieldSources = options.fieldSources || {};
+  const defaults = options.defaults || {};
+  const dateDetails = (data && data.date_details) || {};
+  const fields = {};
+
+  Object.keys(data || {}).filter(field => field !== 'date_details').forEach(field => {
+    const value = data[field];
+    const source = fieldSources[field] || 'deterministic';
+    const isDefault = isDefaultValue(documentType, field, value, defaults, source);
+    const entry = { confidence: 0, pageId: null, span: null, isDefault, source };
+
+    if (isDefault) {
+      fields[field] = entry;
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      const items = value.map(item => describeItem(pages, item, source));
+      const located = items.find(item => item.pageId);
+      fields[field] = {
+        ...entry,
+        confidence: round(items.reduce((sum, item) => sum + item.confidence, 0) / items.length),
+        pageId: located ? located.pageId : null,
+        items
+      };
+      return;
+    }
+
+    if (typeof value === 'boolean') {
+      fields[field] = { ...entry, confidence: FLAG_CONFIDENCE };
+      return;
+    }
+
+    // Dates are located by the text they were read from
+    const dateDetail = dateDetails[field];
+    const location = locate(pages, dateDetail && dateDetail.raw ? dateDetail.raw : value);
+    const confidence = dateDetail && typeof dateDetail.confidence === 'number'
+      ? dateDetail.confidence
+      : scoreLocated(source, location);
+
+    fields[field] = {
+      ...entry,
+      confidence,
+      pageId: location ? location.pageId : null,
+      span: location ? location.span : null
+    };
+  });
+
+  return fields;
+}
+
+// Whether a document's field was filled with a fallback default. Documents
+// extracted before provenance was recorded are treated as real reads.
+function isDefaulted(document, field) {
+  const fields = document && document.extraction && document.extraction.fields;
+  return !!(fields && fields[field] && fields[field].isDefault);
+}
+
+module.exports = {
+  buildFieldProvenance,
+  isDefaulted
+};
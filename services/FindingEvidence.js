@@ -0,0 +1,135 @@
+// References from a finding back to what triggered it, so a reviewer can jump
+// to the evidence: the document and its page ids, the extracted field path,
+// and the text span with its OCR box as recorded by field provenance at
+// extraction. Checks describe what they looked at as targets
+// ({ documentId, field, itemIndex, property } or { pageId, regions }), which
+// are resolved against the claim here.
+
+const { getCollections } = require('./DocumentTaxonomy');
+
+// Detail keys that hold a document id
+const DOCUMENT_KEYS = ['documentId', 'billId', 'reportId', 'prescriptionId'];
+
+function findDocument(claim, documentId) {
+  for (const [collection, documentType] of Object.entries(getCollections())) {
+    const doc = (claim[collection] || []).find(candidate => candidate.id === documentId);
+    if (doc) return { doc, documentType };
+  }
+  return null;
+}
+
+// Fields read by rule conditions ('document.total_paid_amount', 'item.final')
+function valueTargets(values, itemsField) {
+  return Object.keys(values).flatMap(key => {
+    const [scope, ...rest] = key.split('.');
+    if (scope === 'document') return [{ field: rest[0] }];
+    if (scope === 'item') return [{ field: itemsField, property: rest.join('.') }];
+    return [];
+  });
+}
+
+// Targets named by a check's details: document ids with the field, line item
+// or condition values they concern, and pages. `fields` gives the fields
+// behind a document id key when the details do not say.
+function targetsFromDetails(details, options = {}) {
+  const fields = options.fields || {};
+  const itemsField = options.itemsField || 'line_items';
+  const entries = Array.isArray(details) ? details : [details];
+
+  return entries.filter(detail => detail && typeof detail === 'object').flatMap(detail => {
+    const keys = DOCUMENT_KEYS.filter(key => typeof detail[key] === 'string');
+    if (keys.length === 0) {
+      return typeof detail.pageId === 'string'
+        ? [{ pageId: detail.pageId, regions: detail.lowConfidenceRegions || [] }]
+        : [];
+    }
+
+    return keys.flatMap(key => {
+      const itemIndex = typeof detail.itemIndex === 'number' ? detail.itemIndex : undefined;
+      let targets;
+      if (typeof detail.field === 'string') {
+        targets = [{ field: detail.field }];
+      } else if (detail.values) {
+        targets = valueTargets(detail.values, itemsField);
+      } else if (Array.isArray(detail.fields)) {
+        targets = detail.fields.map(field => ({ field }));
+      } else if (itemIndex !== undefined) {
+        targets = [{ field: itemsField }];
+      } else {
+        targets = (fields[key] || [null]).map(field => ({ field }));
+      }
+      return targets.map(target => ({
+        documentId: detail[key],
+        ...target,
+        ...(target.field === itemsField && itemIndex !== undefined ? { itemIndex } : {})
+      }));
+    });
+  });
+}
+
+function buildPath({ field, itemIndex, property }) {
+  if (!field) return null;
+  const item = typeof itemIndex === 'number' ? `${field}[${itemIndex}]` : field;
+  return property ? `${item}.${property}` : item;
+}
+
+// { documentId, documentType, pageIds, field, path, span, boxes } for a
+// target, or null when its document is no longer on the claim. Without a
+// located span the reference points at all pages of the document.
+function resolveReference(claim, target) {
+  if (!target.documentId) {
+    const page = claim.pages.find(candidate => candidate.id === target.pageId);
+    if (!page) return null;
+    return {
+      documentId: null,
+      documentType: page.documentType || null,
+      pageIds: [page.id],
+      field: null,
+      path: null,
+      span: null,
+      boxes: (target.regions || []).map(region => region.bbox).filter(Boolean)
+    };
+  }
+
+  const found = findDocument(claim, target.documentId);
+  if (!found) return null;
+  const { doc, documentType } = found;
+
+  const fields = (doc.extraction && doc.extraction.fields) || {};
+  let provenance = target.field ? fields[target.field] || null : null;
+  if (provenance && typeof target.itemIndex === 'number') {
+    provenance = (provenance.items || [])[target.itemIndex] || null;
+  }
+  const span = (provenance && provenance.span) || null;
+  const pageId = (provenance && provenance.pageId) || (span && span.pageId) || null;
+
+  return {
+    documentId: doc.id,
+    documentType,
+    pageIds: pageId ? [pageId] : (doc.pages || []).map(page => page.id),
+    field: target.field || null,
+    path: buildPath(target),
+    span,
+    boxes: span && span.bbox ? [span.bbox] : []
+  };
+}
+
+// Resolved references for targets, without duplicates
+function collectReferences(claim, targets) {
+  const seen = new Set();
+  return targets
+    .map(target => resolveReference(claim, target))
+    .filter(reference => {
+      if (!reference) return false;
+      const key = `${reference.documentId}|${reference.path}|${reference.pageIds.join(',')}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+module.exports = {
+  targetsFromDetails,
+  resolveReference,
+  collectReferences
+};
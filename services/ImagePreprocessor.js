@@ -0,0 +1,177 @@
+const sharp = require('sharp');
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  autoRotate: true,
+  grayscale: true,
+  upscale: true,
+  normalize: true,
+  deskew: true,
+  threshold: true,
+  minWidth: 1500, // upscale images narrower than this (pixels)
+  maxUpscale: 3,
+  maxSkewAngle: 10, // degrees searched either side of horizontal
+  skewStep: 0.5,
+  thresholdWindow: 31, // neighbourhood size for adaptive thresholding (pixels)
+  thresholdOffset: 10
+};
+
+class ImagePreprocessor {
+  constructor(options = {}) {
+    this.options = this.resolveOptions(options);
+  }
+
+  // Merge overrides into the defaults, ignoring unknown keys
+  resolveOptions(overrides = {}, base = DEFAULT_OPTIONS) {
+    const options = { ...base };
+    Object.keys(DEFAULT_OPTIONS).forEach(key => {
+      if (overrides && overrides[key] !== undefined) {
+        options[key] = overrides[key];
+      }
+    });
+    return options;
+  }
+
+  // Run the configured steps on an image (path or buffer).
+  // Returns the processed PNG buffer and the list of steps applied.
+  async preprocess(input, overrides = {}) {
+    const options = this.resolveOptions(overrides, this.options);
+    const steps = [];
+
+    if (!options.enabled) {
+      return { buffer: null, steps };
+    }
+
+    // Read EXIF orientation before any re-encode strips it
+    const metadata = await sharp(input).metadata();
+    let buffer;
+
+    if (options.autoRotate && metadata.orientation && metadata.orientation > 1) {
+      buffer = await sharp(input).rotate().toBuffer();
+      steps.push({ step: 'autoRotate', orientation: metadata.orientation });
+    } else {
+      buffer = await sharp(input).toBuffer();
+    }
+
+    if (options.grayscale) {
+      buffer = await sharp(buffer).grayscale().toBuffer();
+      steps.push({ step: 'grayscale' });
+    }
+
+    const { width } = await sharp(buffer).metadata();
+    if (options.upscale && width && width < options.minWidth) {
+      const factor = Math.min(options.maxUpscale, options.minWidth / width);
+      buffer = await sharp(buffer)
+        .resize({ width: Math.round(width * factor), kernel: 'lanczos3' })
+        .toBuffer();
+      steps.push({ step: 'upscale', fromWidth: width, factor: parseFloat(factor.toFixed(2)) });
+    }
+
+    if (options.normalize) {
+      buffer = await sharp(buffer).normalise().toBuffer();
+      steps.push({ step: 'normalize' });
+    }
+
+    if (options.deskew) {
+      const sample = await sharp(buffer)
+        .grayscale()
+        .resize({ width: 800, withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      const angle = this.estimateSkewAngle(sample.data, sample.info.width, sample.info.height, options);
+
+      if (Math.abs(angle) >= options.skewStep) {
+        buffer = await sharp(buffer).rotate(angle, { background: '#ffffff' }).toBuffer();
+        steps.push({ step: 'deskew', angle });
+      }
+    }
+
+    if (options.threshold) {
+      const { data, info } = await sharp(buffer).grayscale().raw().toBuffer({ resolveWithObject: true });
+      const binary = this.adaptiveThreshold(data, info.width, info.height, options);
+      buffer = await sharp(binary, { raw: { width: info.width, height: info.height, channels: 1 } })
+        .png()
+        .toBuffer();
+      steps.push({ step: 'threshold', window: options.thresholdWindow, offset: options.thresholdOffset });
+    } else {
+      buffer = await sharp(buffer).png().toBuffer();
+    }
+
+    return { buffer, steps };
+  }
+
+  // Find the clockwise rotation (degrees) that best aligns text rows, using the
+  // variance of the horizontal projection profile of dark pixels
+  estimateSkewAngle(data, width, height, options = this.options) {
+    const darkPixels = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] < 128) {
+          darkPixels.push(x, y);
+        }
+      }
+    }
+
+    if (darkPixels.length === 0) return 0;
+
+    let bestAngle = 0;
+    let bestScore = -1;
+    const diagonal = Math.ceil(Math.sqrt(width * width + height * height));
+
+    for (let angle = -options.maxSkewAngle; angle <= options.maxSkewAngle; angle += options.skewStep) {
+      const radians = angle * Math.PI / 180;
+      const sin = Math.sin(radians);
+      const cos = Math.cos(radians);
+      const rows = new Float64Array(diagonal * 2 + 1);
+
+      for (let i = 0; i < darkPixels.length; i += 2) {
+        const rotatedY = Math.round(darkPixels[i] * sin + darkPixels[i + 1] * cos) + diagonal;
+        rows[rotatedY]++;
+      }
+
+      const score = rows.reduce((sum, count) => sum + count * count, 0);
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+
+    return parseFloat(bestAngle.toFixed(2));
+  }
+
+  // Binarize a greyscale buffer against the mean of each pixel's neighbourhood,
+  // which copes with shadows and uneven lighting better than a global threshold
+  adaptiveThreshold(data, width, height, options = this.options) {
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += data[y * width + x];
+        integral[(y + 1) * (width + 1) + (x + 1)] = integral[y * (width + 1) + (x + 1)] + rowSum;
+      }
+    }
+
+    const half = Math.floor(options.thresholdWindow / 2);
+    const output = Buffer.alloc(width * height);
+
+    for (let y = 0; y < height; y++) {
+      const top = Math.max(0, y - half);
+      const bottom = Math.min(height, y + half + 1);
+      for (let x = 0; x < width; x++) {
+        const left = Math.max(0, x - half);
+        const right = Math.min(width, x + half + 1);
+        const area = (bottom - top) * (right - left);
+        const sum = integral[bottom * (width + 1) + right] -
+                    integral[top * (width + 1) + right] -
+                    integral[bottom * (width + 1) + left] +
+                    integral[top * (width + 1) + left];
+        output[y * width + x] = data[y * width + x] < (sum / area) - options.thresholdOffset ? 0 : 255;
+      }
+    }
+
+    return output;
+  }
+}
+
+module.exports = ImagePreprocessor;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
@@ -0,0 +1,114 @@
+// Helpers for versioned, per-insurer configuration entries (business rule
+// sets, benefit plans). Entries have an `id` and integer `version`, list the
+// `insurers` they apply to, and one is marked `"default": true`. A version may
+// be limited to the dates from `effectiveFrom` to `effectiveTo` (inclusive,
+// YYYY-MM-DD); on any date the highest version of an id in force applies.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Before any dated version takes effect
+const EARLIEST_DATE = '0001-01-01';
+
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function dayAfter(date) {
+  return new Date(Date.parse(date) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function normalizeInsurer(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+// The highest version of each entry id, in first-seen order
+function latestVersions(entries) {
+  const latest = {};
+  entries.forEach(entry => {
+    if (!latest[entry.id] || entry.version > latest[entry.id].version) {
+      latest[entry.id] = entry;
+    }
+  });
+  return latest;
+}
+
+function inForce(entry, date) {
+  return (!entry.effectiveFrom || entry.effectiveFrom <= date) && (!entry.effectiveTo || date <= entry.effectiveTo);
+}
+
+// The highest version of each entry id in force on a YYYY-MM-DD date
+function versionsInForce(entries, date = today()) {
+  return latestVersions(entries.filter(entry => inForce(entry, date)));
+}
+
+// Dates on which the versions in force can change; checking these covers every date
+function boundaryDates(entries) {
+  const dates = entries.flatMap(entry => [
+    entry.effectiveFrom,
+    entry.effectiveTo ? dayAfter(entry.effectiveTo) : null
+  ]).filter(isDate);
+  return [...new Set([EARLIEST_DATE, ...dates])].sort();
+}
+
+// The entry listing the insurer (case-insensitive), or the default entry
+function selectForInsurer(entries, insurer) {
+  const name = normalizeInsurer(insurer);
+  return entries.find(entry => name && (entry.insurers || []).some(candidate => normalizeInsurer(candidate) === name)) ||
+    entries.find(entry => entry.default === true);
+}
+
+// Check the id, version, insurers and default marker of each entry; returns
+// a list of error messages prefixed with `name[index]`
+function validateEntries(entries, name) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return [`${name} must be a non-empty array`];
+  }
+
+  const errors = [];
+  const versions = new Set();
+  entries.forEach((entry, index) => {
+    const where = `${name}[${index}]`;
+    if (typeof entry.id !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(entry.id)) {
+      errors.push(`${where}.id must be an identifier`);
+    }
+    if (!Number.isInteger(entry.version) || entry.version < 1) {
+      errors.push(`${where}.version must be a positive integer`);
+    } else if (versions.has(`${entry.id}@${entry.version}`)) {
+      errors.push(`${where} ${entry.id} version ${entry.version} is defined twice`);
+    }
+    versions.add(`${entry.id}@${entry.version}`);
+
+    if (entry.insurers !== undefined && (!Array.isArray(entry.insurers) || entry.insurers.some(insurer => typeof insurer !== 'string'))) {
+      errors.push(`${where}.insurers must be a list of insurer names`);
+    }
+    ['effectiveFrom', 'effectiveTo'].filter(key => entry[key] !== undefined && !isDate(entry[key])).forEach(key => {
+      errors.push(`${where}.${key} must be a YYYY-MM-DD date`);
+    });
+    if (isDate(entry.effectiveFrom) && isDate(entry.effectiveTo) && entry.effectiveFrom > entry.effectiveTo) {
+      errors.push(`${where}.effectiveFrom must not be after effectiveTo`);
+    }
+  });
+
+  if (!entries.some(entry => entry.default === true)) {
+    errors.push(`one of ${name} must be marked "default": true`);
+  } else if (errors.length === 0) {
+    // Every claim needs a default to fall back on, whatever its date
+    boundaryDates(entries)
+      .filter(date => !Object.values(versionsInForce(entries, date)).some(entry => entry.default === true))
+      .forEach(date => errors.push(`no default ${name} entry is in force on ${date}`));
+  }
+  return errors;
+}
+
+module.exports = {
+  normalizeInsurer,
+  latestVersions,
+  versionsInForce,
+  boundaryDates,
+  selectForInsurer,
+  validateEntries
+};
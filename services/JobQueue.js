@@ -0,0 +1,140 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const JsonFileStore = require('./JsonFileStore');
+
+const DEFAULT_JOBS_PATH = path.join(__dirname, '../data/jobs.json');
+
+class JobQueue {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(
+      options.filePath || process.env.JOBS_DB_PATH || DEFAULT_JOBS_PATH,
+      []
+    );
+    this.jobs = new Map();
+    this.handlers = {};
+    this.queue = [];
+    this.running = false;
+  }
+
+  // Register the worker function for a job type
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  // Load persisted jobs and re-queue the ones interrupted by a restart
+  async load() {
+    const records = await this.store.read();
+    this.jobs = new Map();
+    this.queue = [];
+
+    (records || []).forEach(job => {
+      this.jobs.set(job.id, job);
+      if (job.status === 'queued' || job.status === 'running') {
+        job.status = 'queued';
+        job.resumedAt = new Date().toISOString();
+        this.queue.push(job.id);
+      }
+    });
+
+    if (this.queue.length > 0) {
+      await this.persist();
+      this.drain();
+    }
+
+    return this.queue.length;
+  }
+
+  async enqueue(type, payload = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      type,
+      ...payload,
+      status: 'queued', // queued, running, completed, failed
+      stages: [],
+      pages: [],
+      errors: [],
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    await this.persist();
+    this.drain();
+
+    return job;
+  }
+
+  findById(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Find a queued or running job matching the given fields
+  findActive(criteria) {
+    return Array.from(this.jobs.values()).find(job =>
+      (job.status === 'queued' || job.status === 'running') &&
+      Object.entries(criteria).every(([key, value]) => job[key] === value)
+    ) || null;
+  }
+
+  // Persist progress made on a job
+  async save(job) {
+    job.updatedAt = new Date().toISOString();
+    await this.persist();
+    return job;
+  }
+
+  // Run queued jobs one at a time in the background
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const job = this.jobs.get(this.queue.shift());
+        if (job) {
+          await this.runJob(job);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await this.save(job);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+      job.result = await handler(job);
+      job.status = 'completed';
+    } catch (error) {
+      console.error(`Error running job ${job.id}:`, error);
+      job.status = 'failed';
+      job.errors.push({ message: error.message, at: new Date().toISOString() });
+    }
+
+    job.completedAt = new Date().toISOString();
+    await this.save(job);
+  }
+
+  persist() {
+    return this.store.write(Array.from(this.jobs.values()));
+  }
+}
+
+// Shared instance so every router and the worker see the same jobs
+const jobQueue = new JobQueue();
+
+module.exports = JobQueue;
+module.exports.jobQueue = jobQueue;
@@ -0,0 +1,42 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+class JsonFileStore {
+  constructor(filePath, defaultValue = null) {
+    this.filePath = filePath;
+    this.defaultValue = defaultValue;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // Read and parse the file, falling back to the default when it does not exist yet
+  async read() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.defaultValue;
+      }
+      throw error;
+    }
+  }
+
+  // Write the data atomically (temp file + rename); writes are serialized so
+  // concurrent saves never interleave on disk
+  write(data) {
+    const serialized = JSON.stringify(data, null, 2);
+
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, serialized, 'utf8');
+        await fs.rename(tempPath, this.filePath);
+      });
+
+    return this.pendingWrite;
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,56 @@
+const OpenAI = require('openai');
+
+// Extraction provider backed by an OpenAI-compatible chat completions endpoint.
+// Point LLM_BASE_URL at a local stand-in to run without the hosted API.
+class LLMExtractionProvider {
+  constructor(options = {}) {
+    this.name = 'llm';
+    this.model = options.model || process.env.LLM_MODEL || 'gpt-4o-mini';
+    this.client = options.client || new OpenAI({
+      apiKey: options.apiKey || process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || 'not-needed',
+      baseURL: options.baseURL || process.env.LLM_BASE_URL || undefined,
+      timeout: options.timeout || 60 * 1000,
+      maxRetries: options.maxRetries ?? 1
+    });
+  }
+
+  // Ask the model for the document's fields as JSON; throws on transport or parse errors
+  async extract(documentType, text, prompt) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      temperature: 0,
+      response_format: { type: 'json_object' },
+      messages: [
+        {
+          role: 'system',
+          content: `${prompt}\nRespond with a single JSON object only. Use null for fields that are not present in the document.`
+        },
+        { role: 'user', content: text }
+      ]
+    });
+
+    const content = response.choices && response.choices[0] && response.choices[0].message
+      ? response.choices[0].message.content
+      : null;
+
+    if (!content) {
+      throw new Error(`Empty response from ${this.model} for ${documentType} extraction`);
+    }
+
+    return this.parseJson(content);
+  }
+
+  // Parse the model output, tolerating markdown code fences around the JSON
+  parseJson(content) {
+    const trimmed = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const parsed = JSON.parse(trimmed);
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('LLM extraction did not return a JSON object');
+    }
+
+    return parsed;
+  }
+}
+
+module.exports = LLMExtractionProvider;
@@ -0,0 +1,119 @@
+// Helpers for the word/line geometry Tesseract returns, stored on each page as `page.ocr`
+
+const DEFAULT_LOW_CONFIDENCE = 60; // Tesseract confidences are 0-100
+
+function roundConfidence(value) {
+  return typeof value === 'number' ? parseFloat(value.toFixed(1)) : null;
+}
+
+function toBbox(bbox) {
+  if (!bbox) return null;
+  return { x0: bbox.x0, y0: bbox.y0, x1: bbox.x1, y1: bbox.y1 };
+}
+
+function unionBbox(boxes) {
+  const valid = boxes.filter(Boolean);
+  if (valid.length === 0) return null;
+  return {
+    x0: Math.min(...valid.map(b => b.x0)),
+    y0: Math.min(...valid.map(b => b.y0)),
+    x1: Math.max(...valid.map(b => b.x1)),
+    y1: Math.max(...valid.map(b => b.y1))
+  };
+}
+
+// Convert a Tesseract result into plain, serializable words and lines.
+// Tesseract's objects reference each other (word.line, line.words), so only
+// the fields we need are copied and lines refer to words by index.
+function buildOcrLayout(data, options = {}) {
+  const lowConfidence = options.lowConfidence || DEFAULT_LOW_CONFIDENCE;
+  const words = [];
+  const lines = [];
+
+  (data.lines || []).forEach((line, lineIndex) => {
+    const wordStart = words.length;
+    (line.words || []).forEach(word => {
+      words.push({
+        text: word.text,
+        confidence: roundConfidence(word.confidence),
+        bbox: toBbox(word.bbox),
+        line: lineIndex
+      });
+    });
+    lines.push({
+      text: (line.text || '').trim(),
+      confidence: roundConfidence(line.confidence),
+      bbox: toBbox(line.bbox),
+      wordStart,
+      wordEnd: words.length
+    });
+  });
+
+  // Some results only carry a flat word list
+  if (lines.length === 0) {
+    (data.words || []).forEach(word => {
+      words.push({
+        text: word.text,
+        confidence: roundConfidence(word.confidence),
+        bbox: toBbox(word.bbox),
+        line: null
+      });
+    });
+  }
+
+  const averageConfidence = words.length > 0
+    ? words.reduce((sum, word) => sum + (word.confidence || 0), 0) / words.length
+    : roundConfidence(data.confidence);
+
+  return {
+    engine: 'tesseract',
+    confidence: roundConfidence(averageConfidence),
+    wordCount: words.length,
+    words,
+    lines,
+    lowConfidenceRegions: lines
+      .map((line, index) => ({ line: index, text: line.text, confidence: line.confidence, bbox: line.bbox }))
+      .filter(region => region.confidence !== null && region.confidence < lowConfidence)
+  };
+}
+
+function normalizeToken(token) {
+  return (token || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+}
+
+// Locate a snippet of text among a page's OCR words. Returns the page id,
+// matched text, bounding box and confidence, or null if it cannot be found.
+function findTextSpan(page, text) {
+  if (!page || !page.ocr || !text) return null;
+
+  const target = String(text).split(/\s+/).map(normalizeToken).filter(Boolean);
+  if (target.length === 0) return null;
+
+  const words = page.ocr.words;
+  const tokens = words.map(word => normalizeToken(word.text));
+
+  for (let start = 0; start <= tokens.length - target.length; start++) {
+    const matches = target.every((token, offset) => tokens[start + offset] === token);
+    if (matches) {
+      const matched = words.slice(start, start + target.length);
+      const confidences = matched.map(word => word.confidence).filter(c => c !== null);
+      return {
+        pageId: page.id,
+        text: matched.map(word => word.text).join(' '),
+        wordStart: start,
+        wordEnd: start + target.length,
+        bbox: unionBbox(matched.map(word => word.bbox)),
+        confidence: confidences.length > 0 ? Math.min(...confidences) : null
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_LOW_CONFIDENCE,
+  buildOcrLayout,
+  findTextSpan,
+  unionBbox
+};
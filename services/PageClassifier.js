@@ -0,0 +1,278 @@
+const path = require('path');
+const JsonFileStore = require('./JsonFileStore');
+const seed = require('../data/page_classifier_seed.json');
+const { getSeedExamples } = require('./DocumentTaxonomy');
+
+const DEFAULT_CLASSIFIER_PATH = path.join(__dirname, '../data/page_classifier.json');
+
+// Pages whose best type scores below this go to the "unknown - needs human" bucket
+const DEFAULT_THRESHOLD = 0.6;
+
+// Laplace smoothing for feature likelihoods
+const SMOOTHING = 1;
+
+// Candidate temperatures for confidence calibration
+const TEMPERATURES = [1, 1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32, 48, 64];
+
+// Terms listed in a classification reason
+const REASON_TERMS = 5;
+
+// Local page classifier: naive Bayes over word unigrams and bigrams, trained
+// from seed pages (data/page_classifier_seed.json and the seedExamples of the
+// document taxonomy) plus pages whose type a reviewer confirmed or corrected.
+// Raw naive Bayes posteriors are overconfident, so scores are divided by a
+// temperature fitted on leave-one-out predictions over the training pages
+// before the softmax.
+class PageClassifier {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(
+      options.filePath || process.env.PAGE_CLASSIFIER_PATH || DEFAULT_CLASSIFIER_PATH,
+      { examples: [], model: null }
+    );
+    this.threshold = options.threshold !== undefined
+      ? options.threshold
+      : parseFloat(process.env.PAGE_CLASSIFIER_THRESHOLD || DEFAULT_THRESHOLD);
+    this.seedExamples = options.seedExamples || [...seed.examples, ...getSeedExamples()];
+
+    // Reviewer-labelled pages, keyed by page id so relabelling replaces
+    this.examples = [];
+    this.model = this.train(this.seedExamples);
+  }
+
+  // Load reviewer examples and the last retrained model, if any
+  async load() {
+    const stored = await this.store.read();
+    this.examples = (stored && stored.examples) || [];
+    if (stored && stored.model && this.coversSeedTypes(stored.model)) {
+      this.model = stored.model;
+    } else if (this.examples.length > 0) {
+      // No retrained model, or types were added to the taxonomy since
+      this.model = this.train([...this.seedExamples, ...this.examples]);
+    }
+    return this.examples.length;
+  }
+
+  save() {
+    return this.store.write({ examples: this.examples, model: this.model });
+  }
+
+  coversSeedTypes(model) {
+    return this.seedExamples.every(example => model.classes[example.type]);
+  }
+
+  // Lowercased words with digits collapsed, so amounts and dates share features
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/\d+(?:[.,]\d+)*/g, ' #num ')
+      .split(/[^a-z#]+/)
+      .filter(token => token.length >= 2);
+  }
+
+  // Distinct unigram and bigram features of a text
+  features(text) {
+    const tokens = this.tokenize(text);
+    const bigrams = tokens.slice(1).map((token, index) => `${tokens[index]} ${token}`);
+    return [...new Set([...tokens, ...bigrams])];
+  }
+
+  // Build feature counts per type and fit the calibration temperature
+  train(examples) {
+    const labelled = examples
+      .filter(example => example.text && example.type)
+      .map(example => ({ type: example.type, features: this.features(example.text) }));
+
+    const classes = {};
+    const vocabulary = new Set();
+    labelled.forEach(({ type, features }) => {
+      const counts = classes[type] || (classes[type] = { documents: 0, total: 0, counts: {} });
+      counts.documents++;
+      counts.total += features.length;
+      features.forEach(feature => {
+        counts.counts[feature] = (counts.counts[feature] || 0) + 1;
+        vocabulary.add(feature);
+      });
+    });
+
+    const model = {
+      classes,
+      documents: labelled.length,
+      vocabularySize: vocabulary.size,
+      temperature: 1,
+      trainedAt: new Date().toISOString(),
+      exampleCounts: Object.fromEntries(Object.entries(classes).map(([type, c]) => [type, c.documents])),
+      accuracy: null
+    };
+
+    Object.assign(model, this.calibrate(model, labelled));
+    return model;
+  }
+
+  // Log prior plus feature log-likelihoods per type. `exclude` removes one
+  // training page's own counts (leave-one-out).
+  logScores(model, features, exclude = null) {
+    const scores = {};
+    const documents = model.documents - (exclude ? 1 : 0);
+    const types = Object.keys(model.classes);
+
+    types.forEach(type => {
+      const stats = model.classes[type];
+      const own = exclude && exclude.type === type;
+      const classDocuments = stats.documents - (own ? 1 : 0);
+      const total = stats.total - (own ? exclude.features.length : 0);
+      const denominator = total + SMOOTHING * model.vocabularySize;
+
+      let score = Math.log((classDocuments + SMOOTHING) / (documents + SMOOTHING * types.length));
+      features.forEach(feature => {
+        if (!this.inVocabulary(model, feature)) return;
+        const count = (stats.counts[feature] || 0) - (own ? 1 : 0);
+        score += Math.log((count + SMOOTHING) / denominator);
+      });
+      scores[type] = score;
+    });
+
+    return scores;
+  }
+
+  inVocabulary(model, feature) {
+    return Object.values(model.classes).some(stats => stats.counts[feature]);
+  }
+
+  // Softmax of scores divided by the temperature
+  posteriors(scores, temperature) {
+    const types = Object.keys(scores);
+    const max = Math.max(...types.map(type => scores[type]));
+    const exps = types.map(type => Math.exp((scores[type] - max) / temperature));
+    const sum = exps.reduce((a, b) => a + b, 0);
+    return Object.fromEntries(types.map((type, index) => [type, exps[index] / sum]));
+  }
+
+  // Pick the temperature with the lowest leave-one-out log loss
+  calibrate(model, labelled) {
+    if (labelled.length < 2 || Object.keys(model.classes).length < 2) {
+      return { temperature: 1, accuracy: null };
+    }
+
+    const looScores = labelled.map(example => ({
+      type: example.type,
+      scores: this.logScores(model, example.features, example)
+    }));
+
+    const logLoss = (temperature) => looScores.reduce((sum, { type, scores }) =>
+      sum - Math.log(Math.max(this.posteriors(scores, temperature)[type], 1e-12)), 0);
+    const temperature = TEMPERATURES.reduce((best, t) => (logLoss(t) < logLoss(best) ? t : best), TEMPERATURES[0]);
+
+    const correct = looScores.filter(({ type, scores }) => this.bestType(scores) === type).length;
+    return {
+      temperature,
+      accuracy: parseFloat((correct / labelled.length).toFixed(3))
+    };
+  }
+
+  bestType(scores) {
+    return Object.keys(scores).reduce((best, type) => (scores[type] > scores[best] ? type : best));
+  }
+
+  // Terms that most favour the predicted type over the others
+  explain(features, type) {
+    const model = this.model;
+    const likelihood = (t, feature) => {
+      const stats = model.classes[t];
+      return Math.log(((stats.counts[feature] || 0) + SMOOTHING) / (stats.total + SMOOTHING * model.vocabularySize));
+    };
+    const others = Object.keys(model.classes).filter(t => t !== type);
+
+    return features
+      .filter(feature => this.inVocabulary(model, feature) && !feature.includes('#num'))
+      .map(feature => ({
+        feature,
+        weight: likelihood(type, feature) - Math.max(...others.map(t => likelihood(t, feature)))
+      }))
+      .filter(term => term.weight > 0)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, REASON_TERMS)
+      .map(term => term.feature);
+  }
+
+  // Classify a page's text. Returns { type, confidence, reason, predictedType,
+  // needsReview, scores }; type is 'unknown' when confidence is below the threshold.
+  classify(text) {
+    const features = this.features(text).filter(feature => this.inVocabulary(this.model, feature));
+
+    if (features.length === 0) {
+      return {
+        type: 'unknown',
+        confidence: 0,
+        reason: 'No recognisable document text',
+        predictedType: null,
+        needsReview: true,
+        scores: {}
+      };
+    }
+
+    const probabilities = this.posteriors(this.logScores(this.model, features), this.model.temperature);
+    const predictedType = this.bestType(probabilities);
+    const confidence = parseFloat(probabilities[predictedType].toFixed(3));
+    const scores = Object.fromEntries(Object.entries(probabilities).map(([type, p]) => [type, parseFloat(p.toFixed(3))]));
+    const terms = this.explain(features, predictedType);
+    const needsReview = confidence < this.threshold;
+
+    return {
+      type: needsReview ? 'unknown' : predictedType,
+      confidence,
+      reason: needsReview
+        ? `Best guess ${predictedType} (${confidence}) is below the ${this.threshold} threshold; needs human review`
+        : `Classified as ${predictedType}${terms.length > 0 ? ` from terms: ${terms.join(', ')}` : ''}`,
+      predictedType,
+      needsReview,
+      scores
+    };
+  }
+
+  // Record a page whose type a reviewer confirmed or corrected; used at the next retrain
+  async addExample(text, type, meta = {}) {
+    if (!text || !text.trim()) return null;
+
+    const example = {
+      pageId: meta.pageId || null,
+      claimId: meta.claimId || null,
+      type,
+      text,
+      source: meta.source || 'correction', // correction or confirmation
+      labelledBy: meta.labelledBy || 'reviewer-001',
+      labelledAt: new Date().toISOString()
+    };
+
+    this.examples = this.examples.filter(e => !example.pageId || e.pageId !== example.pageId);
+    this.examples.push(example);
+    await this.save();
+    return example;
+  }
+
+  // Retrain from the seed pages plus every reviewer-labelled page
+  async retrain() {
+    this.model = this.train([...this.seedExamples, ...this.examples]);
+    await this.save();
+    return this.getStatus();
+  }
+
+  getStatus() {
+    const trainedAt = new Date(this.model.trainedAt);
+    return {
+      trainedAt: this.model.trainedAt,
+      threshold: this.threshold,
+      temperature: this.model.temperature,
+      accuracy: this.model.accuracy,
+      exampleCounts: this.model.exampleCounts,
+      seedExamples: this.seedExamples.length,
+      reviewerExamples: this.examples.length,
+      pendingExamples: this.examples.filter(e => new Date(e.labelledAt) > trainedAt).length
+    };
+  }
+}
+
+// Shared instance, so examples and retraining affect every AIService
+const pageClassifier = new PageClassifier();
+
+module.exports = PageClassifier;
+module.exports.pageClassifier = pageClassifier;
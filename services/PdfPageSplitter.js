@@ -0,0 +1,141 @@
+const pdfParse = require('pdf-parse');
+const { fromPath } = require('pdf2pic');
+const fs = require('fs').promises;
+const path = require('path');
+
+class PdfPageSplitter {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || 'uploads';
+    this.density = options.density || 200;
+    this.thumbnailWidth = options.thumbnailWidth || 200;
+  }
+
+  // Expand an uploaded file into one page record per physical page.
+  // Images map to a single page; PDFs are exploded page by page.
+  async expandUpload(file) {
+    const basePage = {
+      filename: file.filename,
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      path: file.path
+    };
+
+    if (file.mimetype !== 'application/pdf') {
+      return [basePage];
+    }
+
+    try {
+      return await this.splitPdf(file);
+    } catch (error) {
+      console.error('Error splitting PDF, keeping it as a single page:', error);
+      return [basePage];
+    }
+  }
+
+  async splitPdf(file) {
+    const dataBuffer = await fs.readFile(file.path);
+    const pageTexts = await this.extractPageTexts(dataBuffer);
+    const baseName = path.basename(file.filename, path.extname(file.filename));
+
+    const pages = [];
+    for (let index = 0; index < pageTexts.length; index++) {
+      const sourcePageNumber = index + 1;
+      const rendered = await this.renderPage(file.path, sourcePageNumber, baseName);
+
+      pages.push({
+        filename: rendered.image ? rendered.image.name : file.filename,
+        originalName: file.originalname,
+        mimetype: rendered.image ? 'image/png' : 'application/pdf',
+        size: rendered.image ? rendered.image.size : file.size,
+        path: rendered.image ? rendered.image.path : file.path,
+        thumbnailPath: rendered.thumbnail ? rendered.thumbnail.path : null,
+        embeddedText: pageTexts[index] || '',
+        source: {
+          filename: file.filename,
+          path: file.path,
+          mimetype: file.mimetype,
+          pageNumber: sourcePageNumber,
+          pageCount: pageTexts.length
+        }
+      });
+    }
+
+    return pages;
+  }
+
+  // Collect the text layer of every PDF page, in page order
+  async extractPageTexts(dataBuffer) {
+    const pageTexts = [];
+
+    const data = await pdfParse(dataBuffer, {
+      pagerender: async (pageData) => {
+        const textContent = await pageData.getTextContent({ normalizeWhitespace: true });
+        const text = this.joinTextItems(textContent.items);
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      }
+    });
+
+    // pdf-parse may skip the callback for blank pages; keep one entry per page
+    const pageCount = data.numpages || pageTexts.length;
+    return Array.from({ length: pageCount }, (_, index) => pageTexts[index] || '');
+  }
+
+  // Rebuild lines from pdf.js text items using their vertical position
+  joinTextItems(items) {
+    let lastY = null;
+    let text = '';
+
+    items.forEach(item => {
+      const y = item.transform ? item.transform[5] : null;
+      if (lastY !== null && y !== lastY) {
+        text += '\n';
+      } else if (text.length > 0) {
+        text += ' ';
+      }
+      text += item.str;
+      lastY = y;
+    });
+
+    return text;
+  }
+
+  // Render a page image and a thumbnail; either may be null when rendering is unavailable
+  async renderPage(filePath, pageNumber, baseName) {
+    const result = { image: null, thumbnail: null };
+
+    try {
+      const imageResponse = await fromPath(filePath, {
+        density: this.density,
+        saveFilename: `${baseName}-page`,
+        savePath: this.outputDir,
+        format: 'png',
+        preserveAspectRatio: true
+      })(pageNumber, { responseType: 'image' });
+
+      result.image = {
+        name: imageResponse.name,
+        path: imageResponse.path,
+        size: imageResponse.fileSize
+      };
+
+      const thumbnailResponse = await fromPath(filePath, {
+        density: 72,
+        saveFilename: `${baseName}-thumb`,
+        savePath: this.outputDir,
+        format: 'png',
+        width: this.thumbnailWidth,
+        preserveAspectRatio: true
+      })(pageNumber, { responseType: 'image' });
+
+      result.thumbnail = { path: thumbnailResponse.path };
+    } catch (error) {
+      console.error(`Error rendering PDF page ${pageNumber}:`, error);
+    }
+
+    return result;
+  }
+}
+
+module.exports = PdfPageSplitter;
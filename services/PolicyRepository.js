@@ -0,0 +1,91 @@
+const path = require('path');
+const Policy = require('../models/Policy');
+const JsonFileStore = require('./JsonFileStore');
+
+const DEFAULT_POLICIES_PATH = path.join(__dirname, '../data/policies.json');
+
+function normalizePolicyNumber(policyNumber) {
+  return (policyNumber || '').trim().toUpperCase();
+}
+
+class PolicyRepository {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(
+      options.filePath || process.env.POLICIES_DB_PATH || DEFAULT_POLICIES_PATH,
+      []
+    );
+    this.policies = new Map();
+  }
+
+  // Load persisted policies and rehydrate them as Policy instances
+  async load() {
+    const records = await this.store.read();
+    this.policies = new Map();
+
+    (records || []).forEach(record => {
+      const policy = new Policy(record);
+      this.policies.set(policy.id, policy);
+    });
+
+    return this.policies.size;
+  }
+
+  findById(id) {
+    return this.policies.get(id) || null;
+  }
+
+  findAll() {
+    return Array.from(this.policies.values());
+  }
+
+  // Policy numbers are matched ignoring case and surrounding spaces
+  findByPolicyNumber(policyNumber) {
+    const wanted = normalizePolicyNumber(policyNumber);
+    if (!wanted) return null;
+    return this.findAll().find(policy => normalizePolicyNumber(policy.policyNumber) === wanted) || null;
+  }
+
+  // The policy and member a claim is linked to; either may be null
+  findCoverage(claim) {
+    const policy = this.findByPolicyNumber(claim.policyNumber);
+    const member = policy ? policy.findMember(claim.memberId, claim.memberId ? null : claim.patientName) : null;
+    return { policy, member };
+  }
+
+  // Link a new claim to its member; a member matched by patient name is
+  // recorded on the claim. Unknown policies and members are kept as given
+  // and flagged by the business checks.
+  linkClaim(claim) {
+    const coverage = this.findCoverage(claim);
+    if (coverage.policy) {
+      claim.policyNumber = coverage.policy.policyNumber;
+    }
+    if (coverage.member) {
+      claim.memberId = coverage.member.id;
+    }
+    return coverage;
+  }
+
+  async add(policy) {
+    this.policies.set(policy.id, policy);
+    await this.persist();
+    return policy;
+  }
+
+  async save(policy) {
+    policy.updatedAt = new Date().toISOString();
+    this.policies.set(policy.id, policy);
+    await this.persist();
+    return policy;
+  }
+
+  persist() {
+    return this.store.write(this.findAll().map(policy => policy.toJSON()));
+  }
+}
+
+// Shared instance used by routers and business checks
+const policyRepository = new PolicyRepository();
+
+module.exports = PolicyRepository;
+module.exports.policyRepository = policyRepository;
@@ -0,0 +1,417 @@
+const path = require('path');
+const { getDocumentType, getDocumentTypes, getCollection } = require('./DocumentTaxonomy');
+const { versionsInForce, boundaryDates, selectForInsurer, validateEntries } = require('./InsurerConfig');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../data/business_rules.json');
+
+const LISTS = ['flags', 'warnings', 'errors'];
+const SEVERITIES = ['info', 'warning', 'error'];
+const CLAIM_SUBTYPES = ['specialist', 'medical'];
+
+// Comparison operators for rule conditions; `actual` is the value at the
+// condition's field path
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  not_in: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  contains: (actual, expected) => Array.isArray(actual)
+    ? actual.some(value => String(value).toLowerCase().includes(String(expected).toLowerCase()))
+    : typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase()),
+  matches: (actual, expected) => typeof actual === 'string' && new RegExp(expected, 'i').test(actual),
+  exists: (actual) => actual !== null && actual !== undefined && actual !== '',
+  missing: (actual) => actual === null || actual === undefined || actual === ''
+};
+
+// The value an operator compares against, checked when rules are loaded so a
+// bad value is reported once instead of failing on every claim; returns an
+// error message or null
+const VALUE_CHECKS = {
+  gt: value => (typeof value === 'number' ? null : 'must be a number'),
+  gte: value => (typeof value === 'number' ? null : 'must be a number'),
+  lt: value => (typeof value === 'number' ? null : 'must be a number'),
+  lte: value => (typeof value === 'number' ? null : 'must be a number'),
+  in: value => (Array.isArray(value) ? null : 'must be a list'),
+  not_in: value => (Array.isArray(value) ? null : 'must be a list'),
+  matches: value => {
+    try {
+      new RegExp(value, 'i');
+      return typeof value === 'string' ? null : 'must be a regular expression';
+    } catch (error) {
+      return 'must be a valid regular expression';
+    }
+  }
+};
+
+function getPath(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) =>
+    (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+// Declarative business rules, selected per insurer and claim subtype. Rule
+// sets live in data/business_rules.json (or BUSINESS_RULES_PATH); each has an
+// id and version, optional effectiveFrom/effectiveTo dates, the insurers it
+// applies to, and may extend another set, overriding its rules by id. A rule is one of:
+//   - `check`: a built-in check implemented by BusinessCheckService
+//   - `condition`: conditions over extracted fields, per document or line item
+//     when `documentType` (and `items`) is given, otherwise over claim facts
+//   - `requiredDocuments`: document types the claim must contain
+// and says which list (flags, warnings, errors) its finding goes to, with
+// what severity and message template.
+class RuleEngine {
+  constructor(options = {}) {
+    this.checks = options.checks || [];
+    const config = options.config ||
+      require(path.resolve(options.filePath || process.env.BUSINESS_RULES_PATH || DEFAULT_RULES_PATH));
+    this.load(config);
+  }
+
+  // Validate and resolve rule sets; throws when the configuration is invalid
+  load(config) {
+    const sets = (config && config.ruleSets) || [];
+    const errors = this.validateRuleSets(sets);
+    if (errors.length > 0) {
+      throw new Error(`Invalid business rules: ${errors.join('; ')}`);
+    }
+
+    // Rule sets are resolved per date; the sets in force only change on
+    // boundary dates, so validating those covers every claim
+    const ruleErrors = boundaryDates(sets).flatMap(date => {
+      const inForce = versionsInForce(sets, date);
+      const missing = Object.values(inForce)
+        .filter(set => set.extends && !inForce[set.extends])
+        .map(set => `${set.id} version ${set.version} extends ${set.extends}, which has no version in force on ${date}`);
+      if (missing.length > 0) return missing;
+
+      return this.resolveInForce(sets, date).flatMap(set =>
+        set.rules.flatMap((rule, index) =>
+          this.validateRule(rule).map(error => `${set.id}.rules[${index}] (${rule.id}): ${error}`))
+      );
+    });
+    if (ruleErrors.length > 0) {
+      throw new Error(`Invalid business rules: ${[...new Set(ruleErrors)].join('; ')}`);
+    }
+
+    this.sets = sets;
+    return this.sets;
+  }
+
+  // Check rule set headers; returns a list of error messages
+  validateRuleSets(sets) {
+    const errors = validateEntries(sets, 'ruleSets');
+    if (!Array.isArray(sets) || sets.length === 0) return errors;
+
+    const ids = new Set(sets.map(set => set.id));
+    sets.forEach((set, index) => {
+      const where = `ruleSets[${index}]`;
+      if (set.extends !== undefined && (set.extends === set.id || !ids.has(set.extends))) {
+        errors.push(`${where}.extends must name another rule set`);
+      }
+      if (!Array.isArray(set.rules)) {
+        errors.push(`${where}.rules must be an array`);
+      } else {
+        const ruleIds = set.rules.map(rule => rule && rule.id);
+        ruleIds.forEach((id, ruleIndex) => {
+          if (typeof id !== 'string' || id.length === 0) {
+            errors.push(`${where}.rules[${ruleIndex}].id is required`);
+          } else if (ruleIds.indexOf(id) !== ruleIndex) {
+            errors.push(`${where}.rules[${ruleIndex}].id "${id}" is used twice`);
+          }
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  // Check a resolved rule; returns a list of error messages
+  validateRule(rule) {
+    const errors = [];
+    const kinds = ['check', 'condition', 'requiredDocuments'].filter(kind => rule[kind] !== undefined);
+
+    if (kinds.length !== 1) {
+      errors.push('must have exactly one of check, condition or requiredDocuments');
+    }
+    if (rule.check !== undefined && !this.checks.includes(rule.check)) {
+      errors.push(`unknown check "${rule.check}"`);
+    }
+    if (rule.condition !== undefined) {
+      errors.push(...this.validateCondition(rule.condition, 'condition'));
+    }
+    if (rule.when !== undefined) {
+      errors.push(...this.validateCondition(rule.when, 'when'));
+    }
+    if (rule.requiredDocuments !== undefined &&
+        (!Array.isArray(rule.requiredDocuments) || rule.requiredDocuments.some(type => !getDocumentType(type)))) {
+      errors.push('requiredDocuments must list document types from the taxonomy');
+    }
+    if (rule.documentType !== undefined && !getDocumentType(rule.documentType)) {
+      errors.push(`unknown documentType "${rule.documentType}"`);
+    }
+    if (!LISTS.includes(rule.list)) {
+      errors.push(`list must be one of ${LISTS.join(', ')}`);
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+      errors.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (typeof rule.message !== 'string' || rule.message.length === 0) {
+      errors.push('message is required');
+    }
+    if (rule.claimSubtypes !== undefined &&
+        (!Array.isArray(rule.claimSubtypes) || rule.claimSubtypes.some(subtype => !CLAIM_SUBTYPES.includes(subtype)))) {
+      errors.push(`claimSubtypes must be a list of ${CLAIM_SUBTYPES.join(', ')}`);
+    }
+    return errors;
+  }
+
+  validateCondition(condition, where) {
+    if (!condition || typeof condition !== 'object') {
+      return [`${where} must be an object`];
+    }
+    if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+      const key = condition.all ? 'all' : 'any';
+      return condition[key].flatMap((child, index) => this.validateCondition(child, `${where}.${key}[${index}]`));
+    }
+    if (condition.not !== undefined) {
+      return this.validateCondition(condition.not, `${where}.not`);
+    }
+
+    const errors = [];
+    if (typeof condition.field !== 'string' || !/^(claim|document|item)\./.test(condition.field)) {
+      errors.push(`${where}.field must start with claim., document. or item.`);
+    }
+    if (!OPERATORS[condition.op]) {
+      errors.push(`${where}.op must be one of ${Object.keys(OPERATORS).join(', ')}`);
+    } else if (VALUE_CHECKS[condition.op]) {
+      const problem = VALUE_CHECKS[condition.op](condition.value);
+      if (problem) {
+        errors.push(`${where}.value ${problem} for ${condition.op}`);
+      }
+    }
+    return errors;
+  }
+
+  // Merge a rule set onto the version of the set it extends in force on the
+  // same date; rules with the same id are overridden property by property,
+  // new rules are appended
+  resolve(set, inForce) {
+    const base = set.extends ? this.resolve(inForce[set.extends], inForce) : { rules: [] };
+    const rules = base.rules.map(rule => {
+      const override = set.rules.find(candidate => candidate.id === rule.id);
+      return override ? { ...rule, ...override } : rule;
+    });
+    set.rules
+      .filter(rule => !base.rules.some(candidate => candidate.id === rule.id))
+      .forEach(rule => rules.push(rule));
+
+    return {
+      id: set.id,
+      version: set.version,
+      description: set.description || '',
+      default: set.default === true,
+      insurers: set.insurers || [],
+      extends: set.extends || null,
+      effectiveFrom: set.effectiveFrom || null,
+      effectiveTo: set.effectiveTo || null,
+      rules
+    };
+  }
+
+  // The rule set listing the claim's insurer, or the default set, in force on
+  // a YYYY-MM-DD date (today when not given)
+  selectRuleSet(insurer, date) {
+    return selectForInsurer(this.getRuleSets(date), insurer);
+  }
+
+  // Resolved rule sets in force on a date
+  getRuleSets(date) {
+    return this.resolveInForce(this.sets, date);
+  }
+
+  resolveInForce(sets, date) {
+    const inForce = versionsInForce(sets, date);
+    return Object.values(inForce).map(set => this.resolve(set, inForce));
+  }
+
+  // Claim-level values that `claim.` conditions and message templates can use
+  buildFacts(claim, extra = {}) {
+    return {
+      insurer: claim.insurer,
+      pageCount: claim.pages.length,
+      documentCounts: Object.fromEntries(getDocumentTypes().map(definition =>
+        [definition.type, (claim[definition.collection] || []).length]
+      )),
+      ...extra
+    };
+  }
+
+  // Run every rule of a rule set for a claim; returns one result per rule in
+  // rule order: { rule, status: 'passed' | 'failed' | 'skipped', reason, result }.
+  // Built-in checks are run through runCheck(code), which returns null when
+  // the check passes, { details, amount } when it fails and { skipped: reason }
+  // when it cannot run.
+  run(ruleSet, claim, facts, runCheck) {
+    return ruleSet.rules.map(rule => {
+      const skip = (reason) => ({ rule, status: 'skipped', reason, result: null });
+      if (rule.enabled === false) {
+        return skip('Disabled in the rule set');
+      }
+      if (rule.claimSubtypes && !rule.claimSubtypes.includes(facts.subtype)) {
+        return skip(`Applies to ${rule.claimSubtypes.join(' and ')} claims only`);
+      }
+      if (rule.when && !this.matches(rule.when, { claim: facts })) {
+        return skip(`Precondition not met: ${this.describeCondition(rule.when)}`);
+      }
+
+      let result;
+      if (rule.check) {
+        result = runCheck(rule.check);
+      } else if (rule.requiredDocuments) {
+        result = this.checkRequiredDocuments(rule, facts);
+      } else {
+        result = this.checkCondition(rule, claim, facts);
+      }
+      if (result && result.skipped) {
+        return skip(result.skipped);
+      }
+      return { rule, status: result ? 'failed' : 'passed', reason: null, result };
+    });
+  }
+
+  buildFinding(rule, result, facts) {
+    const count = Array.isArray(result.details) ? result.details.length : 1;
+    const finding = {
+      type: rule.type || rule.id,
+      severity: rule.severity,
+      message: this.renderMessage(rule.message, { ...result.values, count, insurer: facts.insurer }),
+      ruleId: rule.id
+    };
+    if (result.details !== undefined) {
+      finding.details = result.details;
+    }
+    return finding;
+  }
+
+  // Finding in the unified schema: the rule id as its stable code, the
+  // details as evidence and the amount the finding puts in question (given
+  // by the check, or the sum of the amounts in its details)
+  buildUnifiedFinding(rule, result, facts) {
+    const { message, details } = this.buildFinding(rule, result, facts);
+    const amounts = (Array.isArray(details) ? details : [])
+      .map(detail => detail && detail.amount)
+      .filter(amount => typeof amount === 'number');
+    let amount = null;
+    if (typeof result.amount === 'number') {
+      amount = result.amount;
+    } else if (amounts.length > 0) {
+      amount = parseFloat(amounts.reduce((sum, value) => sum + value, 0).toFixed(2));
+    }
+
+    return {
+      code: rule.id,
+      check: this.checkOf(rule),
+      severity: rule.severity,
+      message,
+      evidence: details === undefined ? null : details,
+      amount
+    };
+  }
+
+  // Built-in check code, or the kind of declarative rule
+  checkOf(rule) {
+    if (rule.check) return rule.check;
+    return rule.requiredDocuments ? 'required_documents' : 'condition';
+  }
+
+  // Readable form of a condition for skip reasons
+  describeCondition(condition) {
+    if (condition.all || condition.any) {
+      const key = condition.all ? 'all' : 'any';
+      return `${key}(${condition[key].map(child => this.describeCondition(child)).join(', ')})`;
+    }
+    if (condition.not) return `not(${this.describeCondition(condition.not)})`;
+    return condition.value === undefined
+      ? `${condition.field} ${condition.op}`
+      : `${condition.field} ${condition.op} ${JSON.stringify(condition.value)}`;
+  }
+
+  // Replace {{name}} placeholders with template values
+  renderMessage(template, values) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, name) => {
+      const value = getPath(values, name);
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  checkRequiredDocuments(rule, facts) {
+    const missing = rule.requiredDocuments.filter(type => !facts.documentCounts[type]);
+    if (missing.length === 0) return null;
+
+    return {
+      details: missing.map(type => ({ documentType: type, label: getDocumentType(type).label })),
+      values: { missing: missing.map(type => getDocumentType(type).label).join(', ') }
+    };
+  }
+
+  // Documents (or their line items) matching the condition, or the claim
+  // itself for claim-level rules
+  checkCondition(rule, claim, facts) {
+    const fields = this.conditionFields(rule.condition);
+    const valuesOf = (context) => Object.fromEntries(fields.map(field => [field, getPath(context, field)]));
+
+    if (!rule.documentType) {
+      const context = { claim: facts };
+      return this.matches(rule.condition, context) ? { details: { values: valuesOf(context) } } : null;
+    }
+
+    // Bill totals or line item amounts of the matches, as the amount affected
+    const matched = [];
+    const amounts = [];
+    (claim[getCollection(rule.documentType)] || []).filter(doc => doc.extractedData).forEach(doc => {
+      if (!rule.items) {
+        const context = { document: doc.extractedData, claim: facts };
+        if (this.matches(rule.condition, context)) {
+          matched.push({ documentId: doc.id, documentType: rule.documentType, values: valuesOf(context) });
+          amounts.push(doc.extractedData.total_paid_amount);
+        }
+        return;
+      }
+
+      (doc.extractedData[rule.items] || []).forEach((item, index) => {
+        const context = { item, document: doc.extractedData, claim: facts };
+        if (this.matches(rule.condition, context)) {
+          matched.push({ documentId: doc.id, documentType: rule.documentType, itemIndex: index, values: valuesOf(context) });
+          amounts.push(item.final || item.price);
+        }
+      });
+    });
+
+    if (matched.length === 0) return null;
+    const known = amounts.filter(amount => typeof amount === 'number');
+    return known.length > 0
+      ? { details: matched, amount: parseFloat(known.reduce((sum, amount) => sum + amount, 0).toFixed(2)) }
+      : { details: matched };
+  }
+
+  matches(condition, context) {
+    if (condition.all) return condition.all.every(child => this.matches(child, context));
+    if (condition.any) return condition.any.some(child => this.matches(child, context));
+    if (condition.not) return !this.matches(condition.not, context);
+    return OPERATORS[condition.op](getPath(context, condition.field), condition.value);
+  }
+
+  // Field paths a condition reads, reported with each match
+  conditionFields(condition) {
+    if (condition.all || condition.any) {
+      return [...new Set((condition.all || condition.any).flatMap(child => this.conditionFields(child)))];
+    }
+    if (condition.not) return this.conditionFields(condition.not);
+    return [condition.field];
+  }
+}
+
+module.exports = RuleEngine;
@@ -0,0 +1,171 @@
+const BusinessCheckService = require('./BusinessCheckService');
+const ExclusionCatalogue = require('./ExclusionCatalogue');
+const { claimRepository } = require('./ClaimRepository');
+const { getCollections } = require('./DocumentTaxonomy');
+
+const AMOUNT_FIELDS = ['eligibleAmount', 'payableAmount'];
+
+const CSV_COLUMNS = [
+  'claimId', 'patientName', 'insurer', 'status',
+  'recommendationBefore', 'recommendationAfter',
+  'eligibleAmountBefore', 'eligibleAmountAfter', 'eligibleAmountDelta',
+  'payableAmountBefore', 'payableAmountAfter', 'payableAmountDelta',
+  'findingsAdded', 'findingsRemoved', 'findingsChanged'
+];
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Dry-runs a candidate rule set configuration and/or exclusion catalogue
+// against stored claims. Each claim is checked with the current
+// configuration and with the candidate; nothing is saved. The report lists
+// the claims whose findings, amounts or recommended decision would change.
+class RuleSimulator {
+  constructor(options = {}) {
+    this.baseline = options.baseline || new BusinessCheckService();
+    this.claimRepository = options.claimRepository || claimRepository;
+  }
+
+  // Business checks with the candidate configuration; anything not given is
+  // shared with the baseline. Throws when the candidate is invalid.
+  buildCandidate({ rules, exclusions } = {}) {
+    return new BusinessCheckService({
+      ruleEngine: rules ? undefined : this.baseline.ruleEngine,
+      rules: rules ? { config: rules } : undefined,
+      exclusionCatalogue: exclusions
+        ? new ExclusionCatalogue({ config: this.toCatalogueConfig(exclusions) })
+        : this.baseline.exclusionCatalogue,
+      benefitsCalculator: this.baseline.benefitsCalculator,
+      policyRepository: this.baseline.policyRepository,
+      ocrConfidenceThreshold: this.baseline.ocrConfidenceThreshold
+    });
+  }
+
+  // A full catalogue ({ versions }) is used as is; bare lists become a single
+  // version applied whatever the claim's date
+  toCatalogueConfig(exclusions) {
+    if (Array.isArray(exclusions.versions)) return exclusions;
+    return { versions: [{ ...exclusions, version: 1, effectiveFrom: '0001-01-01' }] };
+  }
+
+  // Decision the findings point to, in the terms of a claim review: errors
+  // reject, warnings need more information, otherwise approve
+  recommend(checks) {
+    const severities = checks.findings.map(finding => finding.severity);
+    if (severities.includes('error')) return 'reject';
+    if (severities.includes('warning')) return 'request_info';
+    return 'approve';
+  }
+
+  // Claims that have been through extraction
+  hasExtractedDocuments(claim) {
+    return Object.keys(getCollections()).some(collection =>
+      (claim[collection] || []).some(doc => doc.extractedData)
+    );
+  }
+
+  // Diff report for the stored claims (or options.claimIds). Throws with
+  // `validationErrors` when the candidate configuration is invalid.
+  async simulate(candidate = {}, options = {}) {
+    let candidateService;
+    try {
+      candidateService = this.buildCandidate(candidate);
+    } catch (error) {
+      throw Object.assign(new Error(`Invalid candidate: ${error.message}`), { validationErrors: [error.message] });
+    }
+    const claims = this.claimRepository.findAll()
+      .filter(claim => !options.claimIds || options.claimIds.includes(claim.id))
+      .filter(claim => this.hasExtractedDocuments(claim));
+
+    const results = [];
+    for (const claim of claims) {
+      const before = await this.baseline.runBusinessChecks(claim);
+      const after = await candidateService.runBusinessChecks(claim);
+      results.push(this.compare(claim, before, after));
+    }
+
+    const changed = results.filter(result => result.changed);
+    return {
+      generatedAt: new Date().toISOString(),
+      candidate: {
+        rules: !!candidate.rules,
+        exclusions: !!candidate.exclusions
+      },
+      summary: {
+        claimsEvaluated: results.length,
+        claimsChanged: changed.length,
+        findingsChanged: changed.filter(result => result.findingsChanged).length,
+        eligibleAmountChanged: changed.filter(result => result.eligibleAmount.delta !== 0).length,
+        recommendationsChanged: changed.filter(result => result.recommendation.before !== result.recommendation.after).length,
+        // Decisions already taken that the candidate would have made differently
+        reviewedClaimsAffected: changed.filter(result =>
+          result.reviewed && result.recommendation.before !== result.recommendation.after
+        ).length,
+        eligibleAmountDelta: round(results.reduce((sum, result) => sum + result.eligibleAmount.delta, 0)),
+        payableAmountDelta: round(results.reduce((sum, result) => sum + result.payableAmount.delta, 0))
+      },
+      claims: changed
+    };
+  }
+
+  compare(claim, before, after) {
+    const keyed = (checks) => new Map(checks.findings.map(finding => [finding.code, finding]));
+    const previous = keyed(before);
+    const next = keyed(after);
+    const summarize = ({ code, severity, message, amount }) => ({ code, severity, message, amount });
+
+    const findings = {
+      added: [...next.keys()].filter(key => !previous.has(key)).map(key => summarize(next.get(key))),
+      removed: [...previous.keys()].filter(key => !next.has(key)).map(key => summarize(previous.get(key))),
+      changed: [...next.keys()]
+        .filter(key => previous.has(key) && ['severity', 'message', 'evidence', 'amount'].some(field =>
+          JSON.stringify(previous.get(key)[field]) !== JSON.stringify(next.get(key)[field])))
+        .map(key => ({ ...summarize(next.get(key)), previousMessage: previous.get(key).message }))
+    };
+    const findingsChanged = findings.added.length + findings.removed.length + findings.changed.length > 0;
+
+    const amounts = Object.fromEntries(AMOUNT_FIELDS.map(field => [field, {
+      before: before[field],
+      after: after[field],
+      delta: round(after[field] - before[field])
+    }]));
+    const recommendation = { before: this.recommend(before), after: this.recommend(after) };
+
+    return {
+      claimId: claim.id,
+      patientName: claim.patientName,
+      insurer: claim.insurer,
+      status: claim.status,
+      reviewed: claim.status !== 'pending',
+      ruleSet: { before: before.ruleSet, after: after.ruleSet },
+      exclusionCatalogue: { before: before.exclusionCatalogue, after: after.exclusionCatalogue },
+      changed: findingsChanged || AMOUNT_FIELDS.some(field => amounts[field].delta !== 0) ||
+        recommendation.before !== recommendation.after,
+      findingsChanged,
+      findings,
+      ...amounts,
+      recommendation
+    };
+  }
+
+  // One row per changed claim
+  toCSV(report) {
+    const describe = (findings) => findings.map(finding => finding.code).join('; ');
+    const rows = report.claims.map(result => [
+      result.claimId, result.patientName, result.insurer, result.status,
+      result.recommendation.before, result.recommendation.after,
+      result.eligibleAmount.before, result.eligibleAmount.after, result.eligibleAmount.delta,
+      result.payableAmount.before, result.payableAmount.after, result.payableAmount.delta,
+      describe(result.findings.added), describe(result.findings.removed), describe(result.findings.changed)
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+  }
+}
+
+module.exports = RuleSimulator;
@@ -0,0 +1,190 @@
+const AIService = require('../services/AIService');
+
+describe('AIService', () => {
+    const billGroup = {
+        id: 'bill-1',
+        pages: [{ id: 'page-1', extractedText: 'City Clinic Bill No: B-101 Date 12/03/2024 Total: 450.00' }]
+    };
+
+    describe('extractDocument', () => {
+        test('should record every field as deterministic by default', async () => {
+            const aiService = new AIService();
+            const { data, extraction } = await aiService.extractDocument('bill', billGroup);
+
+            expect(extraction.provider).toBe('deterministic');
+            expect(extraction.fieldSources.bill_date).toBe('deterministic');
+            expect(data.bill_date).toBe('2024-03-12');
+        });
+
+        test('should record confidence, page and default flag for each field', async () => {
+            const aiService = new AIService();
+            const { extraction } = await aiService.extractDocument('bill', billGroup);
+
+            expect(extraction.fields.bill_number).toEqual(expect.objectContaining({ isDefault: false, pageId: 'page-1' }));
+            expect(extraction.fields.bill_number.span.text).toBe('B-101');
+            expect(extraction.fields.facility_address).toEqual(expect.objectContaining({ isDefault: true, confidence: 0 }));
+            expect(extraction.fields.tnc_eligible.isDefault).toBe(true);
+        });
+
+        test('should take valid LLM fields and fall back field-by-field for invalid ones', async () => {
+            const llmProvider = {
+                name: 'llm',
+                extract: jest.fn().mockResolvedValue({
+                    bill_number: 'B-101',
+                    bill_date: '12 March 2024', // not YYYY-MM-DD
+                    line_items: [{ name: 'Consultation', type: 'medicine', price: 450, discount: 0, final: 450 }],
+                    total_paid_amount: 'see attached' // not an amount
+                })
+            };
+            const aiService = new AIService({ extractionProvider: 'llm', llmProvider });
+
+            const { data, extraction } = await aiService.extractDocument('bill', billGroup);
+
+            expect(llmProvider.extract).toHaveBeenCalledWith('bill', expect.stringContaining('Bill No'), aiService.extractionPrompts.bill);
+            expect(data.bill_number).toBe('B-101');
+            expect(extraction.fieldSources.bill_number).toBe('llm');
+            expect(extraction.fieldSources.line_items).toBe('llm');
+            expect(data.bill_date).toBe('2024-03-12');
+            expect(extraction.fieldSources.bill_date).toBe('deterministic');
+            expect(extraction.validationErrors.total_paid_amount).toEqual(['total_paid_amount must be a number']);
+            expect(extraction.fieldSources.facility_address).toBe('deterministic');
+        });
+
+        test('should fall back entirely when the LLM call fails', async () => {
+            const llmProvider = { name: 'llm', extract: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) };
+            const aiService = new AIService({ extractionProvider: 'llm', llmProvider });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const { extraction } = await aiService.extractDocument('bill', billGroup);
+
+            expect(extraction.error).toBe('connect ECONNREFUSED');
+            expect(Object.values(extraction.fieldSources).every(source => source === 'deterministic')).toBe(true);
+            console.error.mockRestore();
+        });
+
+        test('should convert formatted LLM amounts to numbers', async () => {
+            const llmProvider = {
+                name: 'llm',
+                extract: jest.fn().mockResolvedValue({
+                    line_items: [{ name: 'Consultation', type: 'medicine', price: '₹1,450/-', discount: null, final: 'Rs. 1,450' }],
+                    total_paid_amount: 'INR 1,450.00'
+                })
+            };
+            const aiService = new AIService({ extractionProvider: 'llm', llmProvider });
+
+            const { data, extraction } = await aiService.extractDocument('bill', billGroup);
+
+            expect(data.total_paid_amount).toBe(1450);
+            expect(data.line_items[0]).toEqual(expect.objectContaining({ price: 1450, final: 1450 }));
+            expect(extraction.fieldSources.total_paid_amount).toBe('llm');
+        });
+    });
+
+    describe('extractBillFieldsDeterministic', () => {
+        test('should read Indian formatted totals and the amount in words', () => {
+            const aiService = new AIService();
+            const bill = aiService.extractBillFieldsDeterministic([
+                'Sub Total 1,22,000.00',
+                'Grand Total: Rs. 1,23,456.50/-',
+                'Rupees One Lakh Twenty Three Thousand Four Hundred Fifty Six and Fifty Paise Only'
+            ].join('\n'));
+
+            expect(bill.total_paid_amount).toBe(123456.5);
+            expect(bill.total_amount_in_words).toBe(123456.5);
+        });
+    });
+
+    describe('extractReportFieldsDeterministic', () => {
+        test('should extract lab details and result rows with abnormal flags', () => {
+            const aiService = new AIService();
+            const report = aiService.extractReportFieldsDeterministic([
+                'City Diagnostics Laboratory',
+                'Patient Name: Ravi Kumar',
+                'Age: 34 Years',
+                'Report Date: 14/03/2024',
+                'Haemoglobin 11.2 g/dL 13.0 - 17.0',
+                'WBC Count 12500 cells/cumm 4000 - 11000 H',
+                'Glucose Fasting 92 mg/dL 70-100'
+            ].join('\n'));
+
+            expect(report.lab_name).toBe('City Diagnostics Laboratory');
+            expect(report.report_date).toBe('2024-03-14');
+            expect(report.patient_name).toBe('Ravi Kumar');
+            expect(report.tests).toHaveLength(3);
+            expect(report.tests[0]).toEqual({
+                test_name: 'Haemoglobin',
+                value: 11.2,
+                unit: 'g/dL',
+                reference_range: '13.0 - 17.0',
+                abnormal_flag: 'low'
+            });
+            expect(report.tests[1].abnormal_flag).toBe('high');
+            expect(report.tests[2].abnormal_flag).toBeNull();
+        });
+    });
+
+    describe('configured document types', () => {
+        const dischargeGroup = {
+            id: 'discharge-1',
+            pages: [{
+                id: 'page-1',
+                extractedText: [
+                    'Discharge Summary',
+                    'Patient Name: Ravi Kumar   IP No: 2023-8812',
+                    'Date of Admission: 02/03/2024',
+                    'Date of Discharge 06/03/2024',
+                    'Final Diagnosis: Dengue fever with thrombocytopenia.'
+                ].join('\n')
+            }]
+        };
+
+        test('should extract labelled fields of a taxonomy type', async () => {
+            const aiService = new AIService();
+            const { data, extraction } = await aiService.extractDocument('discharge_summary', dischargeGroup);
+
+            expect(data).toEqual(expect.objectContaining({
+                patient_name: 'Ravi Kumar',
+                ip_number: '2023-8812',
+                admission_date: '2024-03-02',
+                discharge_date: '2024-03-06',
+                final_diagnosis: 'Dengue fever with thrombocytopenia',
+                procedures: null
+            }));
+            expect(data.date_details.admission_date).toEqual(expect.objectContaining({ raw: '02/03/2024', ambiguous: true }));
+            expect(extraction.fields.ip_number).toEqual(expect.objectContaining({ isDefault: false, pageId: 'page-1' }));
+            expect(extraction.fields.procedures.isDefault).toBe(true);
+        });
+
+        test('should read amounts and split cells at wide gaps and pipes', () => {
+            const aiService = new AIService();
+            const receipt = aiService.extractDeterministic('payment_receipt', [
+                'Receipt No: R-441 | Date: 14/03/2024',
+                'Received from: Meena Sharma',
+                'Amount: Rs. 1,650/-     Payment mode: UPI'
+            ].join('\n'));
+
+            expect(receipt).toEqual(expect.objectContaining({
+                receipt_number: 'R-441',
+                payment_date: '2024-03-14',
+                payer_name: 'Meena Sharma',
+                amount: 1650,
+                payment_mode: 'UPI'
+            }));
+        });
+
+        test('should build the provider prompt and defaults from the taxonomy fields', async () => {
+            const llmProvider = { name: 'llm', extract: jest.fn().mockResolvedValue({ amount: '₹1,200/-', payment_date: '14 March 2024' }) };
+            const aiService = new AIService({ extractionProvider: 'llm', llmProvider });
+
+            const { data, extraction } = await aiService.extractDocument('payment_receipt', {
+                pages: [{ id: 'page-1', extractedText: 'Payment date: 14/03/2024' }]
+            });
+
+            expect(llmProvider.extract.mock.calls[0][2]).toContain('"amount": "number or null"');
+            expect(data.amount).toBe(1200);
+            expect(data.payment_date).toBe('2024-03-14');
+            expect(extraction.fieldSources.payment_date).toBe('deterministic');
+            expect(aiService.getDefaultFields('id_card')).toEqual(expect.objectContaining({ member_id: null, date_details: {} }));
+        });
+    });
+});
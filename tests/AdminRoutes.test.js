@@ -0,0 +1,52 @@
+const express = require('express');
+const request = require('supertest');
+const adminRoutes = require('../routes/admin');
+const { exclusionCatalogue } = require('../services/ExclusionCatalogue');
+
+describe('admin routes', () => {
+    let app;
+    const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    beforeEach(() => {
+        process.env.ADMIN_TOKENS = 'secret-1:Asha Rao, secret-2:Ravi Kumar';
+        app = express();
+        app.use(express.json());
+        app.use('/api/admin', adminRoutes);
+    });
+
+    afterEach(() => {
+        delete process.env.ADMIN_TOKENS;
+    });
+
+    describe('POST /exclusions', () => {
+        test('should require an admin token', async () => {
+            const missing = await request(app).post('/api/admin/exclusions').send({ changes: { restricted_items: [] } });
+            const wrong = await request(app).post('/api/admin/exclusions')
+                .set('Authorization', 'Bearer secret-3')
+                .send({ changes: { restricted_items: [] } });
+            const reload = await request(app).post('/api/admin/exclusions/reload');
+
+            expect([missing.status, wrong.status, reload.status]).toEqual([401, 401, 401]);
+            expect(exclusionCatalogue.getAuditLog()).toEqual([]);
+        });
+
+        test('should record the authenticated admin, not the one named in the body', async () => {
+            const response = await request(app).post('/api/admin/exclusions')
+                .set('Authorization', 'Bearer secret-2')
+                .send({ changes: { restricted_items: ['vitamins'] }, changedBy: 'someone-else', effectiveFrom: nextWeek });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.version).toEqual(expect.objectContaining({ createdBy: 'Ravi Kumar', effectiveFrom: nextWeek }));
+            expect(response.body.data.audit.changedBy).toBe('Ravi Kumar');
+        });
+
+        test('should not publish a version taking effect today', async () => {
+            const response = await request(app).post('/api/admin/exclusions')
+                .set('Authorization', 'Bearer secret-1')
+                .send({ changes: { restricted_items: [] }, effectiveFrom: new Date().toISOString().slice(0, 10) });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toEqual(['effectiveFrom must be after today; claims already checked would change']);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+const { parseAmount, parseAmountInWords, findAmount, findAmountInWords, findTotalAmount } = require('../services/AmountParser');
+
+describe('AmountParser', () => {
+    describe('parseAmount', () => {
+        test('should handle Indian grouping, currency markers and /- notation', () => {
+            expect(parseAmount('₹1,23,456.50')).toBe(123456.5);
+            expect(parseAmount('Rs. 2,400/-')).toBe(2400);
+            expect(parseAmount('INR 1 200')).toBe(1200);
+            expect(parseAmount('1,200,000.00')).toBe(1200000);
+            expect(parseAmount('2.5 lakh')).toBe(250000);
+            expect(parseAmount(450)).toBe(450);
+        });
+
+        test('should return null when there is no amount', () => {
+            expect(parseAmount('Paid by cash')).toBeNull();
+            expect(parseAmount(null)).toBeNull();
+        });
+    });
+
+    describe('parseAmountInWords', () => {
+        test('should convert amounts written in words', () => {
+            expect(parseAmountInWords('Rupees Two Thousand Only')).toBe(2000);
+            expect(parseAmountInWords('One Lakh Twenty-Three Thousand Four Hundred and Fifty Six')).toBe(123456);
+            expect(parseAmountInWords('Rupees Two Crore Five Lakh Only')).toBe(20500000);
+            expect(parseAmountInWords('Rupees Four Hundred Fifty and Fifty Paise Only')).toBe(450.5);
+        });
+
+        test('should reject text that is not a number', () => {
+            expect(parseAmountInWords('Rupees paid by cash only')).toBeNull();
+        });
+    });
+
+    describe('findAmountInWords', () => {
+        test('should find the amount in words in bill text', () => {
+            const text = 'Grand Total: Rs. 2,400/-\nRupees Two Thousand Four Hundred Only\nThank you';
+
+            expect(findAmountInWords(text)).toEqual({ text: 'Rupees Two Thousand Four Hundred Only', amount: 2400 });
+        });
+
+        test('should read "Amount in words" lines', () => {
+            expect(findAmountInWords('Amount in words: Five Hundred').amount).toBe(500);
+        });
+    });
+
+    describe('findAmount', () => {
+        test('should read the amount after a label', () => {
+            expect(findAmount('Balance c/f: Rs. 1,200/- carried', 'c/f')).toBe(1200);
+            expect(findAmount('Paid 450.50 by card')).toBe(450.5);
+            expect(findAmount('Paid by card')).toBeNull();
+        });
+
+        test('should read an ambiguously spaced amount as none', () => {
+            expect(findAmount('Balance c/f 2 500', 'c/f')).toBeNull();
+            expect(findAmount('Balance c/f INR 2 500', 'c/f')).toBe(2500);
+        });
+    });
+
+    describe('findTotalAmount', () => {
+        test('should prefer the grand total over sub totals', () => {
+            const text = 'Sub Total 2,200.00\nGST 200.00\nGrand Total ₹2,400.00';
+
+            expect(findTotalAmount(text)).toBe(2400);
+        });
+
+        test('should read lakh-grouped totals with currency markers', () => {
+            expect(findTotalAmount('Total Amount: Rs. 1,23,456.50/-')).toBe(123456.5);
+            expect(findTotalAmount('Net Payable INR 1 200')).toBe(1200);
+        });
+
+        test('should not read an ambiguously spaced total without a currency prefix', () => {
+            expect(findTotalAmount('Total 2 500')).toBeNull();
+            expect(findTotalAmount('Total Amount 12 450.00')).toBeNull();
+            expect(findTotalAmount('Grand Total 2 500\nNet Payable 2,500.00')).toBe(2500);
+            expect(findTotalAmount('Total Amount ₹12 450.00')).toBe(12450);
+            expect(parseAmount('1 200')).toBeNull();
+        });
+
+        test('should return null when no total is labelled', () => {
+            expect(findTotalAmount('Dolo 650 30.00')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const BenefitsCalculator = require('../services/BenefitsCalculator');
+const Claim = require('../models/Claim');
+
+describe('BenefitsCalculator', () => {
+    const config = {
+        plans: [
+            {
+                id: 'basic',
+                version: 1,
+                default: true,
+                annualSumInsured: 100000,
+                categories: { other: {} }
+            },
+            {
+                id: 'acme-gold',
+                version: 1,
+                insurers: ['Acme Health'],
+                annualSumInsured: 100000,
+                deductible: 500,
+                coPayPercent: 10,
+                categories: {
+                    consultation: { match: 'consult', perItemCap: 1000 },
+                    lab: { subLimit: 1500 },
+                    medicine: { coPayPercent: 20 },
+                    other: {}
+                }
+            }
+        ]
+    };
+
+    const calculator = new BenefitsCalculator({ config });
+
+    const claimFor = (insurer, lineItems, extra = {}) => new Claim({
+        insurer,
+        bills: [{ id: 'bill-1', extractedData: { line_items: lineItems, total_paid_amount: 0, ...extra } }]
+    });
+
+    const amounts = (line) => [line.billed, line.excluded, line.capped, line.deductible, line.coPay, line.payable];
+
+    test('should cap, apply the deductible and co-pay line by line', () => {
+        const claim = claimFor('Acme Health', [
+            { name: 'Cardiology consultation', type: 'medicine', final: 1500 },
+            { name: 'Lipid profile', type: 'lab', final: 1000 },
+            { name: 'Thyroid profile', type: 'lab', final: 800 },
+            { name: 'Atorvastatin', type: 'medicine', final: 400 },
+            { name: 'Protein supplement', type: 'supplement', final: 900 }
+        ]);
+
+        const result = calculator.calculate(claim, [{ item: 'Protein supplement' }]);
+
+        expect(result.plan).toEqual({ id: 'acme-gold', version: 1 });
+        expect(result.lines.map(line => line.category)).toEqual(['consultation', 'lab', 'lab', 'medicine', 'other']);
+        expect(result.lines.map(amounts)).toEqual([
+            [1500, 0, 500, 500, 50, 450],
+            [1000, 0, 0, 0, 100, 900],
+            [800, 0, 300, 0, 50, 450],
+            [400, 0, 0, 0, 80, 320],
+            [900, 900, 0, 0, 0, 0]
+        ]);
+        expect(result.lines[0].reasons).toEqual([
+            'consultation capped at 1000 per item',
+            'Deductible of 500 applied',
+            '10% co-payment'
+        ]);
+        expect(result.totals).toEqual({ billed: 4600, excluded: 900, capped: 800, deductible: 500, coPay: 280, payable: 2120 });
+        expect(result.deductible).toEqual({ amount: 500, applied: 500 });
+    });
+
+    test('should keep every line adding up to the billed amount', () => {
+        const claim = claimFor('Acme Health', [
+            { name: 'Tab Dolo', type: 'medicine', final: 33.33 },
+            { name: 'Syrup', type: 'medicine', final: 1000.07 }
+        ]);
+
+        calculator.calculate(claim).lines.forEach(line => {
+            const parts = line.excluded + line.capped + line.deductible + line.coPay + line.payable;
+            expect(parts).toBeCloseTo(line.billed, 2);
+        });
+    });
+
+    test('should stop paying once the available sum insured is used', () => {
+        const claim = claimFor('Other Insurer', [
+            { name: 'Room rent', type: null, final: 3000 },
+            { name: 'Surgery', type: null, final: 5000 }
+        ]);
+
+        const result = calculator.calculate(claim, [], { sumInsuredAvailable: 4000 });
+
+        expect(result.plan.id).toBe('basic');
+        expect(result.lines.map(line => [line.capped, line.payable])).toEqual([[0, 3000], [4000, 1000]]);
+        expect(result.lines[1].reasons).toContain('Sum insured exhausted');
+        expect(result.sumInsured).toEqual({ annual: 100000, available: 4000, used: 4000, remaining: 0 });
+    });
+
+    test('should adjudicate a bill without line items on its total', () => {
+        const result = calculator.calculate(claimFor('Other Insurer', [], { total_paid_amount: 750 }));
+
+        expect(result.lines).toEqual([expect.objectContaining({
+            billId: 'bill-1', itemIndex: null, name: 'Bill total', category: 'other', billed: 750, payable: 750
+        })]);
+    });
+
+    test('should adjudicate with the plan version in force on the given date', () => {
+        const dated = new BenefitsCalculator({
+            config: {
+                plans: [
+                    ...config.plans,
+                    { id: 'basic', version: 2, default: true, effectiveFrom: '2024-07-01', annualSumInsured: 100000, coPayPercent: 25, categories: { other: {} } }
+                ]
+            }
+        });
+        const claim = claimFor('Other Insurer', [{ name: 'Surgery', type: null, final: 4000 }]);
+
+        expect(dated.calculate(claim, [], { date: '2024-06-30' }).totals.payable).toBe(4000);
+        expect(dated.calculate(claim, [], { date: '2024-07-01' })).toEqual(expect.objectContaining({
+            plan: { id: 'basic', version: 2 },
+            totals: expect.objectContaining({ coPay: 1000, payable: 3000 })
+        }));
+    });
+
+    test('should reject invalid plans', () => {
+        expect(() => new BenefitsCalculator({
+            config: { plans: [{ id: 'basic', version: 1, default: true, annualSumInsured: -1, coPayPercent: 120, categories: { lab: { match: '(' } } }] }
+        })).toThrow([
+            'Invalid benefit plans: plans[0].annualSumInsured must be a non-negative amount',
+            'plans[0].coPayPercent must be at most 100',
+            'plans[0].categories.lab.match is not a valid pattern'
+        ].join('; '));
+    });
+});
@@ -0,0 +1,121 @@
+const BillTableParser = require('../services/BillTableParser');
+const { buildOcrLayout } = require('../services/OcrLayout');
+
+// Build a page with OCR geometry from rows of [text, x0] cells
+function ocrPage(id, rows) {
+    const lines = rows.map((cells, index) => {
+        const y0 = 20 + index * 30;
+        const words = cells.flatMap(([text, x0]) => text.split(' ').map((word, offset) => ({
+            text: word,
+            confidence: 90,
+            bbox: { x0: x0 + offset * 60, y0, x1: x0 + offset * 60 + word.length * 9, y1: y0 + 20 }
+        })));
+        return {
+            text: words.map(word => word.text).join(' '),
+            confidence: 90,
+            bbox: { x0: words[0].bbox.x0, y0, x1: words[words.length - 1].bbox.x1, y1: y0 + 20 },
+            words
+        };
+    });
+    return { id, ocr: buildOcrLayout({ lines }) };
+}
+
+describe('BillTableParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new BillTableParser();
+    });
+
+    describe('OCR tables', () => {
+        test('should map row values to header columns by position', () => {
+            const page = ocrPage('page-1', [
+                [['City Pharmacy', 10]],
+                [['Item', 10], ['Batch', 300], ['Qty', 420], ['MRP', 500], ['Rate', 580], ['Disc', 660], ['GST', 740], ['Amount', 820]],
+                [['Dolo 650mg tablet', 10], ['B2231', 300], ['2', 430], ['35.00', 500], ['30.00', 580], ['10%', 660], ['12', 740], ['54.00', 820]],
+                [['Whey protein', 10], ['WP19', 300], ['1', 430], ['1200.00', 500], ['1200.00', 580], ['0', 660], ['18', 740], ['1200.00', 820]],
+                [['Grand Total', 10], ['1254.00', 820]]
+            ]);
+
+            const result = parser.parse('', [page]);
+
+            expect(result.method).toBe('ocr_table');
+            expect(result.columns).toEqual(['item', 'batch', 'quantity', 'mrp', 'rate', 'discount', 'gst', 'amount']);
+            expect(result.items).toHaveLength(2);
+            expect(result.items[0]).toEqual(expect.objectContaining({
+                name: 'Dolo 650mg tablet',
+                type: 'medicine',
+                batch: 'B2231',
+                quantity: 2,
+                unit_price: 30,
+                mrp: 35,
+                price: 60,
+                discount: 6,
+                tax: null,
+                tax_rate: 12,
+                final: 54
+            }));
+            expect(result.items[0].source).toEqual(expect.objectContaining({ pageId: 'page-1', line: 2 }));
+            expect(result.items[1]).toEqual(expect.objectContaining({ name: 'Whey protein', type: 'supplement', final: 1200 }));
+        });
+
+        test('should reuse the header for continuation pages', () => {
+            const first = ocrPage('page-1', [
+                [['Description', 10], ['Qty', 400], ['Amount', 600]],
+                [['CBC test', 10], ['1', 410], ['350.00', 600]]
+            ]);
+            const second = ocrPage('page-2', [
+                [['Lipid profile', 10], ['1', 410], ['650.00', 600]],
+                [['Total', 10], ['1000.00', 600]]
+            ]);
+
+            const result = parser.parse('', [first, second]);
+
+            expect(result.items.map(item => item.name)).toEqual(['CBC test', 'Lipid profile']);
+            expect(result.items.map(item => item.type)).toEqual(['lab', 'lab']);
+            expect(result.items[1].source.pageId).toBe('page-2');
+        });
+    });
+
+    describe('text tables', () => {
+        test('should align trailing numbers to the header columns', () => {
+            const text = [
+                'Apollo Pharmacy',
+                'S.No Item Batch Qty Rate Disc Amount',
+                '1 Pantoprazole 40mg PT449 10 12.00 12.00 108.00',
+                '2 Vitamin D3 sachet 1 60.00 0 60.00',
+                'Total 168.00'
+            ].join('\n');
+
+            const result = parser.parse(text);
+
+            expect(result.method).toBe('text_table');
+            expect(result.items).toHaveLength(2);
+            expect(result.items[0]).toEqual(expect.objectContaining({
+                name: 'Pantoprazole 40mg',
+                batch: 'PT449',
+                quantity: 10,
+                unit_price: 12,
+                price: 120,
+                discount: 12,
+                final: 108
+            }));
+            expect(result.items[1]).toEqual(expect.objectContaining({ name: 'Vitamin D3 sachet', type: 'supplement', final: 60 }));
+        });
+    });
+
+    test('should fall back to item lines ending in an amount', () => {
+        const text = 'Invoice No: 12\nConsultation fee 500.00\nDressing 150.00\nTotal 650.00';
+
+        const result = parser.parse(text);
+
+        expect(result.method).toBe('lines');
+        expect(result.items.map(item => [item.name, item.final])).toEqual([['Consultation fee', 500], ['Dressing', 150]]);
+    });
+
+    test('should return no items instead of a placeholder when nothing is found', () => {
+        const result = parser.parse('Thank you for visiting\nGet well soon');
+
+        expect(result).toEqual({ items: [], method: 'none', columns: [] });
+    });
+});
@@ -1,5 +1,8 @@
 const BusinessCheckService = require('../services/BusinessCheckService');
+const PolicyRepository = require('../services/PolicyRepository');
+const ExclusionCatalogue = require('../services/ExclusionCatalogue');
 const Claim = require('../models/Claim');
+const Policy = require('../models/Policy');
 
 describe('BusinessCheckService', () => {
     let businessCheckService;
@@ -150,6 +153,23 @@ describe('BusinessCheckService', () => {
             expect(result.isFulfilled).toBe(true);
             expect(result.missingTreatments).toHaveLength(0);
         });
+
+        test('should ignore placeholder prescription orders', () => {
+            const claimWithDefaultOrders = new Claim({
+                prescriptions: [{
+                    extractedData: {
+                        prescription_orders: [{ item: 'General medication', type: 'medicine', dose: null, frequency: null }]
+                    },
+                    extraction: { fields: { prescription_orders: { isDefault: true } } }
+                }],
+                bills: [{
+                    extractedData: { line_items: [{ name: 'aspirin', type: 'medicine', price: 50, final: 50 }] }
+                }]
+            });
+
+            const result = businessCheckService.checkTreatmentFulfillment(claimWithDefaultOrders);
+            expect(result.isFulfilled).toBe(true);
+        });
     });
 
     describe('checkPolicyExclusions', () => {
@@ -187,6 +207,40 @@ describe('BusinessCheckService', () => {
             expect(exclusions[0].type).toBe('supplement');
             expect(exclusions[0].reason).toBe('excluded_category');
         });
+
+        test('should report the rule matched and keep restricted items payable', () => {
+            const service = new BusinessCheckService({
+                exclusionCatalogue: new ExclusionCatalogue({
+                    config: {
+                        versions: [{
+                            version: 1,
+                            effectiveFrom: '2024-01-01',
+                            excluded_items: ['protein supplement'],
+                            restricted_items: ['vitamins'],
+                            synonyms: { 'protein supplement': ['whey protein'] }
+                        }]
+                    }
+                })
+            });
+            const claim = new Claim({
+                bills: [{
+                    id: 'bill-1',
+                    extractedData: {
+                        line_items: [
+                            { name: 'Whey Protein Powder', type: 'medicine', price: 1200, final: 1200 },
+                            { name: 'Vitamin D3', type: 'medicine', price: 90, final: 90 }
+                        ]
+                    }
+                }]
+            });
+
+            expect(service.checkPolicyExclusions(claim)).toEqual([expect.objectContaining({
+                item: 'Whey Protein Powder', outcome: 'excluded', rule: 'protein supplement', score: 0.95, billId: 'bill-1', itemIndex: 0
+            })]);
+            expect(service.checkRestrictedItems(claim)).toEqual([expect.objectContaining({
+                item: 'Vitamin D3', outcome: 'needs_approval', list: 'restricted_items', itemIndex: 1
+            })]);
+        });
     });
 
     describe('validateAmounts', () => {
@@ -224,6 +278,169 @@ describe('BusinessCheckService', () => {
             expect(result.isValid).toBe(false);
             expect(result.details.difference).toBe(50);
         });
+
+        test('should flag a total in words that differs from the figures', () => {
+            const claimWithWordsMismatch = new Claim({
+                bills: [{
+                    id: 'bill-1',
+                    extractedData: { bill_number: 'B-7', line_items: [], total_paid_amount: 2400, total_amount_in_words: 2000 }
+                }]
+            });
+
+            expect(businessCheckService.checkAmountInWords(claimWithWordsMismatch)).toEqual([
+                { billId: 'bill-1', billNumber: 'B-7', totalPaid: 2400, totalInWords: 2000 }
+            ]);
+        });
+
+        test('should skip bills whose total was not found', () => {
+            const claimWithDefaultTotal = new Claim({
+                bills: [{
+                    id: 'bill-1',
+                    extractedData: { line_items: [{ name: 'item1', price: 100, final: 100 }], total_paid_amount: 0 },
+                    extraction: { fields: { total_paid_amount: { isDefault: true } } }
+                }]
+            });
+
+            expect(businessCheckService.validateAmounts(claimWithDefaultTotal).isValid).toBe(true);
+            expect(businessCheckService.checkDefaultedFields(claimWithDefaultTotal)).toEqual([
+                { documentId: 'bill-1', collection: 'bills', fields: ['total_paid_amount'] }
+            ]);
+        });
+
+        test('should report bills without line items instead of a mismatch', () => {
+            const claimWithoutLineItems = new Claim({
+                bills: [{
+                    id: 'bill-1',
+                    extractedData: { bill_number: 'B-7', line_items: [], total_paid_amount: 480 }
+                }]
+            });
+
+            expect(businessCheckService.validateAmounts(claimWithoutLineItems).isValid).toBe(true);
+            expect(businessCheckService.checkBillsWithoutLineItems(claimWithoutLineItems)).toEqual([
+                { billId: 'bill-1', billNumber: 'B-7', totalPaid: 480 }
+            ]);
+        });
+    });
+
+    describe('checkLabReports', () => {
+        test('should flag billed lab tests without a matching report', () => {
+            const claimWithReports = new Claim({
+                bills: [{
+                    id: 'bill-1',
+                    extractedData: {
+                        line_items: [
+                            { name: 'CBC', type: 'lab', price: 300, final: 300 },
+                            { name: 'Lipid Profile', type: 'lab', price: 600, final: 600 },
+                            { name: 'Paracetamol', type: 'medicine', price: 20, final: 20 }
+                        ]
+                    }
+                }],
+                reports: [{
+                    id: 'report-1',
+                    pages: [],
+                    extractedData: {
+                        lab_name: 'City Diagnostics',
+                        report_date: '2024-03-14',
+                        tests: [{ test_name: 'Haemoglobin', value: 11.2 }]
+                    }
+                }]
+            });
+
+            const result = businessCheckService.checkLabReports(claimWithReports);
+            expect(result.missingReports).toEqual([{ billId: 'bill-1', itemIndex: 1, item: 'Lipid Profile', amount: 600 }]);
+        });
+
+        test('should flag reports dated before the prescription that ordered them', () => {
+            const claimWithEarlyReport = new Claim({
+                prescriptions: [{
+                    id: 'prescription-1',
+                    extractedData: {
+                        prescription_date: '2024-03-15',
+                        prescription_orders: [{ item: 'Thyroid profile', type: 'lab' }]
+                    }
+                }],
+                reports: [{
+                    id: 'report-1',
+                    pages: [],
+                    extractedData: {
+                        report_date: '2024-03-10',
+                        tests: [{ test_name: 'TSH', value: 2.1 }, { test_name: 'Free T4 (thyroid)', value: 1.1 }]
+                    }
+                }]
+            });
+
+            const result = businessCheckService.checkLabReports(claimWithEarlyReport);
+            expect(result.reportsBeforePrescription).toEqual([{
+                reportId: 'report-1',
+                reportDate: '2024-03-10',
+                prescriptionId: 'prescription-1',
+                prescriptionDate: '2024-03-15',
+                ambiguousDates: false
+            }]);
+        });
+    });
+
+    describe('checkDateQuality', () => {
+        test('should report ambiguous and impossible dates', () => {
+            const claimWithDateIssues = new Claim({
+                bills: [{
+                    id: 'bill-1',
+                    extractedData: {
+                        bill_date: '2024-03-05',
+                        date_details: {
+                            bill_date: { value: '2024-03-05', raw: '05/03/2024', label: 'bill_date', confidence: 0.57, ambiguous: true, valid: true, alternatives: ['2024-05-03'] }
+                        }
+                    }
+                }],
+                reports: [{
+                    id: 'report-1',
+                    extractedData: {
+                        report_date: null,
+                        date_details: {
+                            report_date: { value: null, raw: '31/02/2024', label: 'report_date', confidence: 0, ambiguous: false, valid: false, alternatives: [] }
+                        }
+                    }
+                }]
+            });
+
+            const issues = businessCheckService.checkDateQuality(claimWithDateIssues);
+
+            expect(issues).toHaveLength(2);
+            expect(issues[0]).toEqual(expect.objectContaining({ documentId: 'bill-1', field: 'bill_date', ambiguous: true, alternatives: ['2024-05-03'] }));
+            expect(issues[1]).toEqual(expect.objectContaining({ documentId: 'report-1', documentType: 'report', valid: false }));
+        });
+    });
+
+    describe('checkOcrConfidence', () => {
+        test('should report pages whose average OCR confidence is below the threshold', () => {
+            const claimWithBlurryPage = new Claim({
+                pages: [
+                    { id: 'page-1', pageNumber: 1, documentType: 'bill', ocr: { confidence: 42, lowConfidenceRegions: [] } },
+                    { id: 'page-2', pageNumber: 2, documentType: 'prescription', ocr: { confidence: 91 } },
+                    { id: 'page-3', pageNumber: 3, documentType: 'report', ocr: null }
+                ]
+            });
+
+            const result = businessCheckService.checkOcrConfidence(claimWithBlurryPage);
+            expect(result.threshold).toBe(60);
+            expect(result.lowConfidencePages).toHaveLength(1);
+            expect(result.lowConfidencePages[0].pageId).toBe('page-1');
+        });
+    });
+
+    describe('checkUnclassifiedPages', () => {
+        test('should report pages left in the unknown bucket with the best guess', () => {
+            const claimWithUnknownPage = new Claim({
+                pages: [
+                    { id: 'page-1', pageNumber: 1, documentType: 'bill', confidence: 0.97 },
+                    { id: 'page-2', pageNumber: 2, documentType: 'unknown', predictedType: 'prescription', confidence: 0.41 }
+                ]
+            });
+
+            expect(businessCheckService.checkUnclassifiedPages(claimWithUnknownPage)).toEqual([
+                { pageId: 'page-2', pageNumber: 2, predictedType: 'prescription', confidence: 0.41 }
+            ]);
+        });
     });
 
     describe('calculateEligibleAmount', () => {
@@ -270,5 +487,201 @@ describe('BusinessCheckService', () => {
             expect(checks.visitReasonConsistency).toBeDefined();
             expect(checks.treatmentFulfillment).toBeDefined();
         });
+
+        test('should record the default rule set and tag findings with their rule', async () => {
+            mockClaim.prescriptions[0].extractedData.doctor_sign_and_seal_present = false;
+            const checks = await businessCheckService.runBusinessChecks(mockClaim);
+
+            expect(checks.ruleSet).toEqual({ id: 'default', version: 3 });
+            expect(checks.exclusionCatalogue).toEqual({ version: 1, effectiveFrom: '2024-01-01' });
+            expect(checks.warnings).toContainEqual(expect.objectContaining({
+                type: 'missing_sign_seal', severity: 'warning', ruleId: 'missing_sign_seal', message: '1 documents missing doctor signature/seal.'
+            }));
+        });
+
+        test('should record a result for every rule and findings for the failed ones', async () => {
+            mockClaim.bills[0].extractedData.total_paid_amount = 750;
+            const checks = await businessCheckService.runBusinessChecks(mockClaim);
+            const result = (code) => checks.checkResults.find(entry => entry.code === code);
+
+            expect(checks.checkResults).toHaveLength(businessCheckService.ruleEngine.selectRuleSet('Test Insurance').rules.length);
+            expect(result('missing_sign_seal')).toEqual({ code: 'missing_sign_seal', check: 'missing_sign_seal', status: 'passed', reason: null });
+            expect(result('medical_claim')).toEqual(expect.objectContaining({ status: 'skipped', reason: 'Applies to medical claims only' }));
+            expect(result('outside_policy_period')).toEqual(expect.objectContaining({
+                status: 'skipped', reason: 'No policy member is matched to the claim'
+            }));
+            expect(checks.findings).toContainEqual({
+                code: 'amount_mismatch',
+                check: 'amount_validation',
+                severity: 'error',
+                message: 'Bill total does not match line item sum.',
+                evidence: { billId: 'bill-1', calculatedTotal: 800, totalPaid: 750, difference: 50 },
+                amount: 50,
+                references: expect.any(Array)
+            });
+            expect(checks.findings.map(finding => finding.code).sort()).toEqual(
+                [...checks.flags, ...checks.warnings, ...checks.errors].map(finding => finding.ruleId).sort()
+            );
+        });
+
+        test('should link findings to the pages, fields and text spans behind them', async () => {
+            const bbox = { x0: 410, y0: 880, x1: 470, y1: 900 };
+            mockClaim.bills[0].extractedData.total_paid_amount = 750;
+            mockClaim.bills[0].pages = [{ id: 'page-2' }, { id: 'page-3' }];
+            mockClaim.bills[0].extraction = {
+                fields: {
+                    total_paid_amount: { pageId: 'page-3', span: { pageId: 'page-3', text: '750.00', start: 90, end: 96, bbox, confidence: 88 } },
+                    line_items: { pageId: 'page-2', items: [{ pageId: 'page-2', span: null }, { pageId: 'page-2', span: null }] }
+                }
+            };
+
+            const checks = await businessCheckService.runBusinessChecks(mockClaim);
+            const mismatch = checks.findings.find(finding => finding.code === 'amount_mismatch');
+
+            expect(mismatch.references).toEqual([
+                {
+                    documentId: 'bill-1',
+                    documentType: 'bill',
+                    pageIds: ['page-3'],
+                    field: 'total_paid_amount',
+                    path: 'total_paid_amount',
+                    span: { pageId: 'page-3', text: '750.00', start: 90, end: 96, bbox, confidence: 88 },
+                    boxes: [bbox]
+                },
+                expect.objectContaining({ pageIds: ['page-2'], path: 'line_items', span: null })
+            ]);
+            expect(checks.errors.find(error => error.ruleId === 'amount_mismatch').references).toEqual(mismatch.references);
+        });
+
+        test('should store the benefit adjudication and payable amount', async () => {
+            const checks = await businessCheckService.runBusinessChecks(mockClaim);
+
+            expect(checks.benefits.plan).toEqual({ id: 'standard', version: 1 });
+            expect(checks.benefits.lines.map(line => [line.name, line.category, line.payable])).toEqual([
+                ['Cardiology consultation', 'consultation', 500],
+                ['ECG test', 'lab', 300]
+            ]);
+            expect(checks.payableAmount).toBe(800);
+        });
+
+        test('should check against the exclusion catalogue in force on the treatment date', async () => {
+            const service = new BusinessCheckService({
+                exclusionCatalogue: new ExclusionCatalogue({
+                    config: {
+                        versions: [
+                            { version: 1, effectiveFrom: '2024-01-01', excluded_items: [] },
+                            { version: 2, effectiveFrom: '2024-07-01', excluded_items: ['ecg test'] }
+                        ]
+                    }
+                })
+            });
+            mockClaim.submittedAt = '2024-08-05T10:00:00.000Z';
+            mockClaim.bills[0].extractedData.bill_date = '2024-06-20';
+
+            const checks = await service.runBusinessChecks(mockClaim);
+            mockClaim.updateBusinessChecks(checks);
+            const rerun = await service.runBusinessChecks(mockClaim);
+
+            expect(checks.wordingDate).toEqual({ date: '2024-06-20', source: 'bill.bill_date', documentId: 'bill-1' });
+            expect(checks.exclusionCatalogue).toEqual({ version: 1, effectiveFrom: '2024-01-01' });
+            expect(checks.policyExclusions).toEqual([]);
+            expect(rerun).toEqual(checks);
+
+            mockClaim.bills[0].extractedData.bill_date = '2024-07-02';
+            const later = await service.runBusinessChecks(mockClaim);
+            expect(later.exclusionCatalogue.version).toBe(2);
+            expect(later.policyExclusions.map(exclusion => exclusion.item)).toEqual(['ECG test']);
+        });
+
+        test('should keep published default rule set versions as they took effect', () => {
+            const listOf = (ruleSet, id) => ruleSet.rules.find(rule => rule.id === id).list;
+            const v3 = businessCheckService.ruleEngine.selectRuleSet('', '2024-05-01');
+            const v4 = businessCheckService.ruleEngine.selectRuleSet('', '2026-11-01');
+
+            expect([v3.version, listOf(v3, 'medical_claim'), listOf(v3, 'defaulted_values')]).toEqual([3, 'warnings', 'warnings']);
+            expect([v4.version, listOf(v4, 'medical_claim'), listOf(v4, 'defaulted_values')]).toEqual([4, 'flags', 'flags']);
+        });
+
+        test('should apply the rule set of the claim insurer', async () => {
+            mockClaim.insurer = 'Star Health';
+            mockClaim.prescriptions[0].extractedData.doctor_sign_and_seal_present = false;
+            mockClaim.bills[0].extractedData.total_paid_amount = 60000;
+            mockClaim.bills[0].extractedData.line_items[0].final = 59700;
+
+            const checks = await businessCheckService.runBusinessChecks(mockClaim);
+
+            expect(checks.ruleSet).toEqual({ id: 'star-health', version: 1 });
+            expect(checks.errors.map(error => error.type)).toEqual(['missing_sign_seal', 'discharge_summary_required']);
+            expect(checks.errors[1].message).toBe('Claims above 50,000 need a Discharge summary.');
+            expect(checks.flags.map(flag => flag.type)).toContain('high_value_bill');
+        });
+    });
+    describe('policy coverage', () => {
+        let policyRepository;
+        let service;
+
+        beforeEach(async () => {
+            policyRepository = new PolicyRepository({ filePath: '/tmp/policies-test.json' });
+            await policyRepository.add(new Policy({
+                policyNumber: 'SH-1001',
+                startDate: '2024-01-01',
+                endDate: '2024-12-31',
+                sumInsured: 1000,
+                members: [{ id: 'member-1', name: 'John Doe' }],
+                waitingPeriods: [
+                    { id: 'initial', days: 30, description: 'Initial waiting period' },
+                    { id: 'cardiac', days: 365, conditions: ['cardiology'] }
+                ],
+                utilization: [{ claimId: 'other-claim', memberId: 'member-1', amount: 500 }]
+            }));
+            service = new BusinessCheckService({ policyRepository });
+
+            mockClaim.policyNumber = 'SH-1001';
+            mockClaim.memberId = 'member-1';
+            mockClaim.prescriptions[0].extractedData.prescription_date = '2024-03-10';
+            mockClaim.bills[0].extractedData.bill_date = '2024-03-12';
+        });
+
+        test('should flag claims that are not linked to a known member', async () => {
+            mockClaim.memberId = 'member-9';
+            const checks = await service.runBusinessChecks(mockClaim);
+
+            expect(checks.policyCoverage.status).toBe('unknown_member');
+            expect(checks.flags).toContainEqual(expect.objectContaining({ type: 'unknown_member', severity: 'warning' }));
+        });
+
+        test('should report treatment outside the policy period and waiting periods', () => {
+            mockClaim.bills[0].extractedData.bill_date = '2025-01-05';
+            const coverage = service.checkPolicyCoverage(mockClaim);
+
+            expect(coverage.status).toBe('covered');
+            expect(coverage.outsidePeriod).toEqual([
+                { documentId: 'bill-1', documentType: 'bill', field: 'bill_date', date: '2025-01-05' }
+            ]);
+            expect(coverage.waitingPeriods.map(period => [period.id, period.conditions])).toEqual([['cardiac', ['cardiology']]]);
+        });
+
+        test('should pay only from the balance left on the policy', async () => {
+            const checks = await service.runBusinessChecks(mockClaim);
+
+            expect(checks.policyCoverage.balance).toBe(500);
+            expect(checks.payableAmount).toBe(500);
+            expect(checks.errors.map(error => error.type)).not.toContain('outside_policy_period');
+            expect(checks.warnings).toContainEqual(expect.objectContaining({ type: 'sum_insured_exceeded' }));
+        });
+
+        test('should not count claims approved after the claim was checked', async () => {
+            const checks = await service.runBusinessChecks(mockClaim);
+            mockClaim.updateBusinessChecks(checks);
+            const policy = policyRepository.findByPolicyNumber('SH-1001');
+            policy.utilization.push({ claimId: 'later-claim', memberId: 'member-1', amount: 300, approvedAt: '2999-01-01T00:00:00.000Z' });
+
+            const rerun = await service.runBusinessChecks(mockClaim);
+
+            expect(rerun.checkedAt).toBe(checks.checkedAt);
+            expect(rerun.policyCoverage.balance).toBe(500);
+            expect(rerun.payableAmount).toBe(checks.payableAmount);
+            expect(service.checkPolicyCoverage(mockClaim).balance).toBe(200);
+        });
     });
 }); 
\ No newline at end of file
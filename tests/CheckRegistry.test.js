@@ -0,0 +1,33 @@
+const CheckRegistry = require('../services/CheckRegistry');
+const BusinessCheckService = require('../services/BusinessCheckService');
+
+describe('CheckRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new CheckRegistry()
+            .register('sign_seal', { description: 'Signature present', run: (claim) => (claim.signed ? null : { details: [] }) });
+    });
+
+    test('should run registered checks by code', () => {
+        expect(registry.codes()).toEqual(['sign_seal']);
+        expect(registry.list()).toEqual([{ code: 'sign_seal', description: 'Signature present' }]);
+        expect(registry.run('sign_seal', { signed: true })).toBeNull();
+        expect(() => registry.run('unknown', {})).toThrow('Unknown check "unknown"');
+    });
+
+    test('should keep codes stable and unique', () => {
+        expect(() => registry.register('sign_seal', { run: () => null })).toThrow('Check "sign_seal" is already registered');
+        expect(() => registry.register('Sign Seal', { run: () => null })).toThrow('must be lower_snake_case');
+        expect(() => registry.register('no_run', {})).toThrow('needs a run function');
+    });
+
+    test('should register every built-in check that the rules use', () => {
+        const service = new BusinessCheckService();
+        const codes = service.getRegisteredChecks().map(check => check.code);
+
+        service.ruleEngine.getRuleSets().flatMap(set => set.rules)
+            .filter(rule => rule.check)
+            .forEach(rule => expect(codes).toContain(rule.check));
+    });
+});
@@ -0,0 +1,149 @@
+const Claim = require('../models/Claim');
+
+describe('Claim', () => {
+    let claim;
+
+    const addPages = (types) => types.forEach((type, index) => {
+        const page = claim.addPage({ filename: `page-${index + 1}.png`, mimetype: 'image/png', path: `uploads/page-${index + 1}.png` });
+        claim.updatePageClassification(page.id, { type, confidence: 0.8, extractedText: type });
+    });
+
+    const groupPageNumbers = (collection) => claim[collection].map(group => group.pages.map(p => p.pageNumber));
+
+    beforeEach(() => {
+        claim = new Claim({ patientName: 'John Doe', insurer: 'Test Insurance' });
+    });
+
+    test('should count findings by severity for the queue', () => {
+        claim.updateBusinessChecks({
+            findings: [
+                { code: 'amount_mismatch', severity: 'error' },
+                { code: 'visit_reason_mismatch', severity: 'warning' },
+                { code: 'medical_claim', severity: 'info' }
+            ]
+        });
+
+        expect(claim.getFindingCounts()).toEqual({ error: 1, warning: 1, info: 1 });
+        expect(claim.getQuickFlagsCount()).toBe(2);
+
+        // Checked before findings were recorded
+        const legacy = new Claim({
+            businessChecks: { flags: [{ severity: 'warning' }], warnings: [{ severity: 'info' }], errors: [] }
+        });
+        expect(legacy.getFindingCounts()).toEqual({ error: 0, warning: 1, info: 1 });
+        expect(legacy.getQuickFlagsCount()).toBe(1);
+    });
+
+    test('should keep a reviewer page type when the page is reclassified', () => {
+        addPages(['prescription', 'prescription']);
+        const pageId = claim.pages[1].id;
+
+        claim.overridePageType(pageId, 'bill', { overriddenBy: 'reviewer-7' });
+        claim.updatePageClassification(pageId, { type: 'prescription', confidence: 0.9, extractedText: 'rx' });
+
+        const page = claim.pages[1];
+        expect(page.documentType).toBe('bill');
+        expect(page.confidence).toBe(1);
+        expect(page.classificationOverride).toEqual(expect.objectContaining({
+            documentType: 'bill', machineType: 'prescription', machineConfidence: 0.9, overriddenBy: 'reviewer-7'
+        }));
+        expect(claim.toJSON().documentOverrides).toEqual([
+            expect.objectContaining({ type: 'classification', pageIds: [pageId], documentType: 'bill', previousType: 'prescription' })
+        ]);
+    });
+
+    test('should split a stack of one-page bills and record why', () => {
+        ['Bill No: 101', 'Bill No: 102', 'Bill No: 103\nPage 1 of 2', 'Page 2 of 2\nTotal: 400'].forEach((text, index) => {
+            const page = claim.addPage({ filename: `bill-${index + 1}.png`, mimetype: 'image/png', path: 'uploads/bill.png' });
+            claim.updatePageClassification(page.id, { type: 'bill', confidence: 0.8, extractedText: text });
+        });
+
+        claim.groupPagesIntoDocuments();
+
+        expect(groupPageNumbers('bills')).toEqual([[1], [2], [3, 4]]);
+        expect(claim.bills.map(group => group.boundary.reason)).toEqual(['first_page', 'document_number', 'page_marker']);
+        expect(claim.bills[2].continuations).toEqual([
+            expect.objectContaining({ pageId: claim.pages[3].id, reason: 'page_marker' })
+        ]);
+    });
+
+    test('should replay splits and merges when regrouping', () => {
+        addPages(['bill', 'bill', 'prescription', 'bill']);
+
+        claim.groupPagesIntoDocuments();
+        expect(groupPageNumbers('bills')).toEqual([[1, 2], [4]]);
+
+        claim.splitDocument(claim.pages[1].id);
+        claim.groupPagesIntoDocuments();
+        expect(groupPageNumbers('bills')).toEqual([[1], [2], [4]]);
+
+        claim.mergeDocuments([claim.pages[1].id, claim.pages[3].id]);
+        claim.groupPagesIntoDocuments();
+        expect(groupPageNumbers('bills')).toEqual([[1], [2, 4]]);
+        expect(claim.bills.map(group => group.manual)).toEqual([true, true]);
+        expect(claim.bills[1].continuations).toEqual([
+            expect.objectContaining({ pageId: claim.pages[3].id, reason: 'manual_merge' })
+        ]);
+    });
+
+    test('should reorder pages and group by the new order', () => {
+        addPages(['bill', 'prescription', 'bill']);
+        const [first, second, third] = claim.pages.map(p => p.id);
+
+        claim.reorderPages([first, third, second]);
+        claim.groupPagesIntoDocuments();
+
+        expect(claim.pages.map(p => p.id)).toEqual([first, third, second]);
+        expect(claim.pages.map(p => p.pageNumber)).toEqual([1, 2, 3]);
+        expect(claim.bills.map(group => group.pages.map(p => p.id))).toEqual([[first, third]]);
+    });
+
+    test('should take a removed page out of its group and renumber the rest', () => {
+        addPages(['prescription', 'bill', 'bill', 'bill']);
+        claim.groupPagesIntoDocuments();
+        claim.prescriptions[0].extractedData = { visit_reason: 'fever' };
+        claim.bills[0].extractedData = { total_paid_amount: 900 };
+        // Stored claims hold copies of the pages in their groups
+        claim = new Claim(JSON.parse(JSON.stringify(claim.toJSON())));
+        const [, removed, second, third] = claim.pages.map(p => p.id);
+
+        expect(claim.removePage(removed).id).toBe(removed);
+
+        expect(claim.pages.map(p => p.pageNumber)).toEqual([1, 2, 3]);
+        expect(groupPageNumbers('bills')).toEqual([[2, 3]]);
+        expect(claim.bills[0].pages.map(p => p.id)).toEqual([second, third]);
+        expect(claim.bills[0].boundary).toEqual(expect.objectContaining({ pageId: second, reason: 'first_page' }));
+        expect(claim.bills[0].continuations.map(link => link.pageId)).toEqual([third]);
+        expect(claim.bills[0].extractedData).toBeUndefined();
+        expect(claim.prescriptions[0].extractedData).toEqual({ visit_reason: 'fever' });
+
+        claim.removePage(claim.pages[0].id);
+        expect(claim.prescriptions).toEqual([]);
+        expect(groupPageNumbers('bills')).toEqual([[1, 2]]);
+        expect(claim.removePage('missing')).toBeNull();
+    });
+
+    test('should keep unchanged groups and their extraction when preserving', () => {
+        addPages(['prescription', 'bill', 'bill']);
+        claim.groupPagesIntoDocuments();
+        claim.prescriptions[0].extractedData = { visit_reason: 'fever' };
+        claim.bills[0].extractedData = { total_paid_amount: 900 };
+        const prescriptionId = claim.prescriptions[0].id;
+
+        claim.splitDocument(claim.pages[2].id);
+        claim.groupPagesIntoDocuments({ preserveUnchanged: true });
+
+        expect(claim.prescriptions[0]).toEqual(expect.objectContaining({ id: prescriptionId, extractedData: { visit_reason: 'fever' } }));
+        expect(claim.bills.map(group => group.extractedData)).toEqual([undefined, undefined]);
+    });
+
+    test('should group pages of configured document types into their collections', () => {
+        addPages(['bill', 'discharge_summary', 'discharge_summary', 'id_card']);
+        claim.groupPagesIntoDocuments();
+
+        expect(groupPageNumbers('discharge_summaries')).toEqual([[2, 3]]);
+        expect(groupPageNumbers('id_cards')).toEqual([[4]]);
+        expect(claim.findDocumentByPage(claim.pages[3].id)).toEqual(expect.objectContaining({ collection: 'id_cards', documentType: 'id_card' }));
+        expect(new Claim(claim.toJSON()).discharge_summaries).toHaveLength(1);
+    });
+});
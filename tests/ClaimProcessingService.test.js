@@ -0,0 +1,133 @@
+const ClaimProcessingService = require('../services/ClaimProcessingService');
+const Claim = require('../models/Claim');
+
+describe('ClaimProcessingService', () => {
+    let service;
+    let aiService;
+    let claim;
+    let job;
+
+    beforeEach(() => {
+        claim = new Claim({ patientName: 'John Doe', insurer: 'Test Insurance' });
+        claim.addPage({ filename: 'rx.png', mimetype: 'image/png', path: 'uploads/rx.png' });
+        claim.addPage({ filename: 'bill.png', mimetype: 'image/png', path: 'uploads/bill.png' });
+
+        aiService = {
+            classifyPage: jest.fn()
+                .mockResolvedValueOnce({ type: 'prescription', confidence: 0.9, extractedText: 'rx' })
+                .mockResolvedValueOnce({ type: 'bill', confidence: 0.9, extractedText: 'bill' }),
+            extractDocument: jest.fn(async (documentType) => ({
+                data: documentType === 'bill' ? { line_items: [], total_paid_amount: 0 } : { visit_reason: 'fever' },
+                extraction: { provider: 'deterministic', fieldSources: {} }
+            }))
+        };
+
+        service = new ClaimProcessingService({
+            aiService,
+            businessCheckService: { runBusinessChecks: jest.fn().mockResolvedValue({ claimSubtype: 'medical' }) },
+            claimRepository: { findById: () => claim, save: jest.fn() },
+            jobQueue: { save: jest.fn(), findActive: jest.fn(), enqueue: jest.fn() }
+        });
+
+        job = { id: 'job-1', claimId: claim.id, reclassify: false, stages: [], pages: [], errors: [] };
+    });
+
+    test('should run every stage and report per-page progress', async () => {
+        const result = await service.runProcessingJob(job);
+
+        expect(job.stages.map(s => s.status)).toEqual(['completed', 'completed', 'completed', 'completed']);
+        expect(job.pages.map(p => p.documentType)).toEqual(['prescription', 'bill']);
+        expect(job.stages[0].progress).toEqual({ completed: 2, total: 2 });
+        expect(result.prescriptionsFound).toBe(1);
+        expect(result.billsFound).toBe(1);
+        expect(claim.businessChecks.claimSubtype).toBe('medical');
+    });
+
+    test('should resume without redoing completed stages and pages', async () => {
+        await service.runProcessingJob(job);
+
+        // Simulate a restart during extraction
+        job.stages[2].status = 'running';
+        job.stages[3].status = 'pending';
+        claim.bills[0].extractedData = null;
+
+        await service.runProcessingJob(job);
+
+        expect(aiService.classifyPage).toHaveBeenCalledTimes(2);
+        const extractedTypes = aiService.extractDocument.mock.calls.map(([documentType]) => documentType);
+        expect(extractedTypes.filter(t => t === 'prescription')).toHaveLength(1);
+        expect(extractedTypes.filter(t => t === 'bill')).toHaveLength(2);
+    });
+
+    test('should re-apply reviewer corrections after reprocessing', async () => {
+        await service.runProcessingJob(job);
+        const billPageId = claim.bills[0].pages[0].id;
+        claim.corrections.push({
+            id: 'correction-1',
+            collection: 'bills',
+            documentId: claim.bills[0].id,
+            pageIds: [billPageId],
+            field: 'total_paid_amount',
+            action: 'set',
+            value: 1200,
+            originalValue: 0
+        });
+
+        // Reprocess from scratch: pages are regrouped and re-extracted
+        aiService.classifyPage
+            .mockResolvedValueOnce({ type: 'prescription', confidence: 0.9, extractedText: 'rx' })
+            .mockResolvedValueOnce({ type: 'bill', confidence: 0.9, extractedText: 'bill' });
+        await service.runProcessingJob({ ...job, reclassify: true, stages: [], pages: [] });
+
+        expect(claim.bills[0].extractedData.total_paid_amount).toBe(1200);
+        expect(claim.bills[0].extraction.fields.total_paid_amount.source).toBe('reviewer');
+        expect(claim.corrections[0].documentId).toBe(claim.bills[0].id);
+    });
+
+    test('should re-extract only the groups changed by a reviewer override', async () => {
+        await service.runProcessingJob(job);
+        const prescription = claim.prescriptions[0];
+        aiService.extractDocument.mockClear();
+
+        claim.overridePageType(claim.pages[0].id, 'bill');
+        const reextracted = await service.regroupDocuments(claim);
+
+        expect(claim.prescriptions).toHaveLength(0);
+        expect(claim.bills).toHaveLength(1);
+        expect(claim.bills[0].pages).toHaveLength(2);
+        expect(reextracted).toEqual([claim.bills[0].id]);
+        expect(aiService.extractDocument).toHaveBeenCalledTimes(1);
+        expect(claim.bills[0].id).not.toBe(prescription.id);
+    });
+
+    test('should leave unaffected groups alone when regrouping', async () => {
+        await service.runProcessingJob(job);
+        const prescriptionId = claim.prescriptions[0].id;
+        aiService.extractDocument.mockClear();
+
+        claim.overridePageType(claim.pages[1].id, 'unknown');
+        const reextracted = await service.regroupDocuments(claim);
+
+        expect(reextracted).toEqual([]);
+        expect(claim.bills).toHaveLength(0);
+        expect(claim.prescriptions[0].id).toBe(prescriptionId);
+        expect(aiService.extractDocument).not.toHaveBeenCalled();
+    });
+
+    test('should mark the stage as failed when it throws', async () => {
+        aiService.extractDocument.mockRejectedValue(new Error('OCR engine crashed'));
+
+        await expect(service.runProcessingJob(job)).rejects.toThrow('OCR engine crashed');
+        expect(job.stages[2].status).toBe('failed');
+        expect(job.stages[2].error).toBe('OCR engine crashed');
+    });
+
+    test('should reuse an active job for the same claim', async () => {
+        const activeJob = { id: 'job-active' };
+        service.jobQueue.findActive.mockReturnValue(activeJob);
+
+        const started = await service.startProcessing(claim);
+        expect(started).toBe(activeJob);
+        expect(service.jobQueue.enqueue).not.toHaveBeenCalled();
+    });
+});
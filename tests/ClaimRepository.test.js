@@ -0,0 +1,68 @@
+const fs = require('fs').promises;
+const ClaimRepository = require('../services/ClaimRepository');
+const Claim = require('../models/Claim');
+
+describe('ClaimRepository', () => {
+    let repository;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        repository = new ClaimRepository({ filePath: '/tmp/claims-test.json' });
+    });
+
+    describe('load', () => {
+        test('should rehydrate persisted records as Claim instances', async () => {
+            fs.readFile.mockResolvedValueOnce(JSON.stringify([
+                { id: 'claim-1', patientName: 'John Doe', insurer: 'Test Insurance', status: 'pending' }
+            ]));
+
+            const count = await repository.load();
+            const claim = repository.findById('claim-1');
+
+            expect(count).toBe(1);
+            expect(claim).toBeInstanceOf(Claim);
+            expect(claim.getQuickFlagsCount()).toBe(0);
+        });
+
+        test('should start empty when the storage file does not exist', async () => {
+            const notFound = Object.assign(new Error('not found'), { code: 'ENOENT' });
+            fs.readFile.mockRejectedValueOnce(notFound);
+
+            const count = await repository.load();
+            expect(count).toBe(0);
+            expect(repository.findAll()).toHaveLength(0);
+        });
+    });
+
+    describe('persistence', () => {
+        test('should write all claims atomically when a claim is added', async () => {
+            const claim = new Claim({ patientName: 'Jane Doe', insurer: 'Test Insurance' });
+            await repository.add(claim);
+
+            expect(fs.writeFile).toHaveBeenCalledWith('/tmp/claims-test.json.tmp', expect.any(String), 'utf8');
+            expect(fs.rename).toHaveBeenCalledWith('/tmp/claims-test.json.tmp', '/tmp/claims-test.json');
+
+            const written = JSON.parse(fs.writeFile.mock.calls[0][1]);
+            expect(written[0].id).toBe(claim.id);
+        });
+
+        test('should find document groups across claims', async () => {
+            const claim = new Claim({ bills: [{ id: 'bill-1', pages: [] }] });
+            await repository.add(claim);
+
+            const found = repository.findDocument('bills', 'bill-1');
+            expect(found.claim).toBe(claim);
+            expect(found.document.id).toBe('bill-1');
+            expect(repository.findDocument('prescriptions', 'bill-1')).toBeNull();
+        });
+
+        test('should remove claims and report missing ones', async () => {
+            const claim = new Claim();
+            await repository.add(claim);
+
+            expect(await repository.remove(claim.id)).toBe(true);
+            expect(await repository.remove(claim.id)).toBe(false);
+            expect(repository.findById(claim.id)).toBeNull();
+        });
+    });
+});
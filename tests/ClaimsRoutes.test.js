@@ -0,0 +1,55 @@
+const express = require('express');
+const request = require('supertest');
+const claimsRoutes = require('../routes/claims');
+const Claim = require('../models/Claim');
+const Policy = require('../models/Policy');
+const { claimRepository } = require('../services/ClaimRepository');
+const { policyRepository } = require('../services/PolicyRepository');
+
+describe('claims routes', () => {
+    let app;
+
+    beforeEach(async () => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/claims', claimsRoutes);
+
+        claimRepository.claims = new Map();
+        policyRepository.policies = new Map();
+        await policyRepository.add(new Policy({
+            policyNumber: 'SH-1001',
+            startDate: '2024-01-01',
+            endDate: '2024-12-31',
+            sumInsured: 1000,
+            members: [{ id: 'member-1', name: 'John Doe' }]
+        }));
+        // Both checked before either was approved, each against the full balance
+        for (const id of ['claim-1', 'claim-2']) {
+            await claimRepository.add(new Claim({
+                id,
+                patientName: 'John Doe',
+                policyNumber: 'SH-1001',
+                memberId: 'member-1',
+                businessChecks: { findings: [], flags: [], warnings: [], errors: [], payableAmount: 800 }
+            }));
+        }
+    });
+
+    describe('POST /:id/review', () => {
+        test('should not draw more than the balance left on the policy', async () => {
+            const first = await request(app).post('/api/claims/claim-1/review').send({ decision: 'approve' });
+            const second = await request(app).post('/api/claims/claim-2/review').send({ decision: 'approve' });
+
+            expect(first.body.data).toEqual(expect.objectContaining({ paidAmount: 800, policyBalance: 200 }));
+            expect(second.body.data).toEqual(expect.objectContaining({ paidAmount: 200, policyBalance: 0 }));
+            expect(policyRepository.findByPolicyNumber('SH-1001').getUtilized()).toBe(1000);
+        });
+
+        test('should not draw from the policy for other decisions', async () => {
+            const response = await request(app).post('/api/claims/claim-1/review').send({ decision: 'reject' });
+
+            expect(response.body.data).toEqual(expect.objectContaining({ paidAmount: null, policyBalance: null }));
+            expect(policyRepository.findByPolicyNumber('SH-1001').utilization).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const CorrectionService = require('../services/CorrectionService');
+const Claim = require('../models/Claim');
+
+describe('CorrectionService', () => {
+    let service;
+    let businessCheckService;
+    let claim;
+
+    const extractBill = () => ({
+        extractedData: {
+            bill_number: 'B-1',
+            bill_date: '2024-03-05',
+            total_paid_amount: 450,
+            line_items: [
+                { name: 'Consultation', type: 'medicine', price: 300, final: 300 },
+                { name: 'Dressing', type: 'medicine', price: 150, final: 150 }
+            ],
+            date_details: { bill_date: { value: '2024-03-05', ambiguous: true, confidence: 0.57 } }
+        },
+        extraction: { provider: 'deterministic', fields: { total_paid_amount: { confidence: 0.8, isDefault: false } } }
+    });
+
+    beforeEach(() => {
+        businessCheckService = { runBusinessChecks: jest.fn().mockResolvedValue({ eligibleAmount: 500, flags: [] }) };
+        service = new CorrectionService({ businessCheckService });
+        claim = new Claim({
+            pages: [{ id: 'page-1' }],
+            bills: [{ id: 'bill-1', pages: [{ id: 'page-1' }], ...extractBill() }]
+        });
+    });
+
+    const bill = () => service.findDocument(claim, claim.bills[0].id);
+
+    test('should correct a field and keep the machine value and reviewer', () => {
+        const [record] = service.correctFields(claim, bill(), { total_paid_amount: 500 }, { correctedBy: 'reviewer-7', note: 'Stamp total' });
+
+        expect(claim.bills[0].extractedData.total_paid_amount).toBe(500);
+        expect(record).toEqual(expect.objectContaining({
+            field: 'total_paid_amount',
+            value: 500,
+            originalValue: 450,
+            correctedBy: 'reviewer-7',
+            note: 'Stamp total',
+            status: 'applied'
+        }));
+        expect(claim.bills[0].extraction.fields.total_paid_amount).toEqual(expect.objectContaining({
+            source: 'reviewer', confidence: 1, isDefault: false
+        }));
+    });
+
+    test('should keep the original machine value when a correction is corrected again', () => {
+        service.correctFields(claim, bill(), { total_paid_amount: 500 });
+        const [record] = service.correctFields(claim, bill(), { total_paid_amount: 520 });
+
+        expect(claim.corrections).toHaveLength(1);
+        expect(record.originalValue).toBe(450);
+        expect(claim.bills[0].extractedData.total_paid_amount).toBe(520);
+    });
+
+    test('should resolve the date details of a corrected date', () => {
+        service.correctFields(claim, bill(), { bill_date: '2024-05-03' });
+
+        expect(claim.bills[0].extractedData.date_details.bill_date).toEqual(expect.objectContaining({
+            value: '2024-05-03', ambiguous: false, source: 'reviewer'
+        }));
+    });
+
+    test('should validate corrections against the extraction schema', () => {
+        expect(service.validateFieldCorrections('bill', { total_paid_amount: 'lots' }))
+            .toEqual(['total_paid_amount must be a number']);
+        expect(service.validateFieldCorrections('bill', { doctor_name: 'Dr. A' }))
+            .toEqual(['doctor_name is not a correctable bill field']);
+        expect(service.validateLineItem({ final: 100, colour: 'red' }))
+            .toEqual(['line_item.colour is not a line item field']);
+        expect(service.validateLineItem({ name: 'Bandage' }, true)).toEqual(expect.arrayContaining([
+            'line_item.price is required',
+            'line_item.final is required'
+        ]));
+    });
+
+    test('should correct, add and remove line items', () => {
+        service.correctLineItem(claim, bill(), 0, { final: 250, discount: 50 });
+        service.addLineItem(claim, bill(), { name: 'Bandage', type: 'medicine', price: 40, final: 40 });
+        service.removeLineItem(claim, bill(), 1);
+
+        const items = claim.bills[0].extractedData.line_items;
+        expect(items.map(item => [item.name, item.final])).toEqual([['Consultation', 250], ['Bandage', 40]]);
+        expect(claim.corrections[0].originalValue).toEqual({ final: 300, discount: null });
+    });
+
+    test('should re-apply corrections to a re-extracted document exactly once', () => {
+        service.correctFields(claim, bill(), { total_paid_amount: 500 });
+        service.correctLineItem(claim, bill(), 1, { final: 120 });
+        service.addLineItem(claim, bill(), { name: 'Bandage', type: 'medicine', price: 40, final: 40 });
+
+        // Reprocessing rebuilds the group with a new id from the same pages
+        claim.bills = [{ id: 'bill-2', pages: [{ id: 'page-1' }], ...extractBill() }];
+        service.applyCorrections(claim);
+        service.applyCorrections(claim);
+
+        const data = claim.bills[0].extractedData;
+        expect(data.total_paid_amount).toBe(500);
+        expect(data.line_items.map(item => [item.name, item.final])).toEqual([
+            ['Consultation', 300], ['Dressing', 120], ['Bandage', 40]
+        ]);
+        expect(claim.corrections.every(record => record.documentId === 'bill-2')).toBe(true);
+    });
+
+    test('should mark line item corrections whose item is gone as unmatched', () => {
+        service.correctLineItem(claim, bill(), 1, { final: 120 });
+
+        claim.bills = [{ id: 'bill-2', pages: [{ id: 'page-1' }], ...extractBill() }];
+        claim.bills[0].extractedData.line_items.pop();
+        const results = service.applyCorrections(claim);
+
+        expect(results).toEqual([{ id: claim.corrections[0].id, applied: false }]);
+        expect(claim.corrections[0].status).toBe('unmatched');
+    });
+
+    test('should re-run business checks after a correction', async () => {
+        service.correctFields(claim, bill(), { total_paid_amount: 500 });
+        const checks = await service.recheck(claim);
+
+        expect(businessCheckService.runBusinessChecks).toHaveBeenCalledWith(claim);
+        expect(checks.eligibleAmount).toBe(500);
+    });
+});
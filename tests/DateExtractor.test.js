@@ -0,0 +1,80 @@
+const { findDates, extractDate, extractTime, expandYear } = require('../services/DateExtractor');
+
+describe('DateExtractor', () => {
+    const now = new Date('2024-06-01T00:00:00Z');
+
+    describe('findDates', () => {
+        test('should recognize numeric, textual and ISO dates', () => {
+            const dates = findDates('Visit 12-Mar-2024, report 2024-03-14, due March 20, 2024 and 25/03/2024', { now });
+
+            expect(dates.map(date => [date.value, date.format])).toEqual([
+                ['2024-03-12', 'textual'],
+                ['2024-03-14', 'iso'],
+                ['2024-03-20', 'textual_month_first'],
+                ['2024-03-25', 'numeric']
+            ]);
+        });
+
+        test('should flag ambiguous day/month order and keep the alternative', () => {
+            const [date] = findDates('Date: 05/03/2024', { now });
+
+            expect(date).toEqual(expect.objectContaining({
+                value: '2024-03-05',
+                ambiguous: true,
+                alternatives: ['2024-05-03'],
+                label: 'date'
+            }));
+        });
+
+        test('should read month-first dates when day-first is impossible', () => {
+            const [date] = findDates('03/25/2024', { now });
+
+            expect(date).toEqual(expect.objectContaining({ value: '2024-03-25', format: 'numeric_month_first', ambiguous: false }));
+        });
+
+        test('should mark impossible dates as invalid', () => {
+            const [date] = findDates('Report Date: 31/02/2024', { now });
+
+            expect(date).toEqual(expect.objectContaining({ value: null, valid: false, raw: '31/02/2024' }));
+        });
+    });
+
+    describe('extractDate', () => {
+        test('should prefer the labelled document date over a date of birth', () => {
+            const text = 'Patient: Ravi Kumar DOB: 14/08/1985\nBill Date: 13/03/24\nPrinted on 14/03/2024';
+
+            const date = extractDate(text, ['bill_date'], { now });
+
+            expect(date).toEqual(expect.objectContaining({ value: '2024-03-13', label: 'bill_date', ambiguous: false }));
+            expect(date.confidence).toBe(0.9);
+        });
+
+        test('should lower confidence for ambiguous dates', () => {
+            const date = extractDate('Bill Date: 05/03/2024', ['bill_date'], { now });
+
+            expect(date.confidence).toBe(0.57);
+        });
+
+        test('should return null when only excluded dates are present', () => {
+            expect(extractDate('Date of Birth: 01/01/1990', ['bill_date'], { now })).toBeNull();
+        });
+    });
+
+    describe('expandYear', () => {
+        test('should expand two-digit years around the current year', () => {
+            expect(expandYear('24', now)).toBe(2024);
+            expect(expandYear('85', now)).toBe(1985);
+        });
+    });
+
+    describe('extractTime', () => {
+        test('should convert 12-hour times and record the label', () => {
+            expect(extractTime('Time: 4:05 pm')).toEqual({ value: '16:05', raw: '4:05 pm', label: 'time', confidence: 0.9 });
+            expect(extractTime('Seen at 10.15 a.m.').value).toBe('10:15');
+        });
+
+        test('should skip impossible times', () => {
+            expect(extractTime('Ref 27:90 then 09:30').value).toBe('09:30');
+        });
+    });
+});
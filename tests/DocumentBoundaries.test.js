@@ -0,0 +1,61 @@
+const { pageSignals, detectBoundary } = require('../services/DocumentBoundaries');
+
+describe('DocumentBoundaries', () => {
+    const page = (pageNumber, extractedText) => ({ id: `page-${pageNumber}`, pageNumber, extractedText });
+
+    test('should read boundary signals from page text', () => {
+        const signals = pageSignals(page(1, 'Sunrise Pharmacy\nMG Road\nBill No: B-102 Date: 12/03/2024\nPage 1 of 2\nCarried forward: 1,250.00'));
+
+        expect(signals).toEqual(expect.objectContaining({
+            documentNumber: 'B-102',
+            facilityName: 'sunrise pharmacy',
+            date: '2024-03-12',
+            pageMarker: { number: 1, total: 2 },
+            carriedForward: true,
+            carriedForwardAmount: 1250,
+            broughtForward: false
+        }));
+    });
+
+    test('should split pharmacy bills with different bill numbers', () => {
+        const decision = detectBoundary(
+            page(1, 'City Chemists\nBill No: 4411\nTotal: 320'),
+            page(2, 'City Chemists\nBill No: 4412\nTotal: 180')
+        );
+
+        expect(decision).toEqual(expect.objectContaining({ split: true, reason: 'document_number' }));
+        expect(decision.description).toBe('Document number changes from 4411 to 4412');
+    });
+
+    test('should join pages linked by page markers or carried-forward totals', () => {
+        expect(detectBoundary(
+            page(1, 'Apollo Hospital\nBill No: 77\nPage 1 of 2'),
+            page(2, 'Apollo Hospital\nPage 2 of 2\nGrand Total: 5,400')
+        )).toEqual(expect.objectContaining({ split: false, reason: 'page_marker' }));
+
+        expect(detectBoundary(
+            page(1, 'Invoice No: 88\nConsultation 500\nCarried forward 500'),
+            page(2, 'Invoice No: 89\nBrought forward 500\nTotal: 900')
+        )).toEqual(expect.objectContaining({ split: false, reason: 'carried_forward' }));
+    });
+
+    test('should split on a new page 1 marker, facility or date', () => {
+        expect(detectBoundary(page(1, 'Page 1 of 1'), page(2, 'Page 1 of 1')).reason).toBe('page_marker');
+        expect(detectBoundary(page(1, 'City Clinic\nRx'), page(2, 'Metro Hospital\nRx')).reason).toBe('facility_name');
+        expect(detectBoundary(page(1, 'Date: 01/03/2024'), page(2, 'Date: 14/03/2024')).reason).toBe('date');
+    });
+
+    test('should split after a totalled page followed by a new header', () => {
+        const decision = detectBoundary(
+            page(1, 'Consultation 500\nNet Payable: 500'),
+            page(2, 'Lab Diagnostics\nBill No: 91\nCBC 300')
+        );
+
+        expect(decision).toEqual(expect.objectContaining({ split: true, reason: 'previous_total' }));
+    });
+
+    test('should join consecutive pages without signals and split non-consecutive ones', () => {
+        expect(detectBoundary(page(1, 'Consultation'), page(2, 'Dressing'))).toEqual(expect.objectContaining({ split: false, reason: 'consecutive' }));
+        expect(detectBoundary(page(1, 'Consultation'), page(3, 'Dressing'))).toEqual(expect.objectContaining({ split: true, reason: 'not_consecutive' }));
+    });
+});
@@ -0,0 +1,61 @@
+const {
+    validateTaxonomy,
+    getCollections,
+    getCollection,
+    getPageTypes,
+    getSeedExamples
+} = require('../services/DocumentTaxonomy');
+const { getSchema } = require('../services/ExtractionSchemas');
+
+describe('DocumentTaxonomy', () => {
+    test('should list built-in and configured types with their collections', () => {
+        expect(getCollections()).toEqual(expect.objectContaining({
+            prescriptions: 'prescription',
+            bills: 'bill',
+            reports: 'report',
+            discharge_summaries: 'discharge_summary',
+            referral_letters: 'referral_letter',
+            pharmacy_receipts: 'pharmacy_receipt',
+            id_cards: 'id_card',
+            payment_receipts: 'payment_receipt'
+        }));
+        expect(getCollection('id_card')).toBe('id_cards');
+        expect(getCollection('invoice')).toBeNull();
+        expect(getPageTypes()).toEqual(expect.arrayContaining(['discharge_summary', 'unknown']));
+    });
+
+    test('should provide classifier seeds only for configured types', () => {
+        const types = new Set(getSeedExamples().map(example => example.type));
+
+        expect(types.has('payment_receipt')).toBe(true);
+        expect(types.has('bill')).toBe(false);
+    });
+
+    test('should build extraction schemas from configured fields', () => {
+        const schema = getSchema('payment_receipt');
+
+        expect(schema.amount).toEqual({ type: 'number', nullable: true });
+        expect(schema.payment_date.pattern).toBeInstanceOf(RegExp);
+        expect(schema.date_details).toBeDefined();
+        expect(getSchema('bill').line_items).toBeDefined();
+    });
+
+    test('should reject invalid taxonomies', () => {
+        expect(validateTaxonomy([])).toEqual(['types must be a non-empty array']);
+
+        const errors = validateTaxonomy([
+            { type: 'bill', collection: 'bills', builtIn: true },
+            { type: 'bill', collection: 'pages', fields: {} },
+            { type: 'unknown', collection: 'unknowns', fields: { total: { type: 'money', labels: [] } } }
+        ]);
+
+        expect(errors).toEqual([
+            'types[1].type "bill" is used twice',
+            'types[1].collection "pages" is reserved',
+            'types[1].fields must describe at least one field',
+            'types[2].type "unknown" is reserved',
+            'types[2].fields.total.type must be one of string, number, amount, date',
+            'types[2].fields.total.labels must list at least one label'
+        ]);
+    });
+});
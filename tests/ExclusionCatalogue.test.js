@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const ExclusionCatalogue = require('../services/ExclusionCatalogue');
+
+describe('ExclusionCatalogue', () => {
+    let catalogue;
+    const config = () => ({
+        versions: [
+            { version: 1, effectiveFrom: '2024-01-01', excluded_items: ['protein supplement'], restricted_items: ['vitamins'] },
+            { version: 2, effectiveFrom: '2024-07-01', excluded_items: ['protein supplement', 'cosmetic surgery'], restricted_items: ['vitamins'] }
+        ],
+        auditLog: []
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        catalogue = new ExclusionCatalogue({ filePath: '/tmp/tnc-test.json', config: config() });
+    });
+
+    test('should reject invalid catalogues', () => {
+        expect(() => new ExclusionCatalogue({
+            config: { versions: [{ version: 1, effectiveFrom: '01/01/2024', excluded_items: ['ok', ''], synonyms: { a: 'b' } }] }
+        })).toThrow('versions[0].effectiveFrom must be a YYYY-MM-DD date; versions[0].excluded_items must be a list of phrases; ' +
+            'versions[0].synonyms must map phrases to lists of phrases');
+    });
+
+    test('should select the version in force on a date', () => {
+        expect(catalogue.selectVersion('2024-03-15').version).toBe(1);
+        expect(catalogue.selectVersion('2024-07-01').version).toBe(2);
+        expect(catalogue.selectVersion('2023-12-31').version).toBe(1);
+        expect(catalogue.getMatcher(catalogue.selectVersion('2024-03-15')).match({ name: 'Cosmetic surgery' })).toBeNull();
+    });
+
+    test('should publish a version with an audit entry and persist it', async () => {
+        const version = await catalogue.publish(
+            { restricted_items: ['vitamins', 'diet pills'] },
+            { changedBy: 'admin-7', note: 'Restrict diet pills', effectiveFrom: '2099-09-01' }
+        );
+
+        expect(version).toEqual(expect.objectContaining({
+            version: 3, effectiveFrom: '2099-09-01', createdBy: 'admin-7', excluded_items: ['protein supplement', 'cosmetic surgery']
+        }));
+        expect(catalogue.getAuditLog()).toEqual([expect.objectContaining({
+            version: 3,
+            basedOn: 2,
+            changedBy: 'admin-7',
+            changes: { restricted_items: { added: ['diet pills'], removed: [] } }
+        })]);
+
+        const written = JSON.parse(fs.writeFile.mock.calls[0][1]);
+        expect(written.versions.map(entry => entry.version)).toEqual([1, 2, 3]);
+        expect(fs.rename).toHaveBeenCalledWith('/tmp/tnc-test.json.tmp', '/tmp/tnc-test.json');
+    });
+
+    test('should not publish invalid changes', async () => {
+        await expect(catalogue.publish({ excluded_items: 'cosmetic', unknown_list: [] }, { changedBy: 'admin-7' }))
+            .rejects.toMatchObject({
+                validationErrors: ['excluded_items must be a list of phrases', 'unknown_list is not part of the catalogue']
+            });
+        await expect(catalogue.publish({ restricted_items: [] }, { changedBy: 'admin-7', effectiveFrom: '2024-08-01' }))
+            .rejects.toMatchObject({
+                validationErrors: ['effectiveFrom must be after today; claims already checked would change']
+            });
+        await expect(catalogue.publish({ restricted_items: [] }, { effectiveFrom: new Date().toISOString().slice(0, 10) }))
+            .rejects.toMatchObject({
+                validationErrors: ['changedBy is required', 'effectiveFrom must be after today; claims already checked would change']
+            });
+        expect(catalogue.getVersions()).toHaveLength(2);
+    });
+
+    test('should keep the current catalogue when a reload is invalid', async () => {
+        fs.readFile.mockResolvedValueOnce(JSON.stringify({ versions: [] }));
+        await expect(catalogue.reload()).rejects.toThrow('versions must be a non-empty array');
+        expect(catalogue.getVersions()).toHaveLength(2);
+
+        const updated = config();
+        updated.versions.push({ version: 3, effectiveFrom: '2024-08-01', excluded_items: [] });
+        fs.readFile.mockResolvedValueOnce(JSON.stringify(updated));
+        await expect(catalogue.reload()).resolves.toBe(3);
+        expect(catalogue.selectVersion('2024-08-15').version).toBe(3);
+    });
+
+    test('should reload the seed catalogue while nothing is published', async () => {
+        fs.readFile.mockRejectedValueOnce(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+        await expect(catalogue.reload()).resolves.toBe(require('../data/tnc_exclusions.json').versions.length);
+        expect(catalogue.store.filePath).toBe('/tmp/tnc-test.json');
+    });
+
+    test('should publish to its own file, not the seed', async () => {
+        await new ExclusionCatalogue().publish({ restricted_items: ['vitamins'] }, { changedBy: 'admin-7' });
+
+        expect(fs.rename).toHaveBeenCalledWith(
+            expect.stringMatching(/tnc_exclusions_published\.json\.tmp$/),
+            expect.stringMatching(/data\/tnc_exclusions_published\.json$/)
+        );
+    });
+});
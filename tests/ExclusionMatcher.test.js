@@ -0,0 +1,54 @@
+const ExclusionMatcher = require('../services/ExclusionMatcher');
+const { tokenize } = require('../services/ExclusionMatcher');
+
+describe('ExclusionMatcher', () => {
+    let matcher;
+
+    beforeEach(() => {
+        matcher = new ExclusionMatcher({
+            excluded_items: ['protein supplement', 'cosmetic procedure'],
+            excluded_procedures: ['plastic surgery'],
+            excluded_categories: ['supplement'],
+            restricted_items: ['vitamins', 'supplements'],
+            synonyms: { 'protein supplement': ['whey protein', 'protein powder'] },
+            allowed_items: ['fitness certificate', 'iron supplement']
+        });
+    });
+
+    test('should tokenize and stem names', () => {
+        expect(tokenize('Homeopathic Remedies 30C, 2 bottles')).toEqual(['homeopathic', 'remedy', '30c', 'bottle']);
+    });
+
+    test('should match through synonyms', () => {
+        expect(matcher.match({ name: 'Whey Protein Powder', type: 'medicine' })).toEqual({
+            outcome: 'excluded',
+            list: 'excluded_items',
+            reason: 'excluded_item',
+            rule: 'protein supplement',
+            score: 0.95
+        });
+    });
+
+    test('should tolerate typos but not unrelated words', () => {
+        expect(matcher.match({ name: 'Protien suplement' })).toEqual(expect.objectContaining({
+            rule: 'protein supplement', score: 0.88
+        }));
+        expect(matcher.match({ name: 'Plastc surgery' }).list).toBe('excluded_procedures');
+        expect(matcher.match({ name: 'Protein test', type: 'lab' })).toBeNull();
+    });
+
+    test('should report restricted items as needing approval', () => {
+        expect(matcher.match({ name: 'Vitamin D3 60K', type: 'medicine' })).toEqual(expect.objectContaining({
+            outcome: 'needs_approval', reason: 'restricted_item', rule: 'vitamins', score: 1
+        }));
+    });
+
+    test('should match categories against the item type', () => {
+        expect(matcher.match({ name: 'Vitamin pills', type: 'supplement' }).reason).toBe('excluded_category');
+    });
+
+    test('should let allow-listed items through', () => {
+        expect(matcher.match({ name: 'Iron supplement', type: 'supplement' }).outcome).toBe('allowed');
+        expect(matcher.match({ name: 'Medical fitness certificate' }).outcome).toBe('allowed');
+    });
+});
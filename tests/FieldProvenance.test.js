@@ -0,0 +1,94 @@
+const { buildFieldProvenance, isDefaulted } = require('../services/FieldProvenance');
+const { buildOcrLayout } = require('../services/OcrLayout');
+
+describe('FieldProvenance', () => {
+    const defaults = {
+        visit_reason: 'General consultation',
+        facility_address: 'Address not specified',
+        diagnosis: ['General consultation'],
+        total_paid_amount: 0
+    };
+
+    const textPage = { id: 'page-1', extractedText: 'Reason for visit: Fever and cough\nTotal: 1,200.00' };
+
+    test('should mark defaults and give them zero confidence', () => {
+        const fields = buildFieldProvenance('prescription', {
+            visit_reason: 'General consultation',
+            facility_address: 'Address not specified',
+            diagnosis: [],
+            prescription_number: null
+        }, [textPage], { defaults });
+
+        Object.values(fields).forEach(field => {
+            expect(field).toEqual(expect.objectContaining({ isDefault: true, confidence: 0, pageId: null, span: null }));
+        });
+    });
+
+    test('should locate values in page text with their character span', () => {
+        const fields = buildFieldProvenance('bill', {
+            visit_reason: 'Fever and cough',
+            total_paid_amount: 1200
+        }, [textPage], { defaults });
+
+        expect(fields.visit_reason).toEqual(expect.objectContaining({ isDefault: false, pageId: 'page-1', confidence: 0.8, source: 'deterministic' }));
+        expect(fields.visit_reason.span).toEqual(expect.objectContaining({ text: 'Fever and cough', start: 18 }));
+        expect(fields.total_paid_amount.span.text).toBe('1,200.00');
+    });
+
+    test('should use OCR word boxes and confidences when the page has them', () => {
+        const ocrPage = {
+            id: 'page-2',
+            extractedText: 'Dr. Mehta',
+            ocr: buildOcrLayout({
+                lines: [{
+                    text: 'Dr. Mehta',
+                    confidence: 70,
+                    bbox: { x0: 0, y0: 0, x1: 100, y1: 20 },
+                    words: [
+                        { text: 'Dr.', confidence: 90, bbox: { x0: 0, y0: 0, x1: 30, y1: 20 } },
+                        { text: 'Mehta', confidence: 50, bbox: { x0: 40, y0: 0, x1: 100, y1: 20 } }
+                    ]
+                }]
+            })
+        };
+
+        const fields = buildFieldProvenance('prescription', { doctor_name: 'Mehta' }, [ocrPage], { defaults });
+
+        expect(fields.doctor_name.span.bbox).toEqual({ x0: 40, y0: 0, x1: 100, y1: 20 });
+        expect(fields.doctor_name.confidence).toBe(0.4);
+    });
+
+    test('should lower confidence for values that cannot be located and use date confidence', () => {
+        const fields = buildFieldProvenance('bill', {
+            facility_name: 'Sunrise Hospital',
+            bill_date: '2024-03-12',
+            date_details: { bill_date: { raw: '12-Mar-2024', confidence: 0.95 } }
+        }, [{ id: 'page-1', extractedText: 'Bill Date: 12-Mar-2024' }], { defaults, fieldSources: { facility_name: 'llm' } });
+
+        expect(fields.facility_name).toEqual(expect.objectContaining({ source: 'llm', confidence: 0.45, pageId: null }));
+        expect(fields.bill_date).toEqual(expect.objectContaining({ confidence: 0.95, pageId: 'page-1' }));
+        expect(fields.date_details).toBeUndefined();
+    });
+
+    test('should describe array elements individually', () => {
+        const fields = buildFieldProvenance('bill', {
+            line_items: [
+                { name: 'CBC', final: 300, source: { pageId: 'page-3', line: 4, bbox: { x0: 1, y0: 2, x1: 3, y1: 4 } } },
+                { name: 'Not printed anywhere', final: 20 }
+            ]
+        }, [textPage], { defaults });
+
+        expect(fields.line_items.pageId).toBe('page-3');
+        expect(fields.line_items.items[0]).toEqual(expect.objectContaining({ pageId: 'page-3', confidence: 0.8 }));
+        expect(fields.line_items.items[1]).toEqual(expect.objectContaining({ pageId: null, confidence: 0.48 }));
+        expect(fields.line_items.confidence).toBe(0.64);
+    });
+
+    test('isDefaulted should read the stored provenance', () => {
+        const document = { extraction: { fields: { visit_reason: { isDefault: true } } } };
+
+        expect(isDefaulted(document, 'visit_reason')).toBe(true);
+        expect(isDefaulted(document, 'doctor_name')).toBe(false);
+        expect(isDefaulted({ extractedData: {} }, 'visit_reason')).toBe(false);
+    });
+});
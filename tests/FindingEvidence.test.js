@@ -0,0 +1,90 @@
+const { targetsFromDetails, collectReferences } = require('../services/FindingEvidence');
+const Claim = require('../models/Claim');
+
+describe('FindingEvidence', () => {
+    const totalBox = { x0: 400, y0: 900, x1: 480, y1: 920 };
+    const itemBox = { x0: 40, y0: 300, x1: 560, y1: 320 };
+    const claim = new Claim({
+        pages: [
+            { id: 'page-1', pageNumber: 1, documentType: 'bill' },
+            { id: 'page-2', pageNumber: 2, documentType: 'bill' },
+            { id: 'page-3', pageNumber: 3, documentType: 'unknown' }
+        ],
+        bills: [{
+            id: 'bill-1',
+            pages: [{ id: 'page-1' }, { id: 'page-2' }],
+            extractedData: {
+                line_items: [{ name: 'Whey Protein', final: 1200 }],
+                total_paid_amount: 1200
+            },
+            extraction: {
+                fields: {
+                    total_paid_amount: {
+                        pageId: 'page-2',
+                        span: { pageId: 'page-2', text: '1,200.00', start: 812, end: 820, bbox: totalBox, confidence: 91 }
+                    },
+                    line_items: {
+                        pageId: 'page-1',
+                        items: [{ pageId: 'page-1', span: { pageId: 'page-1', text: 'Whey Protein', bbox: itemBox } }]
+                    },
+                    visit_reason: { pageId: null, span: null, isDefault: true }
+                }
+            }
+        }]
+    });
+
+    test('should read targets from check details', () => {
+        expect(targetsFromDetails([
+            { billId: 'bill-1', itemIndex: 0, item: 'Whey Protein' },
+            { documentId: 'bill-1', field: 'bill_date' },
+            { documentId: 'bill-1', values: { 'document.total_paid_amount': 1200, 'item.final': 1200, 'claim.totalAmount': 1200 }, itemIndex: 0 },
+            { pageId: 'page-3', lowConfidenceRegions: [{ bbox: itemBox }] }
+        ])).toEqual([
+            { documentId: 'bill-1', field: 'line_items', itemIndex: 0 },
+            { documentId: 'bill-1', field: 'bill_date' },
+            { documentId: 'bill-1', field: 'total_paid_amount' },
+            { documentId: 'bill-1', field: 'line_items', property: 'final', itemIndex: 0 },
+            { pageId: 'page-3', regions: [{ bbox: itemBox }] }
+        ]);
+        expect(targetsFromDetails({ billId: 'bill-1' }, { fields: { billId: ['total_paid_amount'] } }))
+            .toEqual([{ documentId: 'bill-1', field: 'total_paid_amount' }]);
+    });
+
+    test('should resolve targets to pages, field paths, spans and OCR boxes', () => {
+        expect(collectReferences(claim, [
+            { documentId: 'bill-1', field: 'total_paid_amount' },
+            { documentId: 'bill-1', field: 'line_items', itemIndex: 0 },
+            { documentId: 'bill-1', field: 'total_paid_amount' }
+        ])).toEqual([
+            {
+                documentId: 'bill-1',
+                documentType: 'bill',
+                pageIds: ['page-2'],
+                field: 'total_paid_amount',
+                path: 'total_paid_amount',
+                span: { pageId: 'page-2', text: '1,200.00', start: 812, end: 820, bbox: totalBox, confidence: 91 },
+                boxes: [totalBox]
+            },
+            {
+                documentId: 'bill-1',
+                documentType: 'bill',
+                pageIds: ['page-1'],
+                field: 'line_items',
+                path: 'line_items[0]',
+                span: { pageId: 'page-1', text: 'Whey Protein', bbox: itemBox },
+                boxes: [itemBox]
+            }
+        ]);
+    });
+
+    test('should fall back to the document pages when a value was not located', () => {
+        const [reference, page] = collectReferences(claim, [
+            { documentId: 'bill-1', field: 'visit_reason' },
+            { pageId: 'page-3', regions: [{ bbox: itemBox }] },
+            { documentId: 'bill-9', field: 'total_paid_amount' }
+        ]);
+
+        expect(reference).toEqual(expect.objectContaining({ pageIds: ['page-1', 'page-2'], path: 'visit_reason', span: null, boxes: [] }));
+        expect(page).toEqual(expect.objectContaining({ documentId: null, documentType: 'unknown', pageIds: ['page-3'], boxes: [itemBox] }));
+    });
+});
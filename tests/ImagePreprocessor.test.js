@@ -0,0 +1,79 @@
+const sharp = require('sharp');
+const ImagePreprocessor = require('../services/ImagePreprocessor');
+
+describe('ImagePreprocessor', () => {
+    let preprocessor;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        preprocessor = new ImagePreprocessor();
+    });
+
+    describe('resolveOptions', () => {
+        test('should merge known overrides and ignore unknown keys', () => {
+            const options = preprocessor.resolveOptions({ threshold: false, minWidth: 900, unknownStep: true });
+            expect(options.threshold).toBe(false);
+            expect(options.minWidth).toBe(900);
+            expect(options).not.toHaveProperty('unknownStep');
+        });
+    });
+
+    describe('estimateSkewAngle', () => {
+        test('should find the rotation that levels a tilted text line', () => {
+            const width = 200;
+            const height = 120;
+            const data = Buffer.alloc(width * height, 255);
+            const slope = Math.tan(3 * Math.PI / 180);
+            for (let x = 0; x < width; x++) {
+                data[Math.round(50 + x * slope) * width + x] = 0;
+            }
+
+            expect(preprocessor.estimateSkewAngle(data, width, height)).toBe(-3);
+        });
+
+        test('should return 0 for a blank page', () => {
+            expect(preprocessor.estimateSkewAngle(Buffer.alloc(100, 255), 10, 10)).toBe(0);
+        });
+    });
+
+    describe('adaptiveThreshold', () => {
+        test('should keep dark text under a shadow and whiten the background', () => {
+            const width = 40;
+            const height = 1;
+            // Background fades from bright to shadowed; text is darker than its surroundings
+            const data = Buffer.from(Array.from({ length: width }, (_, x) => 230 - x * 3));
+            data[5] = 120;
+            data[35] = 40;
+
+            const output = preprocessor.adaptiveThreshold(data, width, height);
+            expect(output[5]).toBe(0);
+            expect(output[35]).toBe(0);
+            expect(output[20]).toBe(255);
+        });
+    });
+
+    describe('preprocess', () => {
+        test('should skip all steps when disabled', async () => {
+            const result = await preprocessor.preprocess('uploads/receipt.jpg', { enabled: false });
+            expect(result).toEqual({ buffer: null, steps: [] });
+            expect(sharp).not.toHaveBeenCalled();
+        });
+
+        test('should record the steps applied to a rotated low-resolution photo', async () => {
+            const pipeline = sharp();
+            pipeline.metadata.mockResolvedValueOnce({ width: 600, height: 800, orientation: 6 });
+            pipeline.metadata.mockResolvedValueOnce({ width: 600, height: 800 });
+            pipeline.toBuffer.mockImplementation(async (options) => (
+                options && options.resolveWithObject
+                    ? { data: Buffer.alloc(16, 255), info: { width: 4, height: 4 } }
+                    : Buffer.from('image')
+            ));
+
+            const result = await preprocessor.preprocess('uploads/receipt.jpg');
+
+            expect(result.buffer).toBeInstanceOf(Buffer);
+            expect(result.steps.map(s => s.step)).toEqual(['autoRotate', 'grayscale', 'upscale', 'normalize', 'threshold']);
+            expect(result.steps[2]).toEqual({ step: 'upscale', fromWidth: 600, factor: 2.5 });
+        });
+    });
+});
@@ -0,0 +1,62 @@
+const { buildOcrLayout, findTextSpan } = require('../services/OcrLayout');
+
+// Tesseract-shaped result: lines hold their words and words point back at lines
+function tesseractResult() {
+    const lines = [
+        { text: 'Bill No: 42\n', confidence: 91, bbox: { x0: 10, y0: 10, x1: 200, y1: 30 }, words: [] },
+        { text: 'Total 450.00\n', confidence: 38, bbox: { x0: 10, y0: 40, x1: 180, y1: 60 }, words: [] }
+    ];
+    lines[0].words = [
+        { text: 'Bill', confidence: 95, bbox: { x0: 10, y0: 10, x1: 50, y1: 30 } },
+        { text: 'No:', confidence: 90, bbox: { x0: 55, y0: 10, x1: 90, y1: 30 } },
+        { text: '42', confidence: 88, bbox: { x0: 95, y0: 10, x1: 120, y1: 30 } }
+    ];
+    lines[1].words = [
+        { text: 'Total', confidence: 41, bbox: { x0: 10, y0: 40, x1: 70, y1: 60 } },
+        { text: '450.00', confidence: 35, bbox: { x0: 80, y0: 40, x1: 180, y1: 60 } }
+    ];
+    lines.forEach(line => line.words.forEach(word => { word.line = line; }));
+    return { text: 'Bill No: 42\nTotal 450.00\n', confidence: 70, lines, words: lines.flatMap(l => l.words) };
+}
+
+describe('OcrLayout', () => {
+    describe('buildOcrLayout', () => {
+        test('should keep serializable word and line geometry with confidences', () => {
+            const layout = buildOcrLayout(tesseractResult());
+
+            expect(layout.wordCount).toBe(5);
+            expect(layout.words[3]).toEqual({ text: 'Total', confidence: 41, bbox: { x0: 10, y0: 40, x1: 70, y1: 60 }, line: 1 });
+            expect(layout.lines[1]).toEqual(expect.objectContaining({ text: 'Total 450.00', wordStart: 3, wordEnd: 5 }));
+            expect(layout.confidence).toBe(69.8);
+            expect(() => JSON.stringify(layout)).not.toThrow();
+        });
+
+        test('should flag lines below the confidence threshold', () => {
+            const layout = buildOcrLayout(tesseractResult());
+
+            expect(layout.lowConfidenceRegions).toHaveLength(1);
+            expect(layout.lowConfidenceRegions[0]).toEqual(expect.objectContaining({ line: 1, confidence: 38 }));
+        });
+    });
+
+    describe('findTextSpan', () => {
+        test('should locate a value among OCR words and return its box', () => {
+            const page = { id: 'page-1', ocr: buildOcrLayout(tesseractResult()) };
+            const span = findTextSpan(page, 'no: 42');
+
+            expect(span).toEqual({
+                pageId: 'page-1',
+                text: 'No: 42',
+                wordStart: 1,
+                wordEnd: 3,
+                bbox: { x0: 55, y0: 10, x1: 120, y1: 30 },
+                confidence: 88
+            });
+        });
+
+        test('should return null when the page has no OCR layout or no match', () => {
+            expect(findTextSpan({ id: 'page-1', ocr: null }, '42')).toBeNull();
+            expect(findTextSpan({ id: 'page-1', ocr: buildOcrLayout(tesseractResult()) }, 'aspirin')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const PageClassifier = require('../services/PageClassifier');
+const { getDocumentTypes } = require('../services/DocumentTaxonomy');
+
+describe('PageClassifier', () => {
+    let classifier;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        classifier = new PageClassifier({ filePath: '/tmp/page_classifier.json' });
+    });
+
+    test('should classify pages with the seed model', () => {
+        expect(classifier.classify('Dr. Mehta Rx Tab Paracetamol 650 mg 1-0-1 for 5 days').type).toBe('prescription');
+        expect(classifier.classify('Tax Invoice Bill No 4411 Grand Total 409.50 CGST SGST').type).toBe('bill');
+        expect(classifier.classify('Haemoglobin 11.2 g/dL reference range 13.0-17.0 Low').type).toBe('report');
+    });
+
+    test('should explain the classification and report probabilities for every type', () => {
+        const result = classifier.classify('Invoice No 12 Total amount 500 paid by UPI');
+
+        expect(result.reason).toMatch(/^Classified as bill from terms: /);
+        expect(Object.keys(result.scores).sort()).toEqual(getDocumentTypes().map(definition => definition.type).sort());
+        expect(Object.values(result.scores).reduce((a, b) => a + b, 0)).toBeCloseTo(1, 2);
+    });
+
+    test('should send weak or unrecognisable pages to the unknown bucket', () => {
+        const weak = classifier.classify('Doctor');
+        expect(weak).toEqual(expect.objectContaining({ type: 'unknown', needsReview: true }));
+        expect(weak.predictedType).not.toBeNull();
+        expect(weak.confidence).toBeLessThan(0.6);
+
+        expect(classifier.classify('zzqx')).toEqual(expect.objectContaining({
+            type: 'unknown', confidence: 0, predictedType: null, needsReview: true
+        }));
+    });
+
+    test('should not be confident about a single generic keyword', () => {
+        expect(classifier.classify('Total').confidence).toBeLessThan(0.9);
+    });
+
+    test('should classify pages of configured taxonomy types', () => {
+        expect(classifier.classify('Discharge summary Date of admission 02/03/2024 Date of discharge 06/03/2024 Final diagnosis dengue fever').type).toBe('discharge_summary');
+        expect(classifier.classify('Member ID card Policy number HL-2024-1 Valid upto 31/03/2025 Insured name').type).toBe('id_card');
+    });
+
+    test('should fit a calibration temperature and leave-one-out accuracy', () => {
+        const status = classifier.getStatus();
+
+        expect(status.temperature).toBeGreaterThanOrEqual(1);
+        expect(status.accuracy).toBeGreaterThan(0.8);
+        expect(status.exampleCounts).toEqual(expect.objectContaining({ prescription: expect.any(Number), bill: expect.any(Number), report: expect.any(Number) }));
+    });
+
+    test('should learn from reviewer-labelled pages when retrained', async () => {
+        const text = 'Ambulance transport kilometres driver ambulance charges pickup drop';
+        const before = classifier.classify(text);
+
+        await classifier.addExample(text, 'bill', { pageId: 'page-1', claimId: 'claim-1' });
+        await classifier.addExample('Ambulance kilometres driver pickup', 'bill', { pageId: 'page-2' });
+        expect(classifier.classify(text)).toEqual(before);
+        expect(classifier.getStatus().pendingExamples).toBe(2);
+
+        const status = await classifier.retrain();
+
+        expect(classifier.classify(text).type).toBe('bill');
+        expect(status).toEqual(expect.objectContaining({ reviewerExamples: 2, pendingExamples: 0 }));
+        expect(fs.writeFile).toHaveBeenCalled();
+    });
+
+    test('should replace an earlier label for the same page', async () => {
+        await classifier.addExample('Rx Tab Dolo', 'bill', { pageId: 'page-1' });
+        await classifier.addExample('Rx Tab Dolo', 'prescription', { pageId: 'page-1', source: 'confirmation' });
+
+        expect(classifier.examples).toEqual([expect.objectContaining({ type: 'prescription', source: 'confirmation' })]);
+    });
+
+    test('should load reviewer examples and the retrained model', async () => {
+        const model = classifier.train([
+            ...classifier.seedExamples,
+            { type: 'bill', text: 'ambulance charges' }
+        ]);
+        fs.readFile.mockResolvedValueOnce(JSON.stringify({
+            examples: [{ pageId: 'page-1', type: 'bill', text: 'ambulance charges' }],
+            model
+        }));
+
+        expect(await classifier.load()).toBe(1);
+        expect(classifier.classify('ambulance').predictedType).toBe('bill');
+    });
+
+    test('should retrain a stored model that predates a taxonomy type', async () => {
+        const model = classifier.train([
+            { type: 'bill', text: 'ambulance charges' },
+            { type: 'report', text: 'scan findings' }
+        ]);
+        fs.readFile.mockResolvedValueOnce(JSON.stringify({
+            examples: [{ pageId: 'page-1', type: 'bill', text: 'ambulance charges' }],
+            model
+        }));
+
+        await classifier.load();
+
+        expect(Object.keys(classifier.model.classes)).toEqual(expect.arrayContaining(['discharge_summary', 'id_card']));
+        expect(classifier.model.exampleCounts.bill).toBe(model.exampleCounts.bill + classifier.seedExamples.filter(e => e.type === 'bill').length);
+    });
+});
@@ -0,0 +1,76 @@
+const fs = require('fs').promises;
+const pdfParse = require('pdf-parse');
+const { fromPath } = require('pdf2pic');
+const PdfPageSplitter = require('../services/PdfPageSplitter');
+
+jest.mock('pdf2pic', () => ({
+    fromPath: jest.fn()
+}));
+
+// Build a fake pdf.js page whose text items sit on separate lines
+function mockPage(pageIndex, lines) {
+    return {
+        pageIndex,
+        getTextContent: jest.fn().mockResolvedValue({
+            items: lines.map((str, i) => ({ str, transform: [1, 0, 0, 1, 50, 700 - i * 20] }))
+        })
+    };
+}
+
+describe('PdfPageSplitter', () => {
+    let splitter;
+    const pdfFile = {
+        filename: '123-hospital.pdf',
+        originalname: 'hospital.pdf',
+        mimetype: 'application/pdf',
+        size: 2048,
+        path: 'uploads/123-hospital.pdf'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        splitter = new PdfPageSplitter({ outputDir: 'uploads' });
+        fs.readFile.mockResolvedValue(Buffer.from('%PDF'));
+        pdfParse.mockImplementation(async (buffer, options) => {
+            await options.pagerender(mockPage(0, ['Prescription', 'Dr. Sharma']));
+            await options.pagerender(mockPage(1, ['Bill No: 42', 'Total: 450']));
+            return { numpages: 2, text: '' };
+        });
+    });
+
+    test('should keep image uploads as a single page', async () => {
+        const pages = await splitter.expandUpload({ ...pdfFile, mimetype: 'image/png', path: 'uploads/rx.png' });
+        expect(pages).toHaveLength(1);
+        expect(pages[0].path).toBe('uploads/rx.png');
+    });
+
+    test('should explode a PDF into rendered pages with their own text', async () => {
+        fromPath.mockImplementation((filePath, options) => jest.fn(async (page) => ({
+            name: `${options.saveFilename}.${page}.png`,
+            path: `uploads/${options.saveFilename}.${page}.png`,
+            fileSize: 100
+        })));
+
+        const pages = await splitter.expandUpload(pdfFile);
+
+        expect(pages).toHaveLength(2);
+        expect(pages[0].mimetype).toBe('image/png');
+        expect(pages[0].path).toBe('uploads/123-hospital-page.1.png');
+        expect(pages[1].thumbnailPath).toBe('uploads/123-hospital-thumb.2.png');
+        expect(pages[1].embeddedText).toBe('Bill No: 42\nTotal: 450');
+        expect(pages[1].source).toEqual(expect.objectContaining({ pageNumber: 2, pageCount: 2, path: pdfFile.path }));
+    });
+
+    test('should fall back to the PDF itself when rendering is unavailable', async () => {
+        fromPath.mockImplementation(() => jest.fn().mockRejectedValue(new Error('gm not found')));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const pages = await splitter.expandUpload(pdfFile);
+
+        expect(pages).toHaveLength(2);
+        expect(pages[0].mimetype).toBe('application/pdf');
+        expect(pages[0].path).toBe(pdfFile.path);
+        expect(pages[0].embeddedText).toBe('Prescription\nDr. Sharma');
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,92 @@
+const Policy = require('../models/Policy');
+
+describe('Policy', () => {
+    let policy;
+
+    beforeEach(() => {
+        policy = new Policy({
+            policyNumber: 'SH-1001',
+            insurer: 'Star Health',
+            startDate: '2024-01-01',
+            endDate: '2024-12-31',
+            sumInsured: 100000,
+            members: [
+                { id: 'member-1', name: 'Ravi Kumar' },
+                { id: 'member-2', name: 'Meena Kumar', relationship: 'spouse', coveredFrom: '2024-06-01' }
+            ]
+        });
+    });
+
+    describe('validate', () => {
+        test('should accept a complete policy', () => {
+            expect(Policy.validate(policy.toJSON())).toEqual([]);
+        });
+
+        test('should report missing and malformed fields', () => {
+            const errors = Policy.validate({
+                policyNumber: '',
+                insurer: 'Star Health',
+                startDate: '2024-12-31',
+                endDate: '2024-01-01',
+                sumInsured: 0,
+                members: [{ name: 'Ravi', coveredFrom: '01/06/2024' }],
+                waitingPeriods: [{ days: -1 }]
+            });
+
+            expect(errors).toEqual([
+                'policyNumber is required',
+                'startDate must not be after endDate',
+                'sumInsured must be a positive amount',
+                'members[0].coveredFrom must be a YYYY-MM-DD date',
+                'waitingPeriods[0].days must be a non-negative whole number'
+            ]);
+        });
+    });
+
+    describe('members and coverage', () => {
+        test('should find members by id or by name', () => {
+            expect(policy.findMember('member-2').name).toBe('Meena Kumar');
+            expect(policy.findMember(null, ' ravi kumar ').id).toBe('member-1');
+            expect(policy.findMember('member-9', 'Ravi Kumar')).toBeNull();
+        });
+
+        test('should cover members from the later of policy start and joining date', () => {
+            const [ravi, meena] = policy.members;
+
+            expect(policy.covers(ravi, '2024-01-01')).toBe(true);
+            expect(policy.covers(meena, '2024-03-15')).toBe(false);
+            expect(policy.covers(meena, '2024-06-01')).toBe(true);
+            expect(policy.covers(ravi, '2025-01-01')).toBe(false);
+        });
+    });
+
+    describe('utilization', () => {
+        test('should track the balance and replace repeated approvals of a claim', () => {
+            policy.recordUtilization('claim-1', 'member-1', 25000);
+            policy.recordUtilization('claim-2', 'member-2', 10000.5);
+            policy.recordUtilization('claim-1', 'member-1', 20000);
+
+            expect(policy.utilization).toHaveLength(2);
+            expect(policy.getUtilized()).toBe(30000.5);
+            expect(policy.getBalance()).toBe(69999.5);
+            expect(policy.getBalance('claim-2')).toBe(80000);
+        });
+
+        test('should count only claims approved before a given time', () => {
+            policy.utilization = [
+                { claimId: 'claim-1', memberId: 'member-1', amount: 25000, approvedAt: '2024-03-01T10:00:00.000Z' },
+                { claimId: 'claim-2', memberId: 'member-2', amount: 10000, approvedAt: '2024-05-01T10:00:00.000Z' },
+                { claimId: 'claim-3', memberId: 'member-1', amount: 5000 }
+            ];
+
+            expect(policy.getUtilized(null, '2024-04-01T00:00:00.000Z')).toBe(30000);
+            expect(policy.getBalance('claim-1', '2024-04-01T00:00:00.000Z')).toBe(95000);
+            expect(policy.getUtilized()).toBe(40000);
+        });
+
+        test('should not report a negative balance', () => {
+            policy.recordUtilization('claim-1', 'member-1', 150000);
+            expect(policy.toJSON().balance).toBe(0);
+        });
+    });
+});
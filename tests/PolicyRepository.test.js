@@ -0,0 +1,44 @@
+const fs = require('fs').promises;
+const PolicyRepository = require('../services/PolicyRepository');
+const Policy = require('../models/Policy');
+const Claim = require('../models/Claim');
+
+describe('PolicyRepository', () => {
+    let repository;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        repository = new PolicyRepository({ filePath: '/tmp/policies-test.json' });
+    });
+
+    test('should rehydrate persisted records as Policy instances', async () => {
+        fs.readFile.mockResolvedValueOnce(JSON.stringify([
+            { id: 'policy-1', policyNumber: 'SH-1001', sumInsured: 100000, utilization: [{ claimId: 'claim-1', amount: 4000 }] }
+        ]));
+
+        const count = await repository.load();
+        const policy = repository.findByPolicyNumber(' sh-1001 ');
+
+        expect(count).toBe(1);
+        expect(policy).toBeInstanceOf(Policy);
+        expect(policy.getBalance()).toBe(96000);
+    });
+
+    test('should link claims to members by id or patient name', async () => {
+        await repository.add(new Policy({
+            policyNumber: 'SH-1001',
+            members: [{ id: 'member-1', name: 'Ravi Kumar' }]
+        }));
+
+        const byName = new Claim({ patientName: 'Ravi Kumar', policyNumber: 'sh-1001' });
+        const unknown = new Claim({ patientName: 'Someone Else', policyNumber: 'SH-1001' });
+        const coverage = repository.linkClaim(byName);
+        repository.linkClaim(unknown);
+
+        expect(coverage.member.id).toBe('member-1');
+        expect(byName.policyNumber).toBe('SH-1001');
+        expect(byName.memberId).toBe('member-1');
+        expect(unknown.memberId).toBeNull();
+        expect(fs.rename).toHaveBeenCalledWith('/tmp/policies-test.json.tmp', '/tmp/policies-test.json');
+    });
+});
@@ -0,0 +1,224 @@
+const RuleEngine = require('../services/RuleEngine');
+const Claim = require('../models/Claim');
+
+describe('RuleEngine', () => {
+    const baseRule = { list: 'warnings', severity: 'warning', message: '{{count}} issues.' };
+    const config = {
+        ruleSets: [
+            {
+                id: 'default',
+                version: 1,
+                default: true,
+                rules: [
+                    { ...baseRule, id: 'sign_seal', check: 'missing_sign_seal' },
+                    { ...baseRule, id: 'specialist_only', check: 'visit_reason', claimSubtypes: ['specialist'] }
+                ]
+            },
+            {
+                id: 'acme',
+                version: 1,
+                insurers: ['Acme Health'],
+                extends: 'default',
+                rules: [{ id: 'sign_seal', enabled: false }]
+            },
+            {
+                id: 'acme',
+                version: 2,
+                insurers: ['Acme Health'],
+                extends: 'default',
+                rules: [
+                    { id: 'sign_seal', list: 'errors', severity: 'error' },
+                    {
+                        ...baseRule,
+                        id: 'costly_items',
+                        documentType: 'bill',
+                        items: 'line_items',
+                        condition: {
+                            all: [
+                                { field: 'item.final', op: 'gt', value: 1000 },
+                                { not: { field: 'item.type', op: 'eq', value: 'lab' } }
+                            ]
+                        },
+                        message: '{{count}} line items over 1000 for {{insurer}}.'
+                    },
+                    {
+                        ...baseRule,
+                        id: 'summary_required',
+                        requiredDocuments: ['discharge_summary', 'bill'],
+                        when: { field: 'claim.totalAmount', op: 'gte', value: 5000 },
+                        message: 'Missing {{missing}}.'
+                    }
+                ]
+            }
+        ]
+    };
+
+    const engine = new RuleEngine({ config, checks: ['missing_sign_seal', 'visit_reason'] });
+
+    const claim = new Claim({
+        insurer: 'Acme Health',
+        bills: [{
+            id: 'bill-1',
+            extractedData: {
+                line_items: [
+                    { name: 'Room rent', type: 'medicine', final: 4000 },
+                    { name: 'MRI scan', type: 'lab', final: 6000 },
+                    { name: 'Syringes', type: 'medicine', final: 200 }
+                ],
+                total_paid_amount: 10200
+            }
+        }]
+    });
+
+    test('should select the latest rule set of the insurer and fall back to the default', () => {
+        expect(engine.selectRuleSet(' acme health ')).toEqual(expect.objectContaining({ id: 'acme', version: 2 }));
+        expect(engine.selectRuleSet('Other Insurance').id).toBe('default');
+        expect(engine.selectRuleSet('').id).toBe('default');
+    });
+
+    test('should override inherited rules by id and append new ones', () => {
+        const rules = engine.selectRuleSet('Acme Health').rules;
+
+        expect(rules.map(rule => rule.id)).toEqual(['sign_seal', 'specialist_only', 'costly_items', 'summary_required']);
+        expect(rules[0]).toEqual(expect.objectContaining({ check: 'missing_sign_seal', list: 'errors', severity: 'error' }));
+    });
+
+    test('should evaluate built-in checks, conditions and required documents', () => {
+        const runCheck = jest.fn().mockReturnValue({ details: [{ prescriptionId: 'p-1' }] });
+        const facts = engine.buildFacts(claim, { subtype: 'medical', totalAmount: 10200 });
+
+        const failed = engine.run(engine.selectRuleSet('Acme Health'), claim, facts, runCheck)
+            .filter(({ status }) => status === 'failed');
+        const findings = failed.map(({ rule, result }) => engine.buildFinding(rule, result, facts));
+
+        expect(runCheck).toHaveBeenCalledTimes(1);
+        expect(runCheck).toHaveBeenCalledWith('missing_sign_seal');
+        expect(failed.map(({ rule }, index) => [rule.list, findings[index].ruleId, findings[index].message])).toEqual([
+            ['errors', 'sign_seal', '1 issues.'],
+            ['warnings', 'costly_items', '1 line items over 1000 for Acme Health.'],
+            ['warnings', 'summary_required', 'Missing Discharge summary.']
+        ]);
+        expect(findings[1].details).toEqual([{
+            documentId: 'bill-1',
+            documentType: 'bill',
+            itemIndex: 0,
+            values: { 'item.final': 4000, 'item.type': 'medicine' }
+        }]);
+    });
+
+    test('should skip rules whose precondition does not hold', () => {
+        const facts = engine.buildFacts(claim, { subtype: 'medical', totalAmount: 100 });
+        const results = engine.run(engine.selectRuleSet('Acme Health'), claim, facts, () => null);
+
+        expect(results.filter(({ status }) => status === 'failed').map(({ rule }) => rule.id)).toEqual(['costly_items']);
+    });
+
+    test('should report passed, failed and skipped rules with a reason', () => {
+        const facts = engine.buildFacts(claim, { subtype: 'medical', totalAmount: 100 });
+        const results = engine.run(engine.selectRuleSet('Acme Health'), claim, facts, () => ({ skipped: 'No signature data' }));
+
+        expect(results.map(({ rule, status, reason }) => [rule.id, status, reason])).toEqual([
+            ['sign_seal', 'skipped', 'No signature data'],
+            ['specialist_only', 'skipped', 'Applies to specialist claims only'],
+            ['costly_items', 'failed', null],
+            ['summary_required', 'skipped', 'Precondition not met: claim.totalAmount gte 5000']
+        ]);
+    });
+
+    test('should build unified findings with evidence and the amount affected', () => {
+        const facts = engine.buildFacts(claim, { subtype: 'medical', totalAmount: 10200 });
+        const [, , costly, summary] = engine.run(engine.selectRuleSet('Acme Health'), claim, facts, () => null);
+
+        expect(engine.buildUnifiedFinding(costly.rule, costly.result, facts)).toEqual({
+            code: 'costly_items',
+            check: 'condition',
+            severity: 'warning',
+            message: '1 line items over 1000 for Acme Health.',
+            evidence: [expect.objectContaining({ documentId: 'bill-1', itemIndex: 0 })],
+            amount: 4000
+        });
+        expect(engine.buildUnifiedFinding(summary.rule, summary.result, facts)).toEqual(expect.objectContaining({
+            code: 'summary_required', check: 'required_documents', amount: null
+        }));
+    });
+
+    test('should pick the versions in force on a date', () => {
+        const dated = new RuleEngine({
+            checks: ['missing_sign_seal'],
+            config: {
+                ruleSets: [
+                    { id: 'default', version: 1, default: true, rules: [{ ...baseRule, id: 'sign_seal', check: 'missing_sign_seal' }] },
+                    { id: 'default', version: 2, default: true, effectiveFrom: '2024-07-01', rules: [] },
+                    { id: 'acme', version: 1, insurers: ['Acme Health'], extends: 'default', effectiveTo: '2024-03-31', rules: [] }
+                ]
+            }
+        });
+
+        expect(dated.selectRuleSet('Acme Health', '2024-03-31')).toEqual(expect.objectContaining({
+            id: 'acme', version: 1, effectiveTo: '2024-03-31', rules: [expect.objectContaining({ id: 'sign_seal' })]
+        }));
+        expect(dated.selectRuleSet('Acme Health', '2024-04-01')).toEqual(expect.objectContaining({ id: 'default', version: 1 }));
+        expect(dated.selectRuleSet('Acme Health', '2024-07-01')).toEqual(expect.objectContaining({ id: 'default', version: 2 }));
+        expect(dated.getRuleSets('2024-01-15').map(set => set.id)).toEqual(['default', 'acme']);
+    });
+
+    test('should require a default rule set on every date', () => {
+        expect(() => new RuleEngine({
+            config: { ruleSets: [{ id: 'default', version: 1, default: true, effectiveFrom: '2024-01-01', effectiveTo: '2023-12-31', rules: [] }] }
+        })).toThrow('ruleSets[0].effectiveFrom must not be after effectiveTo');
+        expect(() => new RuleEngine({
+            config: { ruleSets: [{ id: 'default', version: 1, default: true, effectiveFrom: '2024-01-01', rules: [] }] }
+        })).toThrow('no default ruleSets entry is in force on 0001-01-01');
+    });
+
+    test('should reject invalid rule sets', () => {
+        expect(() => new RuleEngine({ config: { ruleSets: [] } })).toThrow('ruleSets must be a non-empty array');
+        expect(() => new RuleEngine({
+            config: {
+                ruleSets: [{
+                    id: 'default',
+                    version: 1,
+                    default: true,
+                    rules: [
+                        { ...baseRule, id: 'a', check: 'nope' },
+                        { ...baseRule, id: 'b', condition: { field: 'total', op: 'approx' }, severity: 'fatal' },
+                        { ...baseRule, id: 'c', requiredDocuments: ['x-ray'] }
+                    ]
+                }]
+            }
+        })).toThrow([
+            'Invalid business rules: default.rules[0] (a): unknown check "nope"',
+            'default.rules[1] (b): condition.field must start with claim., document. or item.',
+            'default.rules[1] (b): condition.op must be one of eq, ne, gt, gte, lt, lte, in, not_in, contains, matches, exists, missing',
+            'default.rules[1] (b): severity must be one of info, warning, error',
+            'default.rules[2] (c): requiredDocuments must list document types from the taxonomy'
+        ].join('; '));
+    });
+
+    test('should reject condition values the operator cannot use', () => {
+        const load = (...conditions) => new RuleEngine({
+            config: {
+                ruleSets: [{
+                    id: 'default',
+                    version: 1,
+                    default: true,
+                    rules: conditions.map((condition, index) => ({ ...baseRule, id: `r${index}`, condition }))
+                }]
+            }
+        });
+
+        expect(() => load(
+            { field: 'item.name', op: 'matches', value: '(' },
+            { field: 'document.total_paid_amount', op: 'gt', value: '25000' },
+            { all: [{ field: 'claim.insurer', op: 'in', value: 'Acme Health' }] }
+        )).toThrow([
+            'Invalid business rules: default.rules[0] (r0): condition.value must be a valid regular expression for matches',
+            'default.rules[1] (r1): condition.value must be a number for gt',
+            'default.rules[2] (r2): condition.all[0].value must be a list for in'
+        ].join('; '));
+        expect(() => load(
+            { field: 'item.name', op: 'matches', value: '^(mri|ct) scan' },
+            { field: 'claim.insurer', op: 'not_in', value: ['Acme Health'] }
+        )).not.toThrow();
+    });
+});
@@ -0,0 +1,119 @@
+const RuleSimulator = require('../services/RuleSimulator');
+const BusinessCheckService = require('../services/BusinessCheckService');
+const ExclusionCatalogue = require('../services/ExclusionCatalogue');
+const Claim = require('../models/Claim');
+
+describe('RuleSimulator', () => {
+    let simulator;
+    let claims;
+
+    const catalogue = (lists) => new ExclusionCatalogue({
+        config: { versions: [{ version: 1, effectiveFrom: '2024-01-01', ...lists }] }
+    });
+
+    beforeEach(() => {
+        claims = [
+            new Claim({
+                id: 'claim-1',
+                patientName: 'Asha Rao',
+                insurer: 'default',
+                status: 'approve',
+                bills: [{
+                    id: 'bill-1',
+                    extractedData: {
+                        bill_date: '2024-05-10',
+                        line_items: [
+                            { name: 'Whey Protein Powder', type: 'medicine', price: 1200, final: 1200 },
+                            { name: 'Paracetamol', type: 'medicine', price: 50, final: 50 }
+                        ],
+                        total_paid_amount: 1250
+                    }
+                }]
+            }),
+            new Claim({
+                id: 'claim-2',
+                patientName: 'Ravi, Kumar',
+                insurer: 'default',
+                bills: [{
+                    id: 'bill-2',
+                    extractedData: {
+                        bill_date: '2024-05-12',
+                        line_items: [{ name: 'Consultation', type: 'consultation', price: 500, final: 500 }],
+                        total_paid_amount: 500
+                    }
+                }]
+            }),
+            // Not extracted yet, so not simulated
+            new Claim({ id: 'claim-3', bills: [{ id: 'bill-3' }] })
+        ];
+        simulator = new RuleSimulator({
+            baseline: new BusinessCheckService({ exclusionCatalogue: catalogue({ excluded_items: [] }) }),
+            claimRepository: { findAll: () => claims }
+        });
+    });
+
+    test('should report claims whose findings and amounts would change', async () => {
+        const report = await simulator.simulate({ exclusions: { excluded_items: ['protein supplement'], synonyms: { 'protein supplement': ['whey protein'] } } });
+
+        expect(report.summary).toEqual(expect.objectContaining({
+            claimsEvaluated: 2,
+            claimsChanged: 1,
+            findingsChanged: 1,
+            eligibleAmountChanged: 1,
+            eligibleAmountDelta: -1200
+        }));
+        expect(report.claims).toHaveLength(1);
+        const [result] = report.claims;
+        expect(result.claimId).toBe('claim-1');
+        expect(result.reviewed).toBe(true);
+        expect(result.eligibleAmount).toEqual({ before: 1250, after: 50, delta: -1200 });
+        expect(result.findings.added).toEqual([{ code: 'policy_exclusion', severity: 'error', message: '1 excluded items detected.', amount: 1200 }]);
+        expect(result.findings.removed).toEqual([]);
+        expect(result.recommendation.after).toBe('reject');
+        expect(report.summary.reviewedClaimsAffected).toBe(1);
+    });
+
+    test('should not recommend approval for a claim without a known member', async () => {
+        const checks = await simulator.baseline.runBusinessChecks(claims[1]);
+
+        expect(checks.findings).toContainEqual(expect.objectContaining({ code: 'unknown_member', severity: 'warning' }));
+        expect(simulator.recommend(checks)).toBe('request_info');
+    });
+
+    test('should not save claims', async () => {
+        const save = jest.fn();
+        simulator.claimRepository.save = save;
+        const stored = JSON.stringify(claims[0]);
+
+        await simulator.simulate({ exclusions: { excluded_items: ['paracetamol'] } });
+
+        expect(save).not.toHaveBeenCalled();
+        expect(JSON.stringify(claims[0])).toBe(stored);
+    });
+
+    test('should limit the simulation to the given claims', async () => {
+        const report = await simulator.simulate({ exclusions: { excluded_items: ['consultation'] } }, { claimIds: ['claim-1'] });
+
+        expect(report.summary.claimsEvaluated).toBe(1);
+        expect(report.summary.claimsChanged).toBe(0);
+    });
+
+    test('should reject an invalid candidate', async () => {
+        await expect(simulator.simulate({ rules: { ruleSets: [] } })).rejects.toMatchObject({
+            validationErrors: [expect.any(String)]
+        });
+        await expect(simulator.simulate({ exclusions: { excluded_items: 'protein' } })).rejects.toMatchObject({
+            validationErrors: [expect.stringContaining('excluded_items must be a list of phrases')]
+        });
+    });
+
+    test('should write changed claims as CSV', async () => {
+        const report = await simulator.simulate({ exclusions: { excluded_items: ['consultation'] } });
+        const lines = simulator.toCSV(report).trim().split('\n');
+
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toMatch(/^claimId,patientName,insurer,status,recommendationBefore/);
+        expect(lines[1]).toMatch(/^claim-2,"Ravi, Kumar",default,pending,/);
+        expect(lines[1]).toContain(',500,0,-500,');
+    });
+});
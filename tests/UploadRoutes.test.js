@@ -0,0 +1,65 @@
+const express = require('express');
+const request = require('supertest');
+const uploadRoutes = require('../routes/upload');
+const Claim = require('../models/Claim');
+const { claimRepository } = require('../services/ClaimRepository');
+const { claimProcessingService } = require('../services/ClaimProcessingService');
+
+describe('upload routes', () => {
+    let app;
+    let claim;
+
+    beforeEach(async () => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/upload', uploadRoutes);
+
+        claim = new Claim({ id: 'claim-1', patientName: 'John Doe', insurer: 'Test Insurance' });
+        ['prescription', 'bill', 'bill', 'bill'].forEach((type, index) => {
+            const page = claim.addPage({ filename: `page-${index + 1}.png`, mimetype: 'image/png', path: `uploads/page-${index + 1}.png` });
+            claim.updatePageClassification(page.id, { type, confidence: 0.8, extractedText: type });
+        });
+        claim.groupPagesIntoDocuments();
+        claim.prescriptions[0].extractedData = { visit_reason: 'fever' };
+        claim.bills[0].extractedData = { total_paid_amount: 900 };
+        claimRepository.claims = new Map();
+        // Stored claims hold copies of the pages in their groups
+        await claimRepository.add(new Claim(JSON.parse(JSON.stringify(claim.toJSON()))));
+
+        jest.spyOn(claimProcessingService.aiService, 'extractDocument')
+            .mockResolvedValue({ data: { total_paid_amount: 600 }, extraction: {} });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('DELETE /document/:claimId/:pageId', () => {
+        test('should take the page out of its document group and renumber the group pages', async () => {
+            const removed = claim.pages[1].id;
+            const response = await request(app).delete(`/api/upload/document/claim-1/${removed}`);
+
+            expect(response.status).toBe(200);
+            const stored = claimRepository.findById('claim-1');
+            expect(stored.pages.map(p => p.pageNumber)).toEqual([1, 2, 3]);
+            expect(stored.bills).toHaveLength(1);
+            expect(stored.bills[0].pages.map(p => [p.id, p.pageNumber])).toEqual([
+                [claim.pages[2].id, 2],
+                [claim.pages[3].id, 3]
+            ]);
+            expect(stored.bills[0].extractedData).toEqual({ total_paid_amount: 600 });
+            expect(response.body.data.reextracted).toEqual([stored.bills[0].id]);
+            expect(stored.prescriptions[0].extractedData).toEqual({ visit_reason: 'fever' });
+        });
+
+        test('should remove a group left without pages', async () => {
+            const response = await request(app).delete(`/api/upload/document/claim-1/${claim.pages[0].id}`);
+
+            expect(response.status).toBe(200);
+            const stored = claimRepository.findById('claim-1');
+            expect(stored.prescriptions).toEqual([]);
+            expect(stored.bills[0].pages.map(p => p.pageNumber)).toEqual([1, 2, 3]);
+            expect(claimProcessingService.aiService.extractDocument).not.toHaveBeenCalled();
+        });
+    });
+});
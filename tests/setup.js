@@ -5,6 +5,8 @@ process.env.NODE_ENV = 'test';
 jest.mock('fs', () => ({
   promises: {
     readFile: jest.fn(),
+    writeFile: jest.fn(),
+    rename: jest.fn(),
     mkdir: jest.fn(),
     unlink: jest.fn()
   }
@@ -20,4 +22,14 @@ jest.mock('tesseract.js', () => ({
 // Mock pdf-parse
 jest.mock('pdf-parse', () => jest.fn().mockResolvedValue({
   text: 'Mock PDF text'
-})); 
\ No newline at end of file
+})); 
+// Mock sharp (native binary); every operation returns the same chainable pipeline
+jest.mock('sharp', () => {
+  const pipeline = {};
+  ['rotate', 'grayscale', 'resize', 'normalise', 'raw', 'png'].forEach(method => {
+    pipeline[method] = jest.fn(() => pipeline);
+  });
+  pipeline.metadata = jest.fn().mockResolvedValue({ width: 2000, height: 1000 });
+  pipeline.toBuffer = jest.fn().mockResolvedValue(Buffer.from('image'));
+  return jest.fn(() => pipeline);
+});